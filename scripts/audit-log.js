@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { parseAuditLog, filterAuditRecords } = require('../src/services/auditLog');
+
+/**
+ * 审计日志读取命令 - 按日期、决策或作者筛选审计日志
+ * 用法: node scripts/audit-log.js [file] [--since DATE] [--until DATE] [--decision D] [--author USER] [--json]
+ * 未指定文件时从标准输入读取，例如:
+ *   git show origin/nomore-spam-data:audit-log.jsonl | npm run audit-log -- --decision SPAM
+ */
+
+const USAGE = 'Usage: audit-log [file] [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--decision DECISION] [--author USER] [--json]';
+const VALUE_OPTIONS = new Set(['since', 'until', 'decision', 'author']);
+
+/**
+ * 解析命令行参数
+ * @param {Array} args 参数列表
+ * @returns {Object} { file, filters, json, help }
+ * @throws {Error} 参数无效时抛出错误
+ */
+function parseArgs(args) {
+  const options = { file: null, filters: {}, json: false, help: false };
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      const [name, inlineValue] = arg.slice(2).split('=', 2);
+      if (!VALUE_OPTIONS.has(name)) {
+        throw new Error(`Unknown option: ${arg}`);
+      }
+      const value = inlineValue ?? args[++index];
+      if (!value) {
+        throw new Error(`Missing value for --${name}`);
+      }
+      if (['since', 'until'].includes(name) && Number.isNaN(Date.parse(value))) {
+        throw new Error(`Invalid date for --${name}: ${value}`);
+      }
+      options.filters[name] = value;
+    } else if (!options.file) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * 将记录格式化为一行摘要
+ * @param {Object} record 审计记录
+ * @returns {string} 摘要
+ */
+function formatRecord(record) {
+  const item = record.item || {};
+  const label = `${item.type === 'pr' ? 'PR' : 'Issue'} #${item.number}`;
+  const chain = (record.chain || []).map(step => `${step.check}=${step.error ? 'ERROR' : step.verdict}`).join(' > ');
+  const failed = (record.actions || []).filter(action => !action.success).length;
+  const actions = `${(record.actions || []).length} action(s)${failed ? `, ${failed} failed` : ''}`;
+  return [
+    record.timestamp,
+    label,
+    record.decision || '-',
+    record.author ? `@${record.author}` : '-',
+    chain || '-',
+    actions
+  ].join('  ');
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const content = fs.readFileSync(options.file || 0, 'utf8');
+  const records = filterAuditRecords(parseAuditLog(content), options.filters);
+  for (const record of records) {
+    console.log(options.json ? JSON.stringify(record) : formatRecord(record));
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseArgs, formatRecord };
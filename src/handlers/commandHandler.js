@@ -0,0 +1,223 @@
+const core = require('@actions/core');
+const { logMessage, hasLabel } = require('../utils/helpers');
+const {
+  addComment,
+  addLabels,
+  removeLabel,
+  closeIssue,
+  closePR,
+  reopenIssue,
+  addReaction,
+  getPermissionLevel
+} = require('../services/github');
+const { submitAppeal } = require('../services/appealService');
+const { recordFeedback } = require('../services/feedbackStore');
+const { getModerationLabels } = require('../services/policyService');
+const { reprocessItem } = require('./manualHandler');
+const { startOutcome, recordOutcome } = require('../services/outputs');
+const { isOwnAccount } = require('../services/botIdentity');
+const { notifyDecision } = require('../services/notifier');
+
+// 维护者命令，只识别评论第一行
+const COMMAND_PATTERN = /^\/(spam|not-spam|reclassify|recheck|appeal)(?:\s+(.*))?$/i;
+// 具有写权限的用户才能使用命令
+const COMMAND_PERMISSIONS = new Set(['admin', 'write']);
+// 命令回复评论的标记键，与决策评论分开
+const COMMAND_MARKER_KEY = 'command';
+
+/**
+ * 解析评论中的维护者命令
+ * @param {string} body 评论内容
+ * @returns {Object|null} { name, argument }，不是命令时返回null
+ */
+function parseCommand(body) {
+  const firstLine = (body || '').trim().split('\n')[0].trim();
+  const match = COMMAND_PATTERN.exec(firstLine);
+  if (!match) {
+    return null;
+  }
+  return { name: match[1].toLowerCase(), argument: (match[2] || '').trim() };
+}
+
+/**
+ * 处理维护者在Issue或PR下发表的命令评论
+ * /appeal 由内容作者使用，其余命令无写权限用户发表时按普通评论处理
+ * @param {Object} octokit GitHub API客户端
+ * @param {Object} openai OpenAI客户端
+ * @param {Object} context GitHub上下文
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {string} aiModel AI模型名
+ * @param {Object} config 配置对象
+ * @param {Array} labelsList 标签列表
+ * @param {Array} blacklistUsers 黑名单用户列表
+ * @returns {Promise<boolean>} 评论是否已作为命令处理
+ */
+async function handleCommand(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers) {
+  const { comment, issue } = context.payload;
+  const command = parseCommand(comment.body);
+  if (!command || comment.user.type === 'Bot' || isOwnAccount(comment.user)) {
+    return false;
+  }
+
+  const author = comment.user.login;
+  core.info(logMessage(config.logging.command_received, { author, number: issue.number, command: command.name }));
+
+  if (command.name === 'appeal') {
+    return await submitAppeal(octokit, owner, repo, issue, comment, command.argument, config);
+  }
+
+  let permission = 'none';
+  try {
+    permission = await getPermissionLevel(octokit, owner, repo, author, config.logging.command_permission_failed);
+  } catch (error) {
+    // 无法确认权限时按无权限处理
+  }
+
+  if (!COMMAND_PERMISSIONS.has(permission)) {
+    core.info(logMessage(config.logging.command_permission_denied, { author, command: command.name, permission }));
+    return false;
+  }
+
+  const isPullRequest = Boolean(issue.pull_request);
+  // /recheck 的结果由重新执行的检测流程记录
+  startOutcome(issue);
+  recordOutcome({ step: 'command' });
+
+  switch (command.name) {
+  case 'spam': {
+    const result = await markAsSpam(octokit, owner, repo, issue, config, isPullRequest);
+    recordOutcome({ decision: 'SPAM', ...result });
+    await notifyDecision(owner, repo, issue, isPullRequest ? 'pr' : 'issue', 'SPAM', result, config);
+    break;
+  }
+  case 'not-spam':
+    await markAsNotSpam(octokit, owner, repo, issue, config, isPullRequest);
+    recordOutcome({ decision: 'NOT_SPAM' });
+    break;
+  case 'reclassify':
+    await reclassify(octokit, owner, repo, issue, config, labelsList, command.argument);
+    break;
+  case 'recheck':
+    await recheck(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers);
+    break;
+  }
+
+  try {
+    await addReaction(octokit, owner, repo, comment.id, '+1', config.logging.reaction_add_failed);
+  } catch (error) {
+    // 表情回应失败不影响命令结果
+  }
+
+  core.info(logMessage(config.logging.command_done, { number: issue.number, command: command.name }));
+  return true;
+}
+
+/**
+ * /spam：关闭并锁定，记录漏判
+ * @returns {Promise<Object>} { closed, locked }，按关闭和锁定调用的实际结果
+ */
+async function markAsSpam(octokit, owner, repo, issue, config, isPullRequest) {
+  const marker = { key: COMMAND_MARKER_KEY, decision: 'SPAM' };
+  const results = isPullRequest
+    ? await closePR(octokit, owner, repo, issue.number, config.responses.command_spam_pr, config, true, marker)
+    : await closeIssue(octokit, owner, repo, issue.number, config.responses.command_spam_issue, config, true, 'not_planned', [], marker);
+
+  await recordFeedback(octokit, owner, repo, issue, { check: 'spam', original: 'NOT_SPAM', corrected: 'SPAM' }, config);
+
+  // 关闭和锁定始终是最后两个调用
+  const [closeResult, lockResult] = results.slice(-2);
+  return { closed: closeResult.success, locked: lockResult.success };
+}
+
+/**
+ * /not-spam：重新打开、解锁并移除机器人添加的审核标签，记录误判
+ */
+async function markAsNotSpam(octokit, owner, repo, issue, config, isPullRequest) {
+  await reopenIssue(octokit, owner, repo, issue.number, config, isPullRequest);
+
+  const moderationLabels = getModerationLabels(config);
+  const currentLabels = (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name));
+
+  // 带有补充信息标签说明机器人判定为信息不足，否则按垃圾误判记录
+  const correction = hasLabel(issue, config.defaults.needs_info_label)
+    ? { check: 'quality', original: 'UNCLEAR', corrected: 'VALID' }
+    : { check: 'spam', original: 'SPAM', corrected: 'NOT_SPAM' };
+  await recordFeedback(octokit, owner, repo, issue, correction, config);
+
+  for (const label of currentLabels.filter(name => moderationLabels.has(name.toLowerCase()))) {
+    try {
+      await removeLabel(octokit, owner, repo, issue.number, label, config.logging.label_remove_failed);
+    } catch (error) {
+      // 单个标签移除失败不影响其他标签
+    }
+  }
+
+  await addComment(
+    octokit,
+    owner,
+    repo,
+    issue.number,
+    config.responses.command_not_spam,
+    config.logging.issue_comment_failed,
+    { key: COMMAND_MARKER_KEY, decision: 'NOT_SPAM' }
+  );
+}
+
+/**
+ * /reclassify <label>：替换分类标签
+ */
+async function reclassify(octokit, owner, repo, issue, config, labelsList, requestedLabel) {
+  const label = labelsList.find(name => name.toLowerCase() === requestedLabel.toLowerCase());
+  if (!label) {
+    await addComment(
+      octokit,
+      owner,
+      repo,
+      issue.number,
+      logMessage(config.responses.command_invalid_label, {
+        label: requestedLabel || '-',
+        labels: labelsList.map(name => `\`${name}\``).join(', ')
+      }),
+      config.logging.issue_comment_failed,
+      { key: COMMAND_MARKER_KEY }
+    );
+    return;
+  }
+
+  const classificationLabels = new Set(labelsList.map(name => name.toLowerCase()));
+  const currentLabels = (issue.labels || []).map(item => (typeof item === 'string' ? item : item.name));
+  const previous = currentLabels.find(current => classificationLabels.has(current.toLowerCase()));
+  for (const current of currentLabels) {
+    if (classificationLabels.has(current.toLowerCase()) && current.toLowerCase() !== label.toLowerCase()) {
+      try {
+        await removeLabel(octokit, owner, repo, issue.number, current, config.logging.label_remove_failed);
+      } catch (error) {
+        // 单个标签移除失败不影响其他标签
+      }
+    }
+  }
+
+  await addLabels(octokit, owner, repo, issue.number, [label], config.logging.label_add_api_failed);
+  core.info(logMessage(config.logging.label_added, { number: issue.number, label }));
+  recordOutcome({ classification: label });
+
+  // 分类判定值为大写标签名
+  await recordFeedback(octokit, owner, repo, issue, {
+    check: 'classification',
+    original: previous ? previous.toUpperCase() : '-',
+    corrected: label.toUpperCase()
+  }, config);
+}
+
+/**
+ * /recheck：获取最新内容后重新执行完整的检测流程
+ */
+async function recheck(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers) {
+  await reprocessItem(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers, context.payload.issue.number, { force: true });
+}
+
+module.exports = {
+  handleCommand,
+  parseCommand
+};
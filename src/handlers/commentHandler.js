@@ -0,0 +1,90 @@
+const core = require('@actions/core');
+const { logMessage } = require('../utils/helpers');
+const IssueAnalyzer = require('../services/issueAnalyzer');
+const { isContentFilterError } = require('../services/ai');
+const { formatVerdict } = require('../services/verdict');
+const { minimizeComment } = require('../services/github');
+const { handleAuthorReply } = require('../services/needsInfoService');
+const { startReportItem, recordError } = require('../services/runReport');
+const { isOwnAccount } = require('../services/botIdentity');
+const { notifyDecision } = require('../services/notifier');
+
+// 这些作者身份的评论不进行垃圾检测
+const EXEMPT_ASSOCIATIONS = new Set(['OWNER', 'MEMBER', 'COLLABORATOR']);
+
+/**
+ * 处理Issue或PR下新创建的评论
+ * @param {Object} octokit GitHub API客户端
+ * @param {Object} openai OpenAI客户端
+ * @param {Object} context GitHub上下文
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {string} aiModel AI模型名
+ * @param {Object} config 配置对象
+ * @param {Array} blacklistUsers 黑名单用户列表
+ */
+async function handleNewComment(octokit, openai, context, owner, repo, aiModel, config, blacklistUsers) {
+  const { comment, issue } = context.payload;
+
+  try {
+    const commentAuthor = comment.user.login.toLowerCase();
+
+    core.info(logMessage(config.logging.comment_check_start, {
+      number: issue.number,
+      author: comment.user.login,
+      id: comment.id
+    }));
+    startReportItem(issue);
+
+    // 黑名单用户的评论直接隐藏，无需AI分析
+    if (blacklistUsers.includes(commentAuthor)) {
+      await hideSpamComment(octokit, owner, repo, issue, comment, 'BLACKLISTED', config);
+      core.info(logMessage(config.logging.comment_blacklist_log, { id: comment.id, author: comment.user.login }));
+      return;
+    }
+
+    if (comment.user.type === 'Bot' || isOwnAccount(comment.user) || EXEMPT_ASSOCIATIONS.has(comment.author_association)) {
+      core.info(logMessage(config.logging.comment_skipped, { id: comment.id }));
+      await handleAuthorReply(octokit, owner, repo, issue, comment, config);
+      return;
+    }
+
+    const analyzer = new IssueAnalyzer(openai, aiModel, config);
+    const spamResult = await analyzer.detectCommentSpam(comment, issue);
+    core.info(logMessage(config.logging.comment_spam_result, { result: formatVerdict(spamResult) }));
+
+    if (spamResult.verdict === 'SPAM') {
+      await hideSpamComment(octokit, owner, repo, issue, comment, 'SPAM', config);
+      core.info(logMessage(config.logging.comment_minimized_log, { id: comment.id }));
+    } else {
+      core.info(logMessage(config.logging.comment_passed_log, { id: comment.id }));
+      // 作者的正常回复视为已响应补充信息的请求
+      await handleAuthorReply(octokit, owner, repo, issue, comment, config);
+    }
+  } catch (error) {
+    core.error(logMessage(config.logging.comment_process_error, { error: error.message }));
+    recordError(error.message);
+
+    if (isContentFilterError(error)) {
+      core.warning(logMessage(config.logging.ai_content_filtered, { number: issue.number }));
+      await hideSpamComment(octokit, owner, repo, issue, comment, 'CONTENT_FILTERED', config);
+      return;
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * 以SPAM原因隐藏评论，隐藏后按决策发送通知
+ */
+async function hideSpamComment(octokit, owner, repo, issue, comment, decision, config) {
+  await minimizeComment(octokit, comment.node_id, 'SPAM', config.logging.comment_minimize_failed);
+
+  const item = { number: issue.number, title: issue.title, html_url: comment.html_url, user: comment.user };
+  await notifyDecision(owner, repo, item, 'comment', decision, { minimized: true }, config);
+}
+
+module.exports = {
+  handleNewComment
+};
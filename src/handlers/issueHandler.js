@@ -1,12 +1,21 @@
 const core = require('@actions/core');
-const { logMessage } = require('../utils/helpers');
-const { getReadmeContent, getPinnedIssuesContent } = require('../services/github');
+const { logMessage, hasLabel } = require('../utils/helpers');
+const { getReadmeContent, getPinnedIssuesContent, findDecisionMarker } = require('../services/github');
 const { analyzeIssueQuality, generateAnalysisReport } = require('../services/templateDetector');
 const IssueWorkflowService = require('../services/issueWorkflowService');
 const { isContentFilterError } = require('../services/ai');
+const { evaluateTrust, logTrustedAuthor } = require('../services/trustService');
+const { evaluateRules, recordRuleMatch } = require('../services/ruleEngine');
+const { collectReputation } = require('../services/reputationService');
+const { analyzeLinks, logLinkReport } = require('../services/linkAnalyzer');
+const { isAppealPending } = require('../services/appealService');
+const { startOutcome, recordOutcome, recordVerdict } = require('../services/outputs');
+const { recordTemplateAnalysis, recordError } = require('../services/runReport');
+const { handleNeedsTriage } = require('./triageHandler');
 const {
   handleSpamIssue,
   handleContentFilteredIssue,
+  handleDuplicateIssue,
   handleBlacklistedUser
 } = require('./issueProcessor');
 
@@ -21,26 +30,55 @@ const {
  * @param {Object} config 配置对象
  * @param {Array} labelsList 标签列表
  * @param {Array} blacklistUsers 黑名单用户列表
+ * @param {Object} options 处理选项 { force }，force 为true时忽略之前的处理记录
  */
-async function handleNewIssue(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers) {
+async function handleNewIssue(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers, options = {}) {
   try {
     const issue = context.payload.issue;
     const issueTitle = issue.title;
     const issueBody = issue.body || '';
-    const issueAuthor = issue.user.login.toLowerCase();
     
     core.info(logMessage(config.logging.issue_check_start, { title: issueTitle }));
     core.info(logMessage(config.logging.target_repo, { owner, repo }));
+    startOutcome(issue);
     
-    // 检查用户是否在黑名单中
-    if (blacklistUsers.includes(issueAuthor)) {
-      await handleBlacklistedUser(octokit, owner, repo, issue, config);
+    // 申诉中的内容交由维护者处理
+    if (isAppealPending(issue, config)) {
+      core.info(logMessage(config.logging.appeal_pending_skip, { number: issue.number }));
+      recordOutcome({ decision: 'SKIPPED', step: 'appeal' });
+      return;
+    }
+    
+    // 已有决策评论说明之前的运行处理过，避免重复评论和重复调用AI
+    if (!options.force) {
+      const marker = await findDecisionMarker(octokit, owner, repo, issue.number);
+      if (marker) {
+        core.info(logMessage(config.logging.already_processed_skip, { number: issue.number, decision: marker.decision || '-' }));
+        recordOutcome({ decision: 'SKIPPED', step: 'already_processed' });
+        return;
+      }
+    }
+    
+    // 黑名单和确定性规则预过滤，命中时无需调用AI
+    const { handled, ruleMatch } = await applyPreFilters(octokit, owner, repo, issue, config, blacklistUsers);
+    if (handled) {
       return;
     }
     
     // 创建工作流服务实例
     const workflowService = new IssueWorkflowService(octokit, openai, aiModel, config);
     
+    // 智能分析Issue内容质量和模板使用情况
+    const qualityAnalysis = analyzeIssueQuality(issueTitle, issueBody);
+    
+    // 可信作者跳过垃圾和质量检查，直接进行分类
+    const trust = await resolveTrust(octokit, owner, repo, issue, ruleMatch, config);
+    if (trust.trusted) {
+      recordOutcome({ decision: 'KEEP', step: 'trust' });
+      await workflowService.classifyAndHandleIssue(owner, repo, issue, qualityAnalysis, labelsList, { trusted: true });
+      return;
+    }
+    
     // 获取README.md内容
     const readmeContent = await getReadmeContent(octokit, owner, repo, config);
     if (readmeContent) {
@@ -57,8 +95,6 @@ async function handleNewIssue(octokit, openai, context, owner, repo, aiModel, co
       core.warning(config.logging.pinned_issues_not_found);
     }
 
-    // 智能分析Issue内容质量和模板使用情况
-    const qualityAnalysis = analyzeIssueQuality(issueTitle, issueBody);
     const templateAnalysisReport = generateAnalysisReport(
       qualityAnalysis.templateInfo, 
       qualityAnalysis.contentInfo
@@ -66,29 +102,53 @@ async function handleNewIssue(octokit, openai, context, owner, repo, aiModel, co
 
     // 记录模板检测信息
     logTemplateDetectionInfo(qualityAnalysis, config);
+    recordTemplateAnalysis(templateAnalysisReport);
+
+    // 收集作者信誉和链接信号，作为垃圾检测的辅助依据
+    const reputation = await collectReputation(octokit, owner, repo, issue, config);
+    const linkReport = analyzeLinks(issue, config);
+    logLinkReport(linkReport, issue, config);
 
     // 调用AI进行分层检测
     const analysisResult = await workflowService.performLayeredDetection(
       issue, 
       readmeContent, 
       pinnedIssuesContent, 
-      templateAnalysisReport
+      templateAnalysisReport,
+      { reputation, linkReport }
     );
     
     const decision = analysisResult.decision;
+    recordVerdict(decision, analysisResult.verdict);
     
     if (decision === 'SPAM') {
       await handleSpamIssue(octokit, owner, repo, issue, config);
+    } else if (decision === 'NEEDS_TRIAGE') {
+      await handleNeedsTriage(octokit, owner, repo, issue, config, analysisResult);
     } else if (decision === 'README_COVERED') {
       // README相关的Issue：先回答，再关闭但不锁定
       await workflowService.handleReadmeRelatedIssue(owner, repo, issue, readmeContent);
     } else {
+      // 分类前先检查是否与已有Issue重复
+      const duplicate = await workflowService.findDuplicate(owner, repo, issue);
+      if (duplicate?.decision === 'DUPLICATE') {
+        recordVerdict('DUPLICATE', duplicate.verdict);
+        await handleDuplicateIssue(octokit, owner, repo, issue, duplicate.original, config);
+        return;
+      }
+      if (duplicate?.decision === 'NEEDS_TRIAGE') {
+        await handleNeedsTriage(octokit, owner, repo, issue, config, duplicate);
+        return;
+      }
+
       // KEEP - 需要进行智能分类和处理
       const result = await workflowService.classifyAndHandleIssue(owner, repo, issue, qualityAnalysis, labelsList);
       
       if (result.closed) {
         // 已被关闭（如基础问题）
         core.info(`Issue #${issue.number} 已根据分类结果关闭`);
+      } else if (result.triage) {
+        await handleNeedsTriage(octokit, owner, repo, issue, config, result.triage);
       } else if (result.needsInfo) {
         // 需要补充信息（如不清晰的bug报告）
         core.info(`Issue #${issue.number} 需要用户补充详细信息`);
@@ -100,6 +160,7 @@ async function handleNewIssue(octokit, openai, context, owner, repo, aiModel, co
     
   } catch (error) {
     core.error(logMessage(config.logging.issue_process_error, { error: error.message }));
+    recordError(error.message);
 
     if (isContentFilterError(error)) {
       const issue = context.payload.issue;
@@ -112,6 +173,145 @@ async function handleNewIssue(octokit, openai, context, owner, repo, aiModel, co
   }
 }
 
+/**
+ * 处理被编辑或重新打开的Issue
+ * 仅对之前被标记为需要补充信息的Issue重新评估：先执行与新建Issue相同的黑名单、规则和垃圾检测，再重新分类和检查质量
+ * @param {Object} octokit GitHub API客户端
+ * @param {Object} openai OpenAI客户端
+ * @param {Object} context GitHub上下文
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {string} aiModel AI模型名
+ * @param {Object} config 配置对象
+ * @param {Array} labelsList 标签列表
+ * @param {Array} blacklistUsers 黑名单用户列表
+ */
+async function handleUpdatedIssue(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers = []) {
+  try {
+    const issue = context.payload.issue;
+    const workflowService = new IssueWorkflowService(octokit, openai, aiModel, config);
+    startOutcome(issue);
+
+    if (isAppealPending(issue, config)) {
+      core.info(logMessage(config.logging.appeal_pending_skip, { number: issue.number }));
+      return;
+    }
+
+    if (issue.state !== 'open' || !hasLabel(issue, config.defaults.needs_info_label)) {
+      core.info(logMessage(config.logging.issue_reevaluation_skipped, { number: issue.number }));
+      return;
+    }
+
+    // 编辑事件只响应作者本人的修改
+    const editor = context.payload.sender?.login?.toLowerCase();
+    if (context.payload.action === 'edited' && editor !== issue.user.login.toLowerCase()) {
+      core.info(logMessage(config.logging.issue_reevaluation_skipped, { number: issue.number }));
+      return;
+    }
+
+    core.info(logMessage(config.logging.issue_reevaluation_start, { number: issue.number }));
+
+    // 作者可能把内容改成了垃圾信息，重新分类前执行与新建Issue相同的检测
+    const { handled, ruleMatch } = await applyPreFilters(octokit, owner, repo, issue, config, blacklistUsers);
+    if (handled) {
+      return;
+    }
+
+    const qualityAnalysis = analyzeIssueQuality(issue.title, issue.body || '');
+    logTemplateDetectionInfo(qualityAnalysis, config);
+
+    const trust = await resolveTrust(octokit, owner, repo, issue, ruleMatch, config);
+    if (!trust.trusted) {
+      const templateAnalysisReport = generateAnalysisReport(qualityAnalysis.templateInfo, qualityAnalysis.contentInfo);
+      const reputation = await collectReputation(octokit, owner, repo, issue, config);
+      const linkReport = analyzeLinks(issue, config);
+      logLinkReport(linkReport, issue, config);
+
+      const { result: spamResult } = await workflowService.analyzer.screenSpam(issue, templateAnalysisReport, { reputation, linkReport });
+      if (spamResult) {
+        recordVerdict(spamResult.decision, spamResult.verdict);
+        if (spamResult.decision === 'SPAM') {
+          await handleSpamIssue(octokit, owner, repo, issue, config);
+        } else {
+          await handleNeedsTriage(octokit, owner, repo, issue, config, spamResult);
+        }
+        return;
+      }
+    }
+
+    const result = await workflowService.classifyAndHandleIssue(
+      owner,
+      repo,
+      issue,
+      qualityAnalysis,
+      labelsList,
+      { reevaluation: true }
+    );
+
+    if (result.needsInfo) {
+      recordOutcome({ decision: 'UNCLEAR' });
+      core.info(`Issue #${issue.number} 仍需要用户补充详细信息`);
+    } else if (result.triage) {
+      await handleNeedsTriage(octokit, owner, repo, issue, config, result.triage);
+    } else if (!result.error && !result.closed) {
+      recordOutcome({ decision: 'KEEP' });
+      await workflowService.actionService.resolveNeedsInfo(owner, repo, issue);
+    }
+  } catch (error) {
+    core.error(logMessage(config.logging.issue_process_error, { error: error.message }));
+    recordError(error.message);
+
+    if (isContentFilterError(error)) {
+      const issue = context.payload.issue;
+      core.warning(logMessage(config.logging.ai_content_filtered, { number: issue.number }));
+      await handleContentFilteredIssue(octokit, owner, repo, issue, config);
+      return;
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * 黑名单和确定性规则预过滤
+ * @returns {Promise<Object>} { handled, ruleMatch }，handled 为true时Issue已处理完毕
+ */
+async function applyPreFilters(octokit, owner, repo, issue, config, blacklistUsers) {
+  if (blacklistUsers.includes(issue.user.login.toLowerCase())) {
+    recordOutcome({ step: 'blacklist' });
+    await handleBlacklistedUser(octokit, owner, repo, issue, config);
+    return { handled: true };
+  }
+
+  const ruleMatch = evaluateRules(issue, 'issue', config);
+  if (ruleMatch) {
+    recordRuleMatch(ruleMatch, issue, config);
+    if (ruleMatch.action === 'spam') {
+      await handleSpamIssue(octokit, owner, repo, issue, config);
+      return { handled: true };
+    }
+    if (ruleMatch.action === 'skip') {
+      recordOutcome({ decision: 'SKIPPED' });
+      return { handled: true };
+    }
+  }
+
+  return { handled: false, ruleMatch };
+}
+
+/**
+ * 判断作者是否可信，规则命中 trust 时无需再查询
+ */
+async function resolveTrust(octokit, owner, repo, issue, ruleMatch, config) {
+  const trust = ruleMatch?.action === 'trust'
+    ? { trusted: true, reason: `rule ${ruleMatch.rule}` }
+    : await evaluateTrust(octokit, owner, repo, issue, config);
+  if (trust.trusted) {
+    logTrustedAuthor(issue, trust, config);
+  }
+  return trust;
+}
+
 /**
  * 记录模板检测信息
  */
@@ -141,5 +341,6 @@ function logTemplateDetectionInfo(qualityAnalysis, config) {
 }
 
 module.exports = {
-  handleNewIssue
+  handleNewIssue,
+  handleUpdatedIssue
 };
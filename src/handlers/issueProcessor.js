@@ -1,30 +1,28 @@
 const core = require('@actions/core');
 const { logMessage } = require('../utils/helpers');
-const { closeIssue, addComment } = require('../services/github');
+const { closeIssue } = require('../services/github');
+const { executePolicy } = require('../services/policyService');
+const { DECISION_MARKER_KEY } = require('../utils/commentMarker');
+const { recordOutcome } = require('../services/outputs');
+const { notifyDecision } = require('../services/notifier');
 
 /**
- * 通用关闭Issue处理函数
+ * 通用Issue决策处理函数 - 按配置的策略执行评论、标签、关闭、锁定等动作，并按配置发送通知
  * @param {Object} octokit GitHub API客户端
  * @param {string} owner 仓库所有者
  * @param {string} repo 仓库名
  * @param {Object} issue Issue对象
  * @param {Object} config 配置对象
- * @param {string} responseKey 响应消息键名
+ * @param {string} decision 决策类型，对应 policies.issue 中的键
  * @param {string} logKey 日志消息键名
- * @param {boolean} shouldLock 是否锁定Issue
+ * @returns {Promise<Object>} 策略执行结果
  */
-async function closeIssueWithType(octokit, owner, repo, issue, config, responseKey, logKey, shouldLock = true) {
-  await closeIssue(
-    octokit, 
-    owner, 
-    repo, 
-    issue.number, 
-    config.responses[responseKey],
-    config,
-    shouldLock
-  );
+async function closeIssueWithType(octokit, owner, repo, issue, config, decision, logKey) {
+  const result = await executePolicy(octokit, owner, repo, issue, 'issue', decision, config);
   
   core.info(logMessage(config.logging[logKey], { number: issue.number }));
+  await notifyDecision(owner, repo, issue, 'issue', decision, result, config);
+  return result;
 }
 
 /**
@@ -36,56 +34,50 @@ async function closeIssueWithType(octokit, owner, repo, issue, config, responseK
  * @param {Object} config 配置对象
  */
 async function handleSpamIssue(octokit, owner, repo, issue, config) {
-  await closeIssueWithType(octokit, owner, repo, issue, config, 'issue_spam', 'issue_spam_log', true);
+  return await closeIssueWithType(octokit, owner, repo, issue, config, 'SPAM', 'issue_spam_log');
 }
 
 /**
  * 处理被AI提供商内容过滤器拒绝的Issue
  */
 async function handleContentFilteredIssue(octokit, owner, repo, issue, config) {
-  await closeIssueWithType(
+  recordOutcome({ step: 'content_filter', confidence: null });
+  return await closeIssueWithType(
     octokit,
     owner,
     repo,
     issue,
     config,
-    'issue_content_filtered',
-    'issue_content_filtered_log',
-    false
+    'CONTENT_FILTERED',
+    'issue_content_filtered_log'
   );
 }
 
 /**
- * 处理基础问题Issue
- * @param {Object} octokit GitHub API客户端
- * @param {string} owner 仓库所有者
- * @param {string} repo 仓库名
- * @param {Object} issue Issue对象
- * @param {Object} config 配置对象
- */
-async function handleBasicIssue(octokit, owner, repo, issue, config) {
-  await closeIssueWithType(octokit, owner, repo, issue, config, 'issue_basic', 'issue_basic_log', true);
-}
-
-/**
- * 处理描述不清的Issue
+ * 处理重复的Issue：评论链接原始Issue、添加duplicate标签并以duplicate原因关闭（不锁定）
  * @param {Object} octokit GitHub API客户端
  * @param {string} owner 仓库所有者
  * @param {string} repo 仓库名
  * @param {Object} issue Issue对象
+ * @param {Object} original 被重复的原始Issue
  * @param {Object} config 配置对象
  */
-async function handleUnclearIssue(octokit, owner, repo, issue, config) {
-  await addComment(
-    octokit, 
-    owner, 
-    repo, 
-    issue.number, 
-    config.responses.issue_unclear,
-    config.logging.issue_unclear_comment_failed
+async function handleDuplicateIssue(octokit, owner, repo, issue, original, config) {
+  await closeIssue(
+    octokit,
+    owner,
+    repo,
+    issue.number,
+    logMessage(config.responses.issue_duplicate, { number: original.number }),
+    config,
+    false,
+    'duplicate',
+    [config.duplicate_detection.label],
+    { key: DECISION_MARKER_KEY, decision: 'DUPLICATE' }
   );
-  
-  core.info(logMessage(config.logging.issue_unclear_log, { number: issue.number }));
+
+  recordOutcome({ decision: 'DUPLICATE', closed: true });
+  core.info(logMessage(config.logging.issue_duplicate_log, { number: issue.number, original: original.number }));
 }
 
 /**
@@ -97,28 +89,14 @@ async function handleUnclearIssue(octokit, owner, repo, issue, config) {
  * @param {Object} config 配置对象
  */
 async function handleBlacklistedUser(octokit, owner, repo, issue, config) {
-  // 如果没有配置黑名单响应，使用垃圾回应
-  const responseKey = config.responses.issue_blacklist || config.responses.issue_spam;
-  const logKey = config.logging.issue_blacklist_log || config.logging.issue_closed_log;
-  
-  await closeIssue(
-    octokit, 
-    owner, 
-    repo, 
-    issue.number, 
-    responseKey,
-    config,
-    true
-  );
-  
-  core.info(logMessage(logKey, { number: issue.number }));
+  const logKey = config.logging.issue_blacklist_log ? 'issue_blacklist_log' : 'issue_closed_log';
+  return await closeIssueWithType(octokit, owner, repo, issue, config, 'BLACKLISTED', logKey);
 }
 
 module.exports = {
   handleSpamIssue,
   handleContentFilteredIssue,
-  handleBasicIssue,
-  handleUnclearIssue,
+  handleDuplicateIssue,
   handleBlacklistedUser,
   closeIssueWithType
 };
@@ -0,0 +1,68 @@
+const core = require('@actions/core');
+const { logMessage } = require('../utils/helpers');
+const { handleNewIssue } = require('./issueHandler');
+const { handleNewPR } = require('./prHandler');
+
+/**
+ * 获取最新的Issue或PR内容，并按新建事件执行完整的检测流程
+ * @param {Object} octokit GitHub API客户端
+ * @param {Object} openai OpenAI客户端
+ * @param {Object} context GitHub上下文
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {string} aiModel AI模型名
+ * @param {Object} config 配置对象
+ * @param {Array} labelsList 标签列表
+ * @param {Array} blacklistUsers 黑名单用户列表
+ * @param {number} number Issue/PR编号
+ * @param {Object} options 处理选项 { force }，见 handleNewIssue
+ * @returns {Promise<Object>} 最新的Issue对象（PR也通过Issues API获取）
+ */
+async function reprocessItem(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers, number, options = {}) {
+  const { data: issue } = await octokit.rest.issues.get({ owner, repo, issue_number: number });
+
+  if (issue.pull_request) {
+    const { data: pr } = await octokit.rest.pulls.get({ owner, repo, pull_number: number });
+    const prContext = { ...context, eventName: 'pull_request_target', payload: { action: 'opened', pull_request: pr } };
+    await handleNewPR(octokit, openai, prContext, owner, repo, aiModel, config, labelsList, blacklistUsers, options);
+  } else {
+    const issueContext = { ...context, eventName: 'issues', payload: { action: 'opened', issue } };
+    await handleNewIssue(octokit, openai, issueContext, owner, repo, aiModel, config, labelsList, blacklistUsers, options);
+  }
+
+  return issue;
+}
+
+/**
+ * 手动运行：处理 workflow_dispatch 输入中指定的Issue或PR
+ * 手动指定的内容总是重新检测，即使之前已处理过
+ * @param {Object} octokit GitHub API客户端
+ * @param {Object} openai OpenAI客户端
+ * @param {Object} context GitHub上下文
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {string} aiModel AI模型名
+ * @param {Object} config 配置对象
+ * @param {Array} labelsList 标签列表
+ * @param {Array} blacklistUsers 黑名单用户列表
+ * @param {Object} target 输入参数 { issueNumber, prNumber }
+ * @returns {Promise<void>}
+ */
+async function handleManualRun(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers, target) {
+  if (target.prNumber) {
+    core.info(logMessage(config.logging.manual_run_start, { type: 'PR', number: target.prNumber }));
+    const { data: pr } = await octokit.rest.pulls.get({ owner, repo, pull_number: target.prNumber });
+    const prContext = { ...context, eventName: 'pull_request_target', payload: { action: 'opened', pull_request: pr } };
+    await handleNewPR(octokit, openai, prContext, owner, repo, aiModel, config, labelsList, blacklistUsers, { force: true });
+    return;
+  }
+
+  // Issue编号对应PR时按PR处理
+  core.info(logMessage(config.logging.manual_run_start, { type: 'Issue', number: target.issueNumber }));
+  await reprocessItem(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers, target.issueNumber, { force: true });
+}
+
+module.exports = {
+  handleManualRun,
+  reprocessItem
+};
@@ -2,7 +2,17 @@ const core = require('@actions/core');
 const { logMessage, handleApiCall } = require('../utils/helpers');
 const PrWorkflowService = require('../services/prWorkflowService');
 const { isContentFilterError } = require('../services/ai');
-const { closePR } = require('../services/github');
+const { executePolicy } = require('../services/policyService');
+const { evaluateTrust, logTrustedAuthor } = require('../services/trustService');
+const { evaluateRules, recordRuleMatch } = require('../services/ruleEngine');
+const { collectReputation } = require('../services/reputationService');
+const { analyzeLinks, logLinkReport, extractAddedPatchText } = require('../services/linkAnalyzer');
+const { isAppealPending } = require('../services/appealService');
+const { findDecisionMarker } = require('../services/github');
+const { startOutcome, recordOutcome, recordVerdict } = require('../services/outputs');
+const { recordError } = require('../services/runReport');
+const { notifyDecision } = require('../services/notifier');
+const { handleNeedsTriage } = require('./triageHandler');
 
 /**
  * 处理新创建的PR
@@ -15,40 +25,98 @@ const { closePR } = require('../services/github');
  * @param {Object} config 配置对象
  * @param {Array} labelsList 标签列表
  * @param {Array} blacklistUsers 黑名单用户列表
+ * @param {Object} options 处理选项 { force }，force 为true时忽略之前的处理记录
  */
-async function handleNewPR(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers) {
+async function handleNewPR(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers, options = {}) {
   try {
     const pr = context.payload.pull_request;
     const prTitle = pr.title;
     const prAuthor = pr.user.login.toLowerCase();
     
     core.info(logMessage(config.logging.pr_check_start, { title: prTitle }));
+    startOutcome(pr);
+    
+    // 申诉中的内容交由维护者处理
+    if (isAppealPending(pr, config)) {
+      core.info(logMessage(config.logging.appeal_pending_skip, { number: pr.number }));
+      recordOutcome({ decision: 'SKIPPED', step: 'appeal' });
+      return;
+    }
+    
+    // 已有决策评论说明之前的运行处理过，避免重复评论和重复调用AI
+    if (!options.force) {
+      const marker = await findDecisionMarker(octokit, owner, repo, pr.number);
+      if (marker) {
+        core.info(logMessage(config.logging.already_processed_skip, { number: pr.number, decision: marker.decision || '-' }));
+        recordOutcome({ decision: 'SKIPPED', step: 'already_processed' });
+        return;
+      }
+    }
     
     // 检查用户是否在黑名单中
     if (blacklistUsers.includes(prAuthor)) {
+      recordOutcome({ step: 'blacklist' });
       await handleBlacklistedPR(octokit, owner, repo, pr, config);
       return;
     }
     
-    // 获取PR的文件变更
-    const fileChanges = await analyzeFileChanges(octokit, owner, repo, pr, config);
+    // 确定性规则预过滤，命中时无需调用AI
+    const ruleMatch = evaluateRules(pr, 'pr', config);
+    if (ruleMatch) {
+      recordRuleMatch(ruleMatch, pr, config);
+      if (ruleMatch.action === 'spam') {
+        await handleSpamPR(octokit, owner, repo, pr, config);
+        return;
+      }
+      if (ruleMatch.action === 'skip') {
+        recordOutcome({ decision: 'SKIPPED' });
+        return;
+      }
+    }
+    
+    // 获取PR的文件变更，链接分析也需要扫描补丁内容
+    const scanPatches = Boolean(config.links?.enabled && config.links.scan_patches);
+    const files = config.ai_settings.analyze_file_changes || scanPatches
+      ? await fetchPRFiles(octokit, owner, repo, pr, config)
+      : [];
+    const fileChanges = analyzeFileChanges(files, config);
     
     // 创建工作流服务实例
     const workflowService = new PrWorkflowService(octokit, openai, aiModel, config);
     
+    // 可信作者跳过垃圾、Commit规范和质量检查，直接进行分类
+    const trust = ruleMatch?.action === 'trust'
+      ? { trusted: true, reason: `rule ${ruleMatch.rule}` }
+      : await evaluateTrust(octokit, owner, repo, pr, config);
+    if (trust.trusted) {
+      logTrustedAuthor(pr, trust, config);
+      recordOutcome({ decision: 'KEEP', step: 'trust' });
+      await handleValidPR(workflowService, owner, repo, pr, fileChanges, labelsList);
+      return;
+    }
+    
+    // 收集作者信誉和链接信号，作为垃圾检测的辅助依据
+    const reputation = await collectReputation(octokit, owner, repo, pr, config);
+    const linkReport = analyzeLinks(pr, config, scanPatches ? extractAddedPatchText(files) : '');
+    logLinkReport(linkReport, pr, config);
+    
     // 进行分层检测
-    const analysisResult = await workflowService.performLayeredDetection(pr, fileChanges);
+    const analysisResult = await workflowService.performLayeredDetection(pr, fileChanges, { reputation, linkReport });
     const decision = analysisResult.decision;
+    recordVerdict(decision, analysisResult.verdict);
     
     if (decision === 'SPAM') {
       await handleSpamPR(octokit, owner, repo, pr, config);
+    } else if (decision === 'NEEDS_TRIAGE') {
+      await handleNeedsTriage(octokit, owner, repo, pr, config, analysisResult, 'pr');
     } else if (decision === 'INVALID_COMMIT') {
       await handleInvalidCommitPR(octokit, owner, repo, pr, config);
     } else if (decision === 'MALICIOUS' || decision === 'TRIVIAL') {
       await handleLowQualityPR(octokit, owner, repo, pr, config, decision);
     } else if (decision === 'UNCLEAR') {
-      // 暂时保持开启，但可以添加评论要求澄清
+      // 默认保持开启，可通过 policies.pr.UNCLEAR 配置评论或标签
       core.info(`PR #{${pr.number}} 描述不够清晰，但暂时保持开启`);
+      await executePolicy(octokit, owner, repo, pr, 'pr', 'UNCLEAR', config);
       // 对于UNCLEAR的PR也可以尝试分类
       await handleValidPR(workflowService, owner, repo, pr, fileChanges, labelsList);
     } else {
@@ -58,17 +126,19 @@ async function handleNewPR(octokit, openai, context, owner, repo, aiModel, confi
     
   } catch (error) {
     core.error(logMessage(config.logging.pr_process_error, { error: error.message }));
+    recordError(error.message);
 
     if (isContentFilterError(error)) {
       const pr = context.payload.pull_request;
       core.warning(logMessage(config.logging.ai_content_filtered, { number: pr.number }));
+      recordOutcome({ step: 'content_filter', confidence: null });
       await closePRWithType(
         octokit,
         owner,
         repo,
         pr,
         config,
-        'pr_content_filtered',
+        'CONTENT_FILTERED',
         'pr_content_filtered_log'
       );
       return;
@@ -91,84 +161,67 @@ async function handleValidPR(workflowService, owner, repo, pr, fileChanges, labe
 }
 
 /**
- * 通用PR关闭处理函数
+ * 通用PR决策处理函数 - 按配置的策略执行评论、标签、关闭、锁定等动作，并按配置发送通知
  * @param {Object} octokit GitHub API客户端
  * @param {string} owner 仓库所有者
  * @param {string} repo 仓库名
  * @param {Object} pr PR对象
  * @param {Object} config 配置对象
- * @param {string} responseKey 响应消息键名
+ * @param {string} decision 决策类型，对应 policies.pr 中的键
  * @param {string} logKey 日志消息键名
+ * @returns {Promise<Object>} 策略执行结果
  */
-async function closePRWithType(octokit, owner, repo, pr, config, responseKey, logKey) {
-  await closePR(
-    octokit, 
-    owner, 
-    repo, 
-    pr.number, 
-    config.responses[responseKey],
-    config
-  );
+async function closePRWithType(octokit, owner, repo, pr, config, decision, logKey) {
+  const result = await executePolicy(octokit, owner, repo, pr, 'pr', decision, config);
   
   core.info(logMessage(config.logging[logKey], { number: pr.number }));
+  await notifyDecision(owner, repo, pr, 'pr', decision, result, config);
+  return result;
 }
 
 /**
  * 处理低质量PR（恶意或无意义）
  */
 async function handleLowQualityPR(octokit, owner, repo, pr, config, reason) {
-  const responseMap = {
-    'MALICIOUS': 'pr_malicious',
-    'TRIVIAL': 'pr_trivial'
-  };
-  
   const logMap = {
     'MALICIOUS': 'pr_malicious_log',
     'TRIVIAL': 'pr_trivial_log'
   };
   
-  const responseKey = responseMap[reason] || 'pr_closed';
-  const logKey = logMap[reason] || 'pr_closed_log';
-  
-  await closePRWithType(octokit, owner, repo, pr, config, responseKey, logKey);
+  return await closePRWithType(octokit, owner, repo, pr, config, reason, logMap[reason] || 'pr_closed_log');
 }
 
 /**
  * 处理黑名单用户的PR
  */
 async function handleBlacklistedPR(octokit, owner, repo, pr, config) {
-  await closePRWithType(octokit, owner, repo, pr, config, 'pr_closed', 'pr_closed_log');
+  return await closePRWithType(octokit, owner, repo, pr, config, 'BLACKLISTED', 'pr_closed_log');
 }
 
 /**
  * 处理不符合Commit规范的PR
  */
 async function handleInvalidCommitPR(octokit, owner, repo, pr, config) {
-  await closePRWithType(octokit, owner, repo, pr, config, 'pr_invalid_commit', 'pr_commit_rule_log');
+  return await closePRWithType(octokit, owner, repo, pr, config, 'INVALID_COMMIT', 'pr_commit_rule_log');
 }
 
 /**
  * 处理垃圾PR
  */
 async function handleSpamPR(octokit, owner, repo, pr, config) {
-  await closePRWithType(octokit, owner, repo, pr, config, 'pr_closed', 'pr_closed_log');
+  return await closePRWithType(octokit, owner, repo, pr, config, 'SPAM', 'pr_closed_log');
 }
 
 /**
- * 分析PR的文件变更
+ * 获取PR的文件列表
  * @param {Object} octokit GitHub API客户端
  * @param {string} owner 仓库所有者
  * @param {string} repo 仓库名
  * @param {Object} pr PR对象
  * @param {Object} config 配置对象
- * @returns {Promise<string>} 文件变更描述
+ * @returns {Promise<Array|null>} 文件列表，获取失败时返回null
  */
-async function analyzeFileChanges(octokit, owner, repo, pr, config) {
-  if (!config.ai_settings.analyze_file_changes) {
-    core.info(config.logging.file_analysis_disabled_info);
-    return config.logging.file_analysis_disabled;
-  }
-
+async function fetchPRFiles(octokit, owner, repo, pr, config) {
   try {
     const filesResponse = await handleApiCall(
       () => octokit.rest.pulls.listFiles({
@@ -178,52 +231,70 @@ async function analyzeFileChanges(octokit, owner, repo, pr, config) {
       }),
       config.logging.pr_files_fetch_failed
     );
+    return filesResponse.data || [];
+  } catch (error) {
+    core.warning(logMessage(config.logging.file_changes_error, { error: error.message }));
+    return null;
+  }
+}
+
+/**
+ * 分析PR的文件变更
+ * @param {Array|null} files PR的文件列表，获取失败时为null
+ * @param {Object} config 配置对象
+ * @returns {string} 文件变更描述
+ */
+function analyzeFileChanges(files, config) {
+  if (!config.ai_settings.analyze_file_changes) {
+    core.info(config.logging.file_analysis_disabled_info);
+    return config.logging.file_analysis_disabled;
+  }
+
+  if (!files) {
+    return config.logging.file_changes_unavailable;
+  }
+
+  if (files.length === 0) {
+    return config.logging.no_file_changes;
+  }
+
+  // 使用配置中的限制
+  const maxFiles = config.ai_settings.max_files_to_analyze || 5;
+  const filesToAnalyze = files.slice(0, maxFiles);
+  
+  const fileChanges = filesToAnalyze.map(file => {
+    let changeInfo = `${file.filename}(${file.status},+${file.additions}/-${file.deletions})`;
     
-    if (filesResponse.data && filesResponse.data.length > 0) {
-      // 使用配置中的限制
-      const maxFiles = config.ai_settings.max_files_to_analyze || 5;
-      const filesToAnalyze = filesResponse.data.slice(0, maxFiles);
+    // 只包含少量关键变更内容用于垃圾检测
+    if (file.patch) {
+      const patchLines = file.patch.split('\n');
+      const maxPatchLines = config.ai_settings.max_patch_lines_per_file || 5;
+      const limitedPatch = patchLines
+        .filter(line => line.startsWith('+') || line.startsWith('-'))
+        .slice(0, maxPatchLines)
+        .join('\n');
       
-      const fileChanges = filesToAnalyze.map(file => {
-        let changeInfo = `${file.filename}(${file.status},+${file.additions}/-${file.deletions})`;
-        
-        // 只包含少量关键变更内容用于垃圾检测
-        if (file.patch) {
-          const patchLines = file.patch.split('\n');
-          const maxPatchLines = config.ai_settings.max_patch_lines_per_file || 5;
-          const limitedPatch = patchLines
-            .filter(line => line.startsWith('+') || line.startsWith('-'))
-            .slice(0, maxPatchLines)
-            .join('\n');
-          
-          if (limitedPatch.trim()) {
-            changeInfo += `\n${limitedPatch}`;
-            if (patchLines.filter(line => line.startsWith('+') || line.startsWith('-')).length > maxPatchLines) {
-              changeInfo += '\n...';
-            }
-          }
+      if (limitedPatch.trim()) {
+        changeInfo += `\n${limitedPatch}`;
+        if (patchLines.filter(line => line.startsWith('+') || line.startsWith('-')).length > maxPatchLines) {
+          changeInfo += '\n...';
         }
-        
-        return changeInfo;
-      }).join('\n---\n');
-      
-      let result = fileChanges;
-      if (filesResponse.data.length > maxFiles) {
-        result += '\n' + logMessage(config.logging.file_changes_truncated, { 
-          total: filesResponse.data.length, 
-          shown: maxFiles 
-        });
       }
-      
-      core.info(logMessage(config.logging.file_changes_count, { count: filesResponse.data.length }));
-      return result;
-    } else {
-      return config.logging.no_file_changes;
     }
-  } catch (error) {
-    core.warning(logMessage(config.logging.file_changes_error, { error: error.message }));
-    return config.logging.file_changes_unavailable;
+    
+    return changeInfo;
+  }).join('\n---\n');
+  
+  let result = fileChanges;
+  if (files.length > maxFiles) {
+    result += '\n' + logMessage(config.logging.file_changes_truncated, { 
+      total: files.length, 
+      shown: maxFiles 
+    });
   }
+  
+  core.info(logMessage(config.logging.file_changes_count, { count: files.length }));
+  return result;
 }
 
 module.exports = {
@@ -0,0 +1,119 @@
+const core = require('@actions/core');
+const { logMessage, hasLabel } = require('../utils/helpers');
+const { addLabels } = require('../services/github');
+const { getModerationLabels } = require('../services/policyService');
+const { reprocessItem } = require('./manualHandler');
+const { recordSweep } = require('../services/runReport');
+
+/**
+ * 判断内容是否已被机器人处理过
+ * 带有处理标记、分类标签或审核标签的内容都视为已处理
+ * @param {Object} item Issue或PR对象
+ * @param {Object} config 配置对象
+ * @param {Array} labelsList 标签列表
+ * @returns {boolean} 是否已处理
+ */
+function isProcessed(item, config, labelsList) {
+  const knownLabels = new Set([...getModerationLabels(config), ...labelsList.map(label => label.toLowerCase())]);
+  return hasLabel(item, config.sweep.label)
+    || (item.labels || []).some(label => knownLabels.has((typeof label === 'string' ? label : label.name).toLowerCase()));
+}
+
+/**
+ * 查找尚未处理的开启中的Issue和PR，按创建时间从早到晚排列
+ * @returns {Promise<Array>} 最多 max_items 个待处理的内容
+ */
+async function findUnprocessedItems(octokit, owner, repo, config, labelsList) {
+  const settings = config.sweep;
+  const items = [];
+
+  const iterator = octokit.paginate.iterator(octokit.rest.issues.listForRepo, {
+    owner,
+    repo,
+    state: 'open',
+    sort: 'created',
+    direction: 'asc',
+    per_page: 100
+  });
+
+  for await (const { data } of iterator) {
+    for (const item of data) {
+      if (item.pull_request && !settings.include_pull_requests) {
+        continue;
+      }
+      if (!isProcessed(item, config, labelsList)) {
+        items.push(item);
+      }
+      if (items.length >= settings.max_items) {
+        return items;
+      }
+    }
+  }
+
+  return items;
+}
+
+/**
+ * 定时或手动触发时批量处理积压的Issue和PR
+ * 每个内容按新建事件执行相同的处理流程，处理后添加处理标记
+ * @param {Object} octokit GitHub API客户端
+ * @param {Object} openai OpenAI客户端
+ * @param {Object} context GitHub上下文
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {string} aiModel AI模型名
+ * @param {Object} config 配置对象
+ * @param {Array} labelsList 标签列表
+ * @param {Array} blacklistUsers 黑名单用户列表
+ * @returns {Promise<Array>} 处理结果 [{ number, type, title, status, error }]
+ */
+async function handleSweep(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers) {
+  const settings = config.sweep || {};
+  if (!settings.enabled) {
+    core.info(config.logging.sweep_disabled);
+    return [];
+  }
+
+  const items = await findUnprocessedItems(octokit, owner, repo, config, labelsList);
+  core.info(logMessage(config.logging.sweep_start, { count: items.length, max: settings.max_items }));
+
+  const results = [];
+  for (const [index, item] of items.entries()) {
+    const type = item.pull_request ? 'pr' : 'issue';
+    core.info(logMessage(config.logging.sweep_item_start, { index: index + 1, total: items.length, number: item.number }));
+
+    try {
+      await reprocessItem(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers, item.number);
+      results.push({ number: item.number, type, title: item.title, status: 'processed' });
+    } catch (error) {
+      core.warning(logMessage(config.logging.sweep_item_failed, { number: item.number, error: error.message }));
+      results.push({ number: item.number, type, title: item.title, status: 'failed', error: error.message });
+    }
+
+    // 失败的内容同样标记，避免每次运行都卡在同一批内容上
+    try {
+      await addLabels(octokit, owner, repo, item.number, [settings.label], config.logging.label_add_api_failed);
+    } catch (error) {
+      // 标记失败时下次运行会再次处理
+    }
+
+    // 每个内容可能触发多次AI调用，暂停按内容计算而不是按调用计算
+    if (index < items.length - 1 && settings.item_delay_seconds > 0) {
+      await sleep(settings.item_delay_seconds * 1000);
+    }
+  }
+
+  const failed = results.filter(result => result.status === 'failed').length;
+  core.info(logMessage(config.logging.sweep_done, { processed: results.length - failed, failed }));
+  recordSweep(results);
+  return results;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  handleSweep,
+  isProcessed
+};
@@ -0,0 +1,39 @@
+const core = require('@actions/core');
+const { logMessage } = require('../utils/helpers');
+const { requestTriage } = require('../services/github');
+const { recordVerdict } = require('../services/outputs');
+
+/**
+ * 处理置信度不足、需要人工分诊的Issue或PR
+ * 不关闭也不锁定，只添加分诊标签并提醒维护者
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {Object} item Issue或PR对象
+ * @param {Object} config 配置对象
+ * @param {Object} analysisResult 分析结果 { triageFor, verdict }
+ * @param {string} type 内容类型：'issue' 或 'pr'
+ */
+async function handleNeedsTriage(octokit, owner, repo, item, config, analysisResult, type = 'issue') {
+  const maintainers = config.triage.maintainers || [];
+  const confidence = analysisResult.verdict?.confidence;
+  const comment = logMessage(config.responses[`${type}_needs_triage`], {
+    decision: analysisResult.triageFor,
+    confidence: typeof confidence === 'number' ? confidence.toFixed(2) : '-',
+    maintainers: maintainers.length > 0
+      ? `\n\ncc ${maintainers.map(user => `@${user}`).join(' ')}`
+      : ''
+  });
+
+  await requestTriage(octokit, owner, repo, item.number, comment, config);
+  recordVerdict('NEEDS_TRIAGE', analysisResult.verdict);
+
+  core.info(logMessage(config.logging.needs_triage_log, {
+    number: item.number,
+    decision: analysisResult.triageFor
+  }));
+}
+
+module.exports = {
+  handleNeedsTriage
+};
@@ -1,11 +1,29 @@
 const core = require('@actions/core');
 const github = require('@actions/github');
-const OpenAI = require('openai');
 
-const { loadConfig, parseInputs } = require('./utils/config');
+const {
+  loadConfig,
+  loadRepositoryConfig,
+  applyRepositoryConfig,
+  getGitHubToken,
+  parseInputs
+} = require('./utils/config');
 const { logMessage } = require('./utils/helpers');
-const { handleNewIssue } = require('./handlers/issueHandler');
+const { handleNewIssue, handleUpdatedIssue } = require('./handlers/issueHandler');
 const { handleNewPR } = require('./handlers/prHandler');
+const { handleNewComment } = require('./handlers/commentHandler');
+const { handleCommand } = require('./handlers/commandHandler');
+const { handleSweep } = require('./handlers/sweepHandler');
+const { handleManualRun } = require('./handlers/manualHandler');
+const { lockExpiredAppealWindows } = require('./services/appealService');
+const { followUpNeedsInfo } = require('./services/needsInfoService');
+const { loadFeedback } = require('./services/feedbackStore');
+const { DryRunRecorder, createDryRunOctokit } = require('./services/dryRun');
+const { writeOutputs } = require('./services/outputs');
+const { createReportingOctokit, recordError, writeReport } = require('./services/runReport');
+const { writeAuditLog } = require('./services/auditLog');
+const { createAIClient, createFallbacks } = require('./services/aiProviders');
+const { resolveBotLogin } = require('./services/botIdentity');
 
 /**
  * 主程序入口
@@ -13,7 +31,13 @@ const { handleNewPR } = require('./handlers/prHandler');
 async function run() {
   try {
     // 加载配置文件
-    const baseConfig = loadConfig();
+    const bundledConfig = loadConfig();
+    const context = github.context;
+    const { owner, repo } = context.repo;
+    
+    // 合并目标仓库中的配置文件，输入参数仍然优先
+    const repositoryConfig = await loadRepositoryConfig(github.getOctokit(getGitHubToken()), owner, repo, bundledConfig);
+    const baseConfig = applyRepositoryConfig(bundledConfig, repositoryConfig);
     
     // 解析输入参数
     const {
@@ -27,30 +51,60 @@ async function run() {
       maxPatchLinesPerFile,
       customBaseUrl,
       customApiKey,
+      aiApiType,
+      aiProvider,
+      dryRun,
+      issueNumber,
+      prNumber,
       config
     } = parseInputs(baseConfig);
     
-    // 初始化GitHub客户端
-    const octokit = github.getOctokit(token);
-    const context = github.context;
+    // 初始化GitHub客户端，试运行模式下拦截所有写操作，执行的写操作记录到运行报告
+    const recorder = dryRun ? new DryRunRecorder(config) : null;
+    const octokit = createReportingOctokit(dryRun
+      ? createDryRunOctokit(github.getOctokit(token), recorder)
+      : github.getOctokit(token));
+    
+    // 确定发表评论所用的账号，用于识别机器人自己的评论
+    await resolveBotLogin(octokit, config);
     
-    // 确定使用的API配置
-    const apiBaseUrl = customBaseUrl || config.defaults.api_base_url;
-    const apiKey = customApiKey || token;
+    // 读取维护者纠正记录，作为AI请求中的示例
+    if (config.feedback?.enabled) {
+      const { entries } = await loadFeedback(octokit, owner, repo, config);
+      config.feedback_entries = entries;
+      core.info(logMessage(config.logging.feedback_loaded, { count: entries.length }));
+    }
+    
+    // 确定使用的API配置，OpenAI兼容接口默认使用GitHub Models和GitHub令牌
+    const useGitHubModels = aiProvider === 'openai' && !customBaseUrl;
+    const apiBaseUrl = customBaseUrl || (aiProvider === 'openai' ? config.defaults.api_base_url : '');
+    const apiKey = customApiKey || (aiProvider === 'openai' ? token : '');
     
-    // 初始化OpenAI客户端
-    const openai = new OpenAI({
+    // 初始化AI客户端，各处理函数通过提供商适配器调用AI，主模型不可用时依次尝试备用模型
+    const openai = createAIClient(aiProvider, { apiKey, baseURL: apiBaseUrl, apiType: aiApiType }, config);
+    openai.fallbacks = createFallbacks(config.ai_settings.fallbacks, openai, {
+      provider: aiProvider,
+      apiKey,
       baseURL: apiBaseUrl,
-      apiKey: apiKey
-    });
+      apiType: aiApiType
+    }, config);
     
     // 输出配置信息
-    if (customBaseUrl) {
-      core.info(config.logging.using_custom_api);
-    } else {
+    core.info(logMessage(config.logging.using_ai_provider, { provider: aiProvider }));
+    if (useGitHubModels) {
       core.info(config.logging.using_github_models);
+    } else if (customBaseUrl) {
+      core.info(config.logging.using_custom_api);
     }
     core.info(logMessage(config.logging.using_ai_model, { model: aiModel }));
+    if (openai.fallbacks.length > 0) {
+      core.info(logMessage(config.logging.using_fallback_models, {
+        models: openai.fallbacks.map(fallback => fallback.label).join(', ')
+      }));
+    }
+    if (dryRun) {
+      core.info(config.logging.dry_run_enabled);
+    }
     core.info(config.logging.config_info);
     core.info(logMessage(config.logging.analysis_depth_info, { analyze_changes: analyzeFileChanges }));
     core.info(logMessage(config.logging.analysis_depth_details, { 
@@ -59,16 +113,19 @@ async function run() {
       lines: maxPatchLinesPerFile 
     }));
 
-    // 获取仓库信息
-    const { owner, repo } = context.repo;
-    
-    // 根据事件类型处理
-    if (context.eventName === 'issues' && context.payload.action === 'opened') {
-      await handleNewIssue(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers);
-    } else if ((context.eventName === 'pull_request_target') && context.payload.action === 'opened') {
-      await handleNewPR(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers);
-    } else {
-      core.info(config.logging.event_no_match);
+    // 根据事件类型处理，失败时同样输出处理结果、运行报告、审计记录和试运行拦截的操作，便于排查
+    try {
+      await dispatchEvent(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers, { issueNumber, prNumber });
+    } catch (error) {
+      recordError(error.message);
+      throw error;
+    } finally {
+      writeOutputs();
+      await writeReport(config, context, dryRun);
+      await writeAuditLog(octokit, owner, repo, config, context, aiModel, dryRun);
+      if (recorder) {
+        recorder.report();
+      }
     }
     
   } catch (error) {
@@ -76,6 +133,36 @@ async function run() {
   }
 }
 
+/**
+ * 根据事件类型分发处理
+ * @param {Object} target 手动运行指定的内容 { issueNumber, prNumber }
+ */
+async function dispatchEvent(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers, target) {
+  if (context.eventName === 'issues' && context.payload.action === 'opened') {
+    await handleNewIssue(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers);
+  } else if (context.eventName === 'issues' && ['edited', 'reopened'].includes(context.payload.action)) {
+    await handleUpdatedIssue(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers);
+  } else if ((context.eventName === 'pull_request_target') && context.payload.action === 'opened') {
+    await handleNewPR(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers);
+  } else if (context.eventName === 'issue_comment' && context.payload.action === 'created') {
+    // 维护者命令优先处理，其余评论进行垃圾检测
+    const handled = await handleCommand(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers);
+    if (!handled) {
+      await handleNewComment(octokit, openai, context, owner, repo, aiModel, config, blacklistUsers);
+    }
+  } else if (context.eventName === 'workflow_dispatch' && (target.issueNumber || target.prNumber)) {
+    // 手动运行指定的Issue或PR，便于排查单个误判
+    await handleManualRun(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers, target);
+  } else if (['schedule', 'workflow_dispatch'].includes(context.eventName)) {
+    // 定时或手动运行：锁定申诉窗口已结束的内容，跟进等待补充信息的Issue，并处理积压的Issue和PR
+    await lockExpiredAppealWindows(octokit, owner, repo, config);
+    await followUpNeedsInfo(octokit, owner, repo, config);
+    await handleSweep(octokit, openai, context, owner, repo, aiModel, config, labelsList, blacklistUsers);
+  } else {
+    core.info(config.logging.event_no_match);
+  }
+}
+
 if (require.main === module) {
   run();
 }
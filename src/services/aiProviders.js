@@ -0,0 +1,410 @@
+const OpenAI = require('openai');
+
+/**
+ * AI提供商适配器 - 将统一的请求（instructions、input、schema）转换为各提供商的接口格式
+ * 每个适配器提供 complete(model, request, config) 方法，返回模型输出的文本
+ * 拒绝回答和内容过滤统一抛出 code 为 content_filter_refusal 的错误，见 isContentFilterError
+ */
+
+const SUPPORTED_AI_PROVIDERS = new Set(['openai', 'anthropic', 'ollama', 'gemini']);
+// 与OpenAI SDK默认超时一致，避免服务端无响应时长时间占用运行
+const REQUEST_TIMEOUT_MS = 10 * 60 * 1000;
+// Gemini中表示因安全策略拦截的结束原因
+const GEMINI_BLOCK_REASONS = new Set(['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'IMAGE_SAFETY']);
+
+function createResponseError(message, code, details) {
+  const error = new Error(message);
+  error.code = code;
+  error.error = details;
+  return error;
+}
+
+function getResponsesContent(response, type) {
+  return (response.output || [])
+    .flatMap(item => item.content || [])
+    .filter(content => content.type === type);
+}
+
+function getResponsesText(response) {
+  if (response.status === 'failed') {
+    throw createResponseError(
+      response.error?.message || 'Responses API request failed',
+      response.error?.code || 'response_failed',
+      response.error
+    );
+  }
+
+  if (response.status === 'incomplete') {
+    const reason = response.incomplete_details?.reason || 'unknown';
+    if (reason === 'content_filter') {
+      throw createResponseError(
+        'Responses API output was blocked by content filtering',
+        'content_filter_refusal',
+        response.incomplete_details
+      );
+    }
+    throw createResponseError(
+      `Responses API output was incomplete: ${reason}`,
+      'response_incomplete',
+      response.incomplete_details
+    );
+  }
+
+  const refusal = getResponsesContent(response, 'refusal')[0];
+  if (refusal) {
+    throw createResponseError(
+      refusal.refusal || 'Responses API refused the request',
+      'content_filter_refusal',
+      refusal
+    );
+  }
+
+  if (typeof response.output_text === 'string') {
+    return response.output_text;
+  }
+
+  const outputText = getResponsesContent(response, 'output_text');
+  const contentItems = outputText.length
+    ? outputText
+    : (response.output || []).flatMap(item => item.content || []);
+
+  return contentItems
+    .map(content => content.text || content.value || '')
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * OpenAI兼容接口适配器，使用OpenAI SDK客户端
+ * @param {Object} openai OpenAI客户端实例
+ * @param {string} [apiType] 接口类型：chat-completions 或 responses，未指定时读取 config.ai_settings.api_type
+ * @returns {Object} 适配器
+ */
+function createOpenAIAdapter(openai, apiType = null) {
+  return {
+    name: 'openai',
+    async complete(model, request, config) {
+      if ((apiType || config.ai_settings.api_type) === 'responses') {
+        const params = {
+          model,
+          instructions: request.instructions,
+          input: request.input,
+          max_output_tokens: config.ai_settings.max_tokens,
+          store: false
+        };
+        if (request.schema) {
+          params.text = {
+            format: { type: 'json_schema', name: 'verdict', strict: true, schema: request.schema }
+          };
+        }
+        return getResponsesText(await openai.responses.create(params));
+      }
+
+      const params = {
+        model,
+        messages: [
+          { role: 'system', content: request.instructions },
+          { role: 'user', content: request.input }
+        ],
+        max_tokens: config.ai_settings.max_tokens,
+        temperature: config.ai_settings.temperature
+      };
+      if (request.schema) {
+        params.response_format = {
+          type: 'json_schema',
+          json_schema: { name: 'verdict', strict: true, schema: request.schema }
+        };
+      }
+      const response = await openai.chat.completions.create(params);
+      const message = response.choices[0].message;
+      if (message.refusal) {
+        throw createResponseError(message.refusal, 'content_filter_refusal', message);
+      }
+      return message.content;
+    }
+  };
+}
+
+/**
+ * 发送JSON请求，非2xx响应按OpenAI SDK的错误形式抛出（status、error），便于统一判断和记录
+ */
+async function postJSON(url, headers, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    data = text;
+  }
+
+  if (!response.ok) {
+    const details = data?.error ?? data;
+    const message = (typeof details === 'string' ? details : details?.message) || `HTTP ${response.status}`;
+    const error = new Error(`${response.status} ${message}`);
+    error.status = response.status;
+    error.code = typeof details === 'object' ? details?.code || details?.type || details?.status : undefined;
+    error.error = details;
+    error.headers = Object.fromEntries(response.headers.entries());
+    throw error;
+  }
+
+  return data;
+}
+
+function trimSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * Anthropic Messages API适配器
+ * Messages API没有JSON Schema约束，结构化判定依靠提示词要求并宽松解析
+ * @param {Object} options { apiKey, baseURL, version }
+ * @returns {Object} 适配器
+ */
+function createAnthropicAdapter(options) {
+  return {
+    name: 'anthropic',
+    async complete(model, request, config) {
+      const response = await postJSON(`${trimSlash(options.baseURL)}/v1/messages`, {
+        'x-api-key': options.apiKey,
+        'anthropic-version': options.version
+      }, {
+        model,
+        system: request.instructions,
+        messages: [{ role: 'user', content: request.input }],
+        max_tokens: config.ai_settings.max_tokens,
+        temperature: config.ai_settings.temperature
+      });
+
+      if (response.stop_reason === 'refusal') {
+        throw createResponseError('Anthropic API refused the request', 'content_filter_refusal', response);
+      }
+      return (response.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('\n');
+    }
+  };
+}
+
+/**
+ * Ollama原生接口（/api/chat）适配器，format 字段支持JSON Schema
+ * @param {Object} options { baseURL, apiKey }，apiKey 用于需要鉴权的代理，可为空
+ * @returns {Object} 适配器
+ */
+function createOllamaAdapter(options) {
+  return {
+    name: 'ollama',
+    async complete(model, request, config) {
+      const body = {
+        model,
+        messages: [
+          { role: 'system', content: request.instructions },
+          { role: 'user', content: request.input }
+        ],
+        stream: false,
+        options: {
+          temperature: config.ai_settings.temperature,
+          num_predict: config.ai_settings.max_tokens
+        }
+      };
+      if (request.schema) {
+        body.format = request.schema;
+      }
+
+      const headers = options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {};
+      const response = await postJSON(`${trimSlash(options.baseURL)}/api/chat`, headers, body);
+      return response.message?.content || '';
+    }
+  };
+}
+
+/**
+ * Google Gemini API（generateContent）适配器
+ * @param {Object} options { apiKey, baseURL }
+ * @returns {Object} 适配器
+ */
+function createGeminiAdapter(options) {
+  return {
+    name: 'gemini',
+    async complete(model, request, config) {
+      const generationConfig = {
+        maxOutputTokens: config.ai_settings.max_tokens,
+        temperature: config.ai_settings.temperature
+      };
+      if (request.schema) {
+        generationConfig.responseMimeType = 'application/json';
+        generationConfig.responseJsonSchema = request.schema;
+      }
+
+      const modelPath = model.startsWith('models/') ? model : `models/${model}`;
+      const response = await postJSON(`${trimSlash(options.baseURL)}/${modelPath}:generateContent`, {
+        'x-goog-api-key': options.apiKey
+      }, {
+        systemInstruction: { parts: [{ text: request.instructions }] },
+        contents: [{ role: 'user', parts: [{ text: request.input }] }],
+        generationConfig
+      });
+
+      const blockReason = response.promptFeedback?.blockReason;
+      if (blockReason) {
+        throw createResponseError(`Gemini API blocked the prompt: ${blockReason}`, 'content_filter_refusal', response.promptFeedback);
+      }
+      const candidate = response.candidates?.[0];
+      if (GEMINI_BLOCK_REASONS.has(candidate?.finishReason)) {
+        throw createResponseError(
+          `Gemini API blocked the response: ${candidate.finishReason}`,
+          'content_filter_refusal',
+          { finishReason: candidate.finishReason, safetyRatings: candidate.safetyRatings }
+        );
+      }
+      return (candidate?.content?.parts || [])
+        .map(part => part.text || '')
+        .filter(Boolean)
+        .join('\n');
+    }
+  };
+}
+
+/**
+ * 获取可调用的适配器，未适配的客户端视为OpenAI SDK客户端
+ * @param {Object} client createAIClient 的结果或OpenAI客户端实例
+ * @returns {Object} 适配器
+ */
+function resolveAdapter(client) {
+  return typeof client?.complete === 'function' ? client : createOpenAIAdapter(client);
+}
+
+/**
+ * 根据提供商创建AI客户端
+ * @param {string} provider 提供商：openai、anthropic、ollama 或 gemini
+ * @param {Object} options 客户端选项
+ * @param {string} options.apiKey API密钥
+ * @param {string} options.baseURL 自定义API地址，未设置时使用 config.ai_providers 中的默认地址
+ * @param {string} options.apiType OpenAI兼容接口类型
+ * @param {Object} config 配置对象
+ * @returns {Object} 适配器
+ * @throws {Error} 提供商不受支持时抛出错误
+ */
+function createAIClient(provider, options, config) {
+  const settings = config.ai_providers?.[provider] || {};
+  const baseURL = options.baseURL || settings.base_url;
+
+  switch (provider) {
+  case 'openai':
+    // 重试由 callAI 的重试策略统一处理，关闭SDK自带的重试
+    return createOpenAIAdapter(new OpenAI({ baseURL, apiKey: options.apiKey, maxRetries: 0 }), options.apiType);
+  case 'anthropic':
+    return createAnthropicAdapter({ apiKey: options.apiKey, baseURL, version: settings.version });
+  case 'ollama':
+    return createOllamaAdapter({ apiKey: options.apiKey, baseURL });
+  case 'gemini':
+    return createGeminiAdapter({ apiKey: options.apiKey, baseURL });
+  default:
+    throw new Error(`Unsupported AI provider: ${provider}`);
+  }
+}
+
+/**
+ * 判断备用模型是否沿用主客户端的密钥：只有提供商和地址都与主客户端相同时才沿用，
+ * 避免把主密钥（openai 默认是GitHub令牌）发送到仓库配置指定的其他端点
+ */
+function reusesPrimaryKey(entry, primaryOptions) {
+  const provider = entry.provider || primaryOptions.provider;
+  return provider === primaryOptions.provider
+    && (!entry.base_url || trimSlash(entry.base_url) === trimSlash(primaryOptions.baseURL || ''));
+}
+
+/**
+ * 验证备用模型配置
+ * 更换端点的备用模型必须通过 api_key_env 指定自己的密钥，Ollama不需要鉴权除外
+ * @param {Array} fallbacks 备用模型配置
+ * @param {Object} [primaryOptions] 主客户端选项 { provider, baseURL }，未提供时只检查与主客户端无关的规则
+ * @throws {Error} 配置无效时抛出错误
+ */
+function validateFallbacks(fallbacks, primaryOptions = null) {
+  if (fallbacks === undefined || fallbacks === null) {
+    return;
+  }
+  if (!Array.isArray(fallbacks)) {
+    throw new Error('ai_settings.fallbacks 必须是数组');
+  }
+
+  for (const entry of fallbacks) {
+    if (typeof entry === 'string') {
+      continue;
+    }
+    if (!entry?.model) {
+      throw new Error('ai_settings.fallbacks 中的每一项都需要 model');
+    }
+    if (entry.provider && !SUPPORTED_AI_PROVIDERS.has(entry.provider)) {
+      throw new Error(`Unsupported AI provider: ${entry.provider}`);
+    }
+
+    const provider = entry.provider || primaryOptions?.provider;
+    const needsOwnKey = primaryOptions ? !reusesPrimaryKey(entry, primaryOptions) : Boolean(entry.base_url);
+    if (needsOwnKey && provider !== 'ollama' && !entry.api_key_env) {
+      throw new Error(`备用模型 ${entry.model} 使用了其他端点，需要通过 api_key_env 指定密钥`);
+    }
+  }
+}
+
+/**
+ * 创建备用模型列表，主模型不可用时按顺序尝试
+ * 字符串表示主客户端上的其他模型；对象 { model, provider, base_url, api_key_env } 表示其他端点，
+ * 未指定的提供商和地址沿用主客户端，密钥从 api_key_env 指定的环境变量读取；
+ * 只有提供商和地址都未改变时才沿用主客户端的密钥
+ * @param {Array} fallbacks 备用模型配置
+ * @param {Object} primary 主客户端
+ * @param {Object} primaryOptions 主客户端选项 { provider, apiKey, baseURL, apiType }
+ * @param {Object} config 配置对象
+ * @returns {Array} [{ client, model, label }]
+ * @throws {Error} 配置无效或密钥环境变量为空时抛出错误
+ */
+function createFallbacks(fallbacks, primary, primaryOptions, config) {
+  validateFallbacks(fallbacks, primaryOptions);
+
+  return (fallbacks || []).map(entry => {
+    if (typeof entry === 'string') {
+      return { client: primary, model: entry, label: entry };
+    }
+
+    const provider = entry.provider || primaryOptions.provider;
+    const sameProvider = provider === primaryOptions.provider;
+    let apiKey = '';
+    if (entry.api_key_env) {
+      apiKey = process.env[entry.api_key_env] || '';
+      if (!apiKey) {
+        throw new Error(`备用模型 ${entry.model} 的密钥环境变量 ${entry.api_key_env} 为空`);
+      }
+    } else if (reusesPrimaryKey(entry, primaryOptions)) {
+      apiKey = primaryOptions.apiKey;
+    }
+
+    const client = createAIClient(provider, {
+      apiKey,
+      baseURL: entry.base_url || (sameProvider ? primaryOptions.baseURL : ''),
+      apiType: primaryOptions.apiType
+    }, config);
+    return { client, model: entry.model, label: sameProvider ? entry.model : `${provider}:${entry.model}` };
+  });
+}
+
+module.exports = {
+  SUPPORTED_AI_PROVIDERS,
+  createAIClient,
+  createFallbacks,
+  validateFallbacks,
+  createOpenAIAdapter,
+  createAnthropicAdapter,
+  createOllamaAdapter,
+  createGeminiAdapter,
+  resolveAdapter
+};
@@ -0,0 +1,148 @@
+const core = require('@actions/core');
+const { logMessage, quoteUserText, hasLabel, executeApiCalls } = require('../utils/helpers');
+const { addComment, listComments, upsertComment } = require('./github');
+const { findMarkedComment } = require('../utils/commentMarker');
+const { isOwnAccount, getBotLogin } = require('./botIdentity');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 申诉记录评论的标记键，用于保证每个内容只能申诉一次
+const APPEAL_MARKER_KEY = 'appeal';
+
+/**
+ * 判断内容是否正在申诉中，申诉中的内容不会被自动关闭
+ * @param {Object} item Issue或PR对象
+ * @param {Object} config 配置对象
+ * @returns {boolean} 是否正在申诉
+ */
+function isAppealPending(item, config) {
+  return Boolean(config.appeals?.enabled) && hasLabel(item, config.appeals.label);
+}
+
+/**
+ * 处理作者对被机器人关闭的内容提出的申诉
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {Object} item Issue或PR对象（来自评论事件）
+ * @param {Object} comment 申诉评论
+ * @param {string} reason 申诉理由
+ * @param {Object} config 配置对象
+ * @returns {Promise<boolean>} 是否作为申诉处理；不满足申诉条件时返回false
+ */
+async function submitAppeal(octokit, owner, repo, item, comment, reason, config) {
+  const settings = config.appeals || {};
+  if (!settings.enabled || comment.user.login.toLowerCase() !== item.user.login.toLowerCase()) {
+    return false;
+  }
+
+  // 评论事件中的Issue对象不包含 closed_by，需要重新获取
+  const { data: current } = await octokit.rest.issues.get({ owner, repo, issue_number: item.number });
+  if (current.state !== 'closed' || !isOwnAccount(current.closed_by) || current.locked) {
+    core.info(logMessage(config.logging.appeal_not_applicable, { number: item.number }));
+    return false;
+  }
+
+  const comments = await listComments(octokit, owner, repo, item.number, config.logging.issue_comments_fetch_failed);
+  if (findMarkedComment(comments, APPEAL_MARKER_KEY, getBotLogin())) {
+    await addComment(
+      octokit,
+      owner,
+      repo,
+      item.number,
+      config.responses.appeal_already_submitted,
+      config.logging.issue_comment_failed,
+      { key: 'appeal_reply' }
+    );
+    core.info(logMessage(config.logging.appeal_duplicate, { number: item.number }));
+    return true;
+  }
+
+  const maintainers = config.triage?.maintainers || [];
+  const body = logMessage(config.responses.appeal_received, {
+    reason: quoteUserText(reason || '-'),
+    maintainers: maintainers.length > 0 ? `\n\ncc ${maintainers.map(user => `@${user}`).join(' ')}` : ''
+  });
+
+  const calls = [
+    {
+      operation: () => octokit.rest.issues.addLabels({ owner, repo, issue_number: item.number, labels: [settings.label] }),
+      errorMessage: config.logging.label_add_api_failed
+    },
+    {
+      operation: () => upsertComment(octokit, owner, repo, item.number, body, { key: APPEAL_MARKER_KEY }),
+      errorMessage: config.logging.issue_comment_failed
+    }
+  ];
+  if (hasLabel(current, settings.window_label)) {
+    // 申诉后不再在窗口结束时锁定
+    calls.push({
+      operation: () => octokit.rest.issues.removeLabel({ owner, repo, issue_number: item.number, name: settings.window_label }),
+      errorMessage: config.logging.label_remove_failed
+    });
+  }
+  await executeApiCalls(calls);
+
+  core.info(logMessage(config.logging.appeal_recorded, { number: item.number, author: comment.user.login }));
+  return true;
+}
+
+/**
+ * 锁定申诉窗口已结束的内容
+ * 处理策略在启用申诉时用窗口标签代替立即锁定，由定时运行在窗口结束后补上锁定
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {Object} config 配置对象
+ * @returns {Promise<number>} 本次锁定的数量
+ */
+async function lockExpiredAppealWindows(octokit, owner, repo, config) {
+  const settings = config.appeals || {};
+  if (!settings.enabled) {
+    return 0;
+  }
+
+  const items = await octokit.paginate(octokit.rest.issues.listForRepo, {
+    owner,
+    repo,
+    state: 'closed',
+    labels: settings.window_label,
+    per_page: 100
+  });
+
+  const deadline = Date.now() - settings.window_days * DAY_MS;
+  let locked = 0;
+
+  for (const item of items) {
+    if (item.locked || hasLabel(item, settings.label) || new Date(item.closed_at).getTime() > deadline) {
+      continue;
+    }
+
+    const results = await executeApiCalls([
+      {
+        operation: () => octokit.rest.issues.lock({
+          owner,
+          repo,
+          issue_number: item.number,
+          lock_reason: config.defaults.lock_reason
+        }),
+        errorMessage: config.logging.issue_lock_failed
+      },
+      {
+        operation: () => octokit.rest.issues.removeLabel({ owner, repo, issue_number: item.number, name: settings.window_label }),
+        errorMessage: config.logging.label_remove_failed
+      }
+    ]);
+    if (results[0].success) {
+      locked++;
+    }
+  }
+
+  core.info(logMessage(config.logging.appeal_windows_locked, { count: locked }));
+  return locked;
+}
+
+module.exports = {
+  isAppealPending,
+  submitAppeal,
+  lockExpiredAppealWindows
+};
@@ -0,0 +1,237 @@
+const core = require('@actions/core');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logMessage } = require('../utils/helpers');
+const { appendDataFile } = require('./dataBranch');
+const { getReportEntries } = require('./runReport');
+
+/**
+ * 审计日志 - 每次运行结束时为处理过的每个内容追加一条JSON Lines记录
+ * 记录写入数据分支上的文件，或写入本地文件后由Action作为构件上传
+ */
+
+const AUDIT_TARGETS = new Set(['branch', 'artifact']);
+// 并发运行同时追加数据分支文件时，sha冲突后重新读取的次数
+const MAX_APPEND_ATTEMPTS = 3;
+
+/**
+ * 计算提示词版本，提示词（包括仓库配置中的覆盖）变化时版本随之变化
+ * @param {Object} config 配置对象
+ * @returns {string} 12位sha256前缀
+ */
+function getPromptVersion(config) {
+  return crypto.createHash('sha256').update(JSON.stringify(config.prompts || {})).digest('hex').slice(0, 12);
+}
+
+function formatActions(actions) {
+  return actions.map(action => ({
+    method: action.method,
+    success: action.success,
+    error: action.error || null,
+    dry_run: action.dryRun
+  }));
+}
+
+/**
+ * 根据运行报告生成审计记录
+ * 不属于已处理内容的写操作（如定时任务关闭或锁定的其他内容）按编号各生成一条记录
+ * @param {Object} config 配置对象
+ * @param {Object} context GitHub上下文
+ * @param {string} aiModel 使用的AI模型
+ * @param {boolean} dryRun 是否为试运行
+ * @returns {Array} 审计记录
+ */
+function buildAuditRecords(config, context, aiModel, dryRun = false) {
+  const { entries, general } = getReportEntries();
+  const timestamp = new Date().toISOString();
+  const event = context.payload?.action ? `${context.eventName}.${context.payload.action}` : context.eventName;
+  const base = {
+    timestamp,
+    event,
+    run_id: context.runId || null,
+    model: aiModel,
+    prompt_version: getPromptVersion(config),
+    dry_run: dryRun
+  };
+
+  const records = entries.map(entry => ({
+    ...base,
+    item: { type: entry.type, number: entry.number, title: entry.title, url: entry.url },
+    author: entry.author,
+    decision: entry.outcome?.decision || null,
+    step: entry.outcome?.step || null,
+    classification: entry.outcome?.classification || null,
+    confidence: entry.outcome?.confidence ?? null,
+    closed: Boolean(entry.outcome?.closed),
+    locked: Boolean(entry.outcome?.locked),
+    chain: entry.steps.map(step => ({
+      check: step.name,
+      model: step.model,
+      verdict: step.verdict,
+      confidence: step.confidence,
+      error: step.error || null
+    })),
+    actions: formatActions(entry.actions),
+    errors: [...entry.errors]
+  }));
+
+  const byNumber = new Map();
+  for (const action of general.actions.filter(candidate => candidate.number)) {
+    byNumber.set(action.number, [...(byNumber.get(action.number) || []), action]);
+  }
+  for (const [number, actions] of byNumber) {
+    records.push({
+      ...base,
+      item: { type: null, number, title: '', url: '' },
+      author: null,
+      decision: null,
+      step: null,
+      classification: null,
+      confidence: null,
+      closed: actions.some(action => action.success && ['issues.update', 'pulls.update'].includes(action.method)),
+      locked: actions.some(action => action.success && action.method === 'issues.lock'),
+      chain: [],
+      actions: formatActions(actions),
+      errors: []
+    });
+  }
+
+  return records;
+}
+
+/**
+ * 将记录序列化为JSON Lines
+ * @param {Array} records 审计记录
+ * @returns {string} 每行一条记录，以换行结尾
+ */
+function serializeRecords(records) {
+  return records.map(record => `${JSON.stringify(record)}\n`).join('');
+}
+
+/**
+ * 解析JSON Lines内容，跳过空行和无法解析的行
+ * @param {string} content 日志内容
+ * @returns {Array} 审计记录
+ */
+function parseAuditLog(content) {
+  const records = [];
+  for (const line of String(content || '').split(/\r?\n/)) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // 截断或损坏的行不影响其他记录
+    }
+  }
+  return records;
+}
+
+/**
+ * 按日期、决策和作者筛选审计记录
+ * @param {Array} records 审计记录
+ * @param {Object} filters 筛选条件
+ * @param {string} filters.since 起始日期（含），ISO格式，例如 2024-05-01
+ * @param {string} filters.until 结束日期（含），只给出日期时包含当天全部记录
+ * @param {string} filters.decision 决策类型，不区分大小写
+ * @param {string} filters.author 作者用户名，不区分大小写
+ * @returns {Array} 符合条件的记录
+ */
+function filterAuditRecords(records, filters = {}) {
+  const since = filters.since ? Date.parse(filters.since) : null;
+  let until = filters.until ? Date.parse(filters.until) : null;
+  if (until !== null && /^\d{4}-\d{2}-\d{2}$/.test(filters.until)) {
+    until += 24 * 60 * 60 * 1000 - 1;
+  }
+  const decision = filters.decision?.toUpperCase();
+  const author = filters.author?.replace(/^@/, '').toLowerCase();
+
+  return records.filter(record => {
+    const time = Date.parse(record.timestamp);
+    if (since !== null && !(time >= since)) return false;
+    if (until !== null && !(time <= until)) return false;
+    if (decision && (record.decision || '').toUpperCase() !== decision) return false;
+    if (author && (record.author || '').toLowerCase() !== author) return false;
+    return true;
+  });
+}
+
+/**
+ * 将记录追加到数据分支上的日志文件，只在文件末尾添加，不改写已有记录
+ */
+async function appendToBranch(octokit, owner, repo, settings, content, count) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await appendDataFile(
+        octokit,
+        owner,
+        repo,
+        settings.branch,
+        settings.path,
+        content,
+        `Append ${count} audit log record(s)`
+      );
+      return;
+    } catch (error) {
+      // 其他运行同时更新了分支，重新读取后再追加
+      if (![409, 422].includes(error.status) || attempt >= MAX_APPEND_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * 写入本次运行的审计记录，失败时只输出警告，不影响运行结果
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {Object} config 配置对象
+ * @param {Object} context GitHub上下文
+ * @param {string} aiModel 使用的AI模型
+ * @param {boolean} dryRun 是否为试运行
+ * @returns {Promise<number>} 写入的记录数
+ */
+async function writeAuditLog(octokit, owner, repo, config, context, aiModel, dryRun = false) {
+  const settings = config.audit_log || {};
+  if (!settings.enabled) {
+    return 0;
+  }
+
+  const records = buildAuditRecords(config, context, aiModel, dryRun);
+  if (records.length === 0) {
+    return 0;
+  }
+
+  const content = serializeRecords(records);
+  try {
+    if (settings.target === 'artifact') {
+      const filePath = path.join(process.env.RUNNER_TEMP || process.cwd(), settings.artifact_file);
+      fs.appendFileSync(filePath, content);
+      core.setOutput('audit-log-file', filePath);
+      core.info(logMessage(config.logging.audit_log_written, { count: records.length, target: filePath }));
+    } else {
+      await appendToBranch(octokit, owner, repo, settings, content, records.length);
+      core.info(logMessage(config.logging.audit_log_written, {
+        count: records.length,
+        target: `${settings.branch}:${settings.path}`
+      }));
+    }
+    return records.length;
+  } catch (error) {
+    core.warning(logMessage(config.logging.audit_log_failed, { error: error.message }));
+    return 0;
+  }
+}
+
+module.exports = {
+  AUDIT_TARGETS,
+  getPromptVersion,
+  buildAuditRecords,
+  serializeRecords,
+  parseAuditLog,
+  filterAuditRecords,
+  writeAuditLog
+};
@@ -0,0 +1,68 @@
+const core = require('@actions/core');
+const { logMessage, isAccount } = require('../utils/helpers');
+
+/**
+ * 机器人身份 - 确定本次运行发表评论所用的账号，用于识别机器人自己的评论和关闭操作
+ * 使用PAT运行时评论作者是普通用户，不能只按 user.type === 'Bot' 判断
+ */
+
+// GITHUB_TOKEN 无法查询当前用户，评论作者固定为该账号
+const DEFAULT_BOT_LOGIN = 'github-actions[bot]';
+
+let botLogin = null;
+
+/**
+ * 确定本次运行所用的账号：优先使用 defaults.bot_login（GitHub App 为 `<slug>[bot]`），
+ * 其次查询令牌对应的用户（PAT），查询失败时视为 GITHUB_TOKEN 的 github-actions[bot]
+ * @param {Object} octokit GitHub API客户端
+ * @param {Object} config 配置对象
+ * @returns {Promise<string>} 账号登录名
+ */
+async function resolveBotLogin(octokit, config) {
+  if (config.defaults.bot_login) {
+    botLogin = config.defaults.bot_login;
+  } else {
+    try {
+      const { data } = await octokit.rest.users.getAuthenticated();
+      botLogin = data.login;
+    } catch (error) {
+      botLogin = DEFAULT_BOT_LOGIN;
+    }
+  }
+
+  core.info(logMessage(config.logging.bot_login_resolved, { login: botLogin }));
+  return botLogin;
+}
+
+/**
+ * 判断用户是否为本次运行所用的账号
+ * 尚未确定账号时（例如单独调用服务）按机器人类型判断
+ * @param {Object} user GitHub用户对象
+ * @returns {boolean}
+ */
+function isOwnAccount(user) {
+  return isAccount(user, botLogin);
+}
+
+/**
+ * 获取已确定的账号，尚未确定时返回null
+ * @returns {string|null}
+ */
+function getBotLogin() {
+  return botLogin;
+}
+
+/**
+ * 清除已确定的账号，用于测试
+ */
+function resetBotLogin() {
+  botLogin = null;
+}
+
+module.exports = {
+  DEFAULT_BOT_LOGIN,
+  resolveBotLogin,
+  isOwnAccount,
+  getBotLogin,
+  resetBotLogin
+};
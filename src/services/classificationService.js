@@ -1,6 +1,9 @@
 const core = require('@actions/core');
-const { callAI } = require('./ai');
+const { requestVerdict } = require('./ai');
+const { timeStep } = require('./runReport');
+const { formatVerdict } = require('./verdict');
 const { logMessage } = require('../utils/helpers');
+const { findFeedbackExamples, withExamplesInstruction } = require('./feedbackStore');
 
 /**
  * 通用分类服务 - 负责Issue和PR的分类逻辑
@@ -20,42 +23,56 @@ class ClassificationService {
    * @param {string} extractedContent - 提取的用户内容
    * @param {Array} labelsList - 可用标签列表
    * @param {string} fileChanges - PR的文件变更（仅PR需要）
-   * @returns {Promise<string>} 分类结果
+   * @returns {Promise<Object>} 分类判定结果 { check, verdict, confidence, reason }
    */
   async classify(content, type, extractedContent, labelsList, fileChanges = '') {
     try {
       const labelsOptions = labelsList.map(l => l.toUpperCase()).join('、');
       
+      const examples = findFeedbackExamples(content, 'classification', this.config);
+      
       let request;
       let purpose;
+      let check;
       
       if (type === 'issue') {
         request = {
-          instructions: this.config.prompts.issue_classification
-            .replace('{labels_options}', labelsOptions),
-          input: JSON.stringify({ title: content.title, content: extractedContent })
+          instructions: withExamplesInstruction(this.config.prompts.issue_classification
+            .replace('{labels_options}', labelsOptions), examples, this.config),
+          input: JSON.stringify({
+            title: content.title,
+            content: extractedContent,
+            examples
+          })
         };
         purpose = 'Issue分类';
+        check = 'issue_classification';
       } else if (type === 'pr') {
         request = {
-          instructions: this.config.prompts.pr_classification
-            .replace('{labels_options}', labelsOptions),
+          instructions: withExamplesInstruction(this.config.prompts.pr_classification
+            .replace('{labels_options}', labelsOptions), examples, this.config),
           input: JSON.stringify({
             title: content.title,
             description: content.body || '',
-            fileChanges
+            fileChanges,
+            examples
           })
         };
         purpose = 'PR分类';
+        check = 'pr_classification';
       } else {
         throw new Error(`不支持的分类类型: ${type}`);
       }
       
-      const classification = await callAI(this.openai, this.aiModel, request, this.config, purpose);
+      const verdicts = labelsList.map(l => l.toUpperCase());
+      const result = await timeStep(check, this.aiModel, () =>
+        requestVerdict(this.openai, this.aiModel, request, this.config, purpose, verdicts)
+      );
+      const classification = { check, ...result };
       
       core.info(logMessage(this.config.logging.ai_call_result, { 
         purpose, 
-        result: classification 
+        result: formatVerdict(classification) 
       }));
       
       return classification;
@@ -74,7 +91,7 @@ class ClassificationService {
    * @param {Object} issue - Issue对象
    * @param {string} extractedContent - 提取的用户内容
    * @param {Array} labelsList - 可用标签列表
-   * @returns {Promise<string>} 分类结果
+   * @returns {Promise<Object>} 分类判定结果
    */
   async classifyIssue(issue, extractedContent, labelsList) {
     return await this.classify(issue, 'issue', extractedContent, labelsList);
@@ -85,7 +102,7 @@ class ClassificationService {
    * @param {Object} pr - PR对象
    * @param {Array} labelsList - 可用标签列表
    * @param {string} fileChanges - 文件变更信息
-   * @returns {Promise<string>} 分类结果
+   * @returns {Promise<Object>} 分类判定结果
    */
   async classifyPR(pr, labelsList, fileChanges = '') {
     // 对于PR，直接使用body作为内容
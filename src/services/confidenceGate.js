@@ -0,0 +1,63 @@
+/**
+ * 置信度门槛 - 根据判定结果的置信度决定自动处理、转人工分诊还是放行
+ */
+
+const CONFIDENCE_ACTIONS = {
+  ACT: 'act',
+  REVIEW: 'review',
+  PASS: 'pass'
+};
+
+// 模型未返回置信度时使用的默认值，位于各决策的人工分诊区间内
+const DEFAULT_MISSING_CONFIDENCE = 0.7;
+
+/**
+ * 评估某个决策的置信度应采取的处理方式
+ * 置信度不低于auto时自动处理；介于review和auto之间时转人工分诊；低于review时视为未命中该决策
+ * @param {string} decision 决策类型，例如 SPAM、BASIC
+ * @param {Object} result 判定结果 { verdict, confidence, reason }
+ * @param {Object} config 配置对象
+ * @returns {string} act、review 或 pass
+ */
+function evaluateConfidence(decision, result, config) {
+  const settings = config.confidence_thresholds || {};
+  const thresholds = settings.decisions?.[decision];
+  if (!thresholds) {
+    return CONFIDENCE_ACTIONS.ACT;
+  }
+
+  // 模型未返回置信度（例如宽松解析出的判定）时使用配置的默认值，默认转人工分诊而不是直接处理
+  const confidence = result?.confidence ?? settings.missing_confidence ?? DEFAULT_MISSING_CONFIDENCE;
+
+  if (confidence >= thresholds.auto) {
+    return CONFIDENCE_ACTIONS.ACT;
+  }
+  if (confidence >= thresholds.review) {
+    return CONFIDENCE_ACTIONS.REVIEW;
+  }
+  return CONFIDENCE_ACTIONS.PASS;
+}
+
+/**
+ * 验证置信度门槛配置
+ * @param {Object} thresholds confidence_thresholds 配置段
+ * @throws {Error} 配置无效时抛出错误
+ */
+function validateThresholds(thresholds) {
+  if (!thresholds) {
+    return;
+  }
+
+  for (const [decision, { review, auto }] of Object.entries(thresholds.decisions || {})) {
+    const valid = [review, auto].every(value => typeof value === 'number' && value >= 0 && value <= 1);
+    if (!valid || review > auto) {
+      throw new Error(`配置文件中 ${decision} 的置信度门槛无效：review 和 auto 必须是 0-1 之间的数字，且 review 不大于 auto`);
+    }
+  }
+}
+
+module.exports = {
+  CONFIDENCE_ACTIONS,
+  evaluateConfidence,
+  validateThresholds
+};
@@ -0,0 +1,160 @@
+/**
+ * 数据分支服务 - 在仓库的独立分支上读写机器人自己的数据文件
+ * 分支不存在时创建不含任何历史的孤立分支，不会带上仓库代码
+ */
+
+/**
+ * 读取数据分支上的文件
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {string} branch 数据分支名
+ * @param {string} filePath 文件路径
+ * @returns {Promise<Object|null>} { content, sha }，分支或文件不存在时返回null
+ * @throws {Error} 文件超过内容API的大小限制时抛出错误
+ */
+async function readDataFile(octokit, owner, repo, branch, filePath) {
+  try {
+    const { data } = await octokit.rest.repos.getContent({ owner, repo, path: filePath, ref: branch });
+    if (Array.isArray(data) || data.type !== 'file') {
+      return null;
+    }
+    // 超过1 MB的文件不会返回内容，不能当作空文件处理，否则下次写入会覆盖原有数据
+    if (data.encoding === 'none') {
+      throw new Error(`数据文件 ${filePath} 超过内容API的大小限制，无法读取`);
+    }
+    return { content: Buffer.from(data.content || '', 'base64').toString('utf8'), sha: data.sha };
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * 写入数据分支上的文件，分支不存在时以该文件为唯一内容创建孤立分支
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {string} branch 数据分支名
+ * @param {string} filePath 文件路径
+ * @param {string} content 文件内容
+ * @param {string} message 提交信息
+ * @param {string|null} sha 现有文件的sha，新文件传null
+ * @returns {Promise<void>}
+ */
+async function writeDataFile(octokit, owner, repo, branch, filePath, content, message, sha = null) {
+  if (!sha && !(await branchExists(octokit, owner, repo, branch))) {
+    const { data: tree } = await octokit.rest.git.createTree({
+      owner,
+      repo,
+      tree: [{ path: filePath, mode: '100644', type: 'blob', content }]
+    });
+    const { data: commit } = await octokit.rest.git.createCommit({ owner, repo, message, tree: tree.sha, parents: [] });
+    await octokit.rest.git.createRef({ owner, repo, ref: `refs/heads/${branch}`, sha: commit.sha });
+    return;
+  }
+
+  await octokit.rest.repos.createOrUpdateFileContents({
+    owner,
+    repo,
+    path: filePath,
+    branch,
+    message,
+    content: Buffer.from(content, 'utf8').toString('base64'),
+    ...(sha ? { sha } : {})
+  });
+}
+
+/**
+ * 在数据分支上的文件末尾追加内容
+ * 通过Git数据API读取和提交，不受内容API 1 MB文件大小的限制；分支不存在时创建孤立分支
+ * 其他运行同时更新了分支时，更新引用会因不是快进而以422失败，由调用方重新追加
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {string} branch 数据分支名
+ * @param {string} filePath 文件路径
+ * @param {string} content 追加的内容
+ * @param {string} message 提交信息
+ * @returns {Promise<void>}
+ */
+async function appendDataFile(octokit, owner, repo, branch, filePath, content, message) {
+  const head = await getBranchHead(octokit, owner, repo, branch);
+  if (!head) {
+    await writeDataFile(octokit, owner, repo, branch, filePath, content, message);
+    return;
+  }
+
+  const { data: commit } = await octokit.rest.git.getCommit({ owner, repo, commit_sha: head });
+  const existing = await readTreeFile(octokit, owner, repo, commit.tree.sha, filePath);
+  const separator = existing && !existing.endsWith('\n') ? '\n' : '';
+
+  const { data: blob } = await octokit.rest.git.createBlob({
+    owner,
+    repo,
+    content: Buffer.from(`${existing}${separator}${content}`, 'utf8').toString('base64'),
+    encoding: 'base64'
+  });
+  const { data: tree } = await octokit.rest.git.createTree({
+    owner,
+    repo,
+    base_tree: commit.tree.sha,
+    tree: [{ path: filePath, mode: '100644', type: 'blob', sha: blob.sha }]
+  });
+  const { data: created } = await octokit.rest.git.createCommit({ owner, repo, message, tree: tree.sha, parents: [head] });
+  await octokit.rest.git.updateRef({ owner, repo, ref: `heads/${branch}`, sha: created.sha, force: false });
+}
+
+/**
+ * 获取分支最新提交的sha
+ * @returns {Promise<string|null>} 分支不存在时返回null
+ */
+async function getBranchHead(octokit, owner, repo, branch) {
+  try {
+    const { data } = await octokit.rest.git.getRef({ owner, repo, ref: `heads/${branch}` });
+    return data.object.sha;
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * 通过blob读取树中的文件，blob接口支持最大100 MB的文件
+ * @returns {Promise<string>} 文件内容，文件不存在时返回空字符串
+ */
+async function readTreeFile(octokit, owner, repo, treeSha, filePath) {
+  const { data: tree } = await octokit.rest.git.getTree({ owner, repo, tree_sha: treeSha, recursive: 'true' });
+  const entry = (tree.tree || []).find(item => item.path === filePath && item.type === 'blob');
+  if (!entry) {
+    return '';
+  }
+
+  const { data: blob } = await octokit.rest.git.getBlob({ owner, repo, file_sha: entry.sha });
+  return Buffer.from(blob.content || '', blob.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+}
+
+/**
+ * 判断分支是否存在
+ */
+async function branchExists(octokit, owner, repo, branch) {
+  try {
+    await octokit.rest.repos.getBranch({ owner, repo, branch });
+    return true;
+  } catch (error) {
+    if (error.status === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  readDataFile,
+  writeDataFile,
+  appendDataFile
+};
@@ -0,0 +1,123 @@
+const core = require('@actions/core');
+const { logMessage } = require('../utils/helpers');
+
+// 以这些前缀开头的REST方法会修改仓库数据，在试运行模式下需要拦截
+const MUTATING_METHOD_PATTERN = /^(create|update|delete|add|remove|set|lock|unlock|merge)/;
+
+// 数据分支上审计日志和反馈记录的写入是机器人自己的簿记，不属于对仓库内容的操作
+const BOOKKEEPING_METHODS = new Set([
+  'git.createBlob',
+  'git.createTree',
+  'git.createCommit',
+  'git.createRef',
+  'git.updateRef',
+  'repos.createOrUpdateFileContents'
+]);
+
+/**
+ * 试运行记录器 - 收集被拦截的写操作
+ */
+class DryRunRecorder {
+  constructor(config) {
+    this.config = config;
+    this.actions = [];
+  }
+
+  /**
+   * 记录一次被拦截的写操作
+   * @param {string} method 方法名，例如 issues.createComment
+   * @param {Object} params 调用参数
+   */
+  record(method, params = {}) {
+    const details = { ...params };
+    delete details.owner;
+    delete details.repo;
+    const number = params.issue_number || params.pull_number || null;
+
+    this.actions.push({ method, number, details });
+    core.info(logMessage(this.config.logging.dry_run_recorded, { method, number: number || '-' }));
+  }
+
+  /**
+   * 将记录的操作写入Action输出，Job Summary中的操作列表由运行报告生成
+   */
+  report() {
+    core.setOutput('dry-run', 'true');
+    core.setOutput('dry-run-actions', JSON.stringify(this.actions));
+  }
+}
+
+/**
+ * 判断REST方法是否为写操作
+ * @param {string} method 方法名
+ * @returns {boolean}
+ */
+function isMutatingMethod(method) {
+  return typeof method === 'string' && MUTATING_METHOD_PATTERN.test(method);
+}
+
+/**
+ * 判断写操作是否为数据分支的簿记写入
+ * @param {string} method 完整方法名，例如 git.createBlob
+ * @returns {boolean}
+ */
+function isBookkeepingMethod(method) {
+  return BOOKKEEPING_METHODS.has(method);
+}
+
+/**
+ * 创建试运行用的Octokit代理
+ * 读取操作照常执行，写操作（REST写方法和GraphQL mutation）只记录不执行，簿记写入既不执行也不记录
+ * @param {Object} octokit GitHub API客户端
+ * @param {DryRunRecorder} recorder 试运行记录器
+ * @returns {Object} 代理后的GitHub API客户端
+ */
+function createDryRunOctokit(octokit, recorder) {
+  const rest = new Proxy(octokit.rest, {
+    get(target, namespace) {
+      const endpoints = target[namespace];
+      if (!endpoints || typeof endpoints !== 'object') {
+        return endpoints;
+      }
+
+      return new Proxy(endpoints, {
+        get(endpointTarget, method) {
+          const endpoint = endpointTarget[method];
+          if (typeof endpoint !== 'function' || !isMutatingMethod(method)) {
+            return endpoint;
+          }
+
+          return async (params = {}) => {
+            if (!isBookkeepingMethod(`${namespace}.${method}`)) {
+              recorder.record(`${namespace}.${method}`, params);
+            }
+            return { status: 200, data: {}, dryRun: true };
+          };
+        }
+      });
+    }
+  });
+
+  const graphql = async (query, variables = {}) => {
+    if (/^\s*mutation\b/.test(query)) {
+      recorder.record('graphql.mutation', variables);
+      return {};
+    }
+    return octokit.graphql(query, variables);
+  };
+
+  return new Proxy(octokit, {
+    get(target, prop) {
+      if (prop === 'rest') return rest;
+      if (prop === 'graphql') return graphql;
+      return target[prop];
+    }
+  });
+}
+
+module.exports = {
+  DryRunRecorder,
+  createDryRunOctokit,
+  isMutatingMethod,
+  isBookkeepingMethod
+};
@@ -0,0 +1,130 @@
+const core = require('@actions/core');
+const { requestVerdict } = require('./ai');
+const { timeStep } = require('./runReport');
+const { formatVerdict } = require('./verdict');
+const { logMessage, handleApiCall } = require('../utils/helpers');
+const { rankBySimilarity, extractKeywords } = require('../utils/similarity');
+
+/**
+ * 重复Issue检测服务
+ * 先通过搜索API和本地相似度预排序找出候选Issue，再交给AI确认是否为同一问题
+ */
+class DuplicateDetector {
+  constructor(octokit, openai, aiModel, config) {
+    this.octokit = octokit;
+    this.openai = openai;
+    this.aiModel = aiModel;
+    this.config = config;
+    this.settings = config.duplicate_detection || {};
+  }
+
+  /**
+   * 检测Issue是否与已有Issue重复
+   * @param {string} owner 仓库所有者
+   * @param {string} repo 仓库名
+   * @param {Object} issue Issue对象
+   * @returns {Promise<Object|null>} { original, verdict }，未发现重复时返回null
+   */
+  async detect(owner, repo, issue) {
+    if (!this.settings.enabled) {
+      return null;
+    }
+
+    core.info(logMessage(this.config.logging.duplicate_check_start, { number: issue.number }));
+
+    const candidates = await this.findCandidates(owner, repo, issue);
+    if (candidates.length === 0) {
+      core.info(logMessage(this.config.logging.duplicate_no_candidates, { number: issue.number }));
+      return null;
+    }
+
+    return await this.confirmDuplicate(issue, candidates);
+  }
+
+  /**
+   * 搜索候选Issue并按本地相似度预排序
+   * @returns {Promise<Array>} 候选Issue数组
+   */
+  async findCandidates(owner, repo, issue) {
+    const keywords = extractKeywords(issue.title, 4);
+    if (keywords.length === 0) {
+      return [];
+    }
+
+    // 关键词越多结果越精确，结果太少时放宽为较少的关键词
+    let results = await this.searchIssues(owner, repo, keywords);
+    if (results.length < this.settings.max_candidates && keywords.length > 2) {
+      const broader = await this.searchIssues(owner, repo, keywords.slice(0, 2));
+      const seen = new Set(results.map(item => item.number));
+      results = results.concat(broader.filter(item => !seen.has(item.number)));
+    }
+
+    const issueText = `${issue.title}\n${issue.body || ''}`;
+    return rankBySimilarity(
+      issueText,
+      results.filter(item => item.number !== issue.number && !item.pull_request),
+      item => `${item.title}\n${item.body || ''}`
+    )
+      .filter(ranked => ranked.score >= this.settings.min_similarity)
+      .slice(0, this.settings.max_candidates)
+      .map(ranked => ranked.item);
+  }
+
+  /**
+   * 通过搜索API查找仓库中的Issue（包括已关闭的）
+   */
+  async searchIssues(owner, repo, keywords) {
+    try {
+      const response = await handleApiCall(
+        () => this.octokit.rest.search.issuesAndPullRequests({
+          q: `repo:${owner}/${repo} is:issue ${keywords.join(' ')}`,
+          per_page: this.settings.search_limit
+        }),
+        this.config.logging.duplicate_search_failed
+      );
+      return response.data?.items || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * 让AI判断候选Issue中是否有与当前Issue相同的问题
+   * @returns {Promise<Object|null>} { original, verdict }，original为被确认重复的候选Issue
+   */
+  async confirmDuplicate(issue, candidates) {
+    const request = {
+      instructions: this.config.prompts.duplicate_check,
+      input: JSON.stringify({
+        issue: { title: issue.title, body: issue.body || '' },
+        candidates: candidates.map(candidate => ({
+          number: candidate.number,
+          title: candidate.title,
+          state: candidate.state,
+          body: (candidate.body || '').slice(0, this.settings.max_body_length)
+        }))
+      })
+    };
+
+    const result = await timeStep('duplicate_check', this.aiModel, () => requestVerdict(
+      this.openai,
+      this.aiModel,
+      request,
+      this.config,
+      '重复Issue检测',
+      ['DUPLICATE', 'NOT_DUPLICATE'],
+      { duplicate_of: { type: ['integer', 'null'], description: 'Number of the duplicated candidate issue' } }
+    ));
+    core.info(logMessage(this.config.logging.duplicate_check_result, { result: formatVerdict(result) }));
+
+    if (result.verdict !== 'DUPLICATE') {
+      return null;
+    }
+
+    const duplicateOf = Number(String(result.duplicate_of ?? '').replace('#', ''));
+    const original = candidates.find(candidate => candidate.number === duplicateOf);
+    return original ? { original, verdict: { check: 'duplicate_check', ...result } } : null;
+  }
+}
+
+module.exports = DuplicateDetector;
@@ -0,0 +1,160 @@
+const core = require('@actions/core');
+const crypto = require('crypto');
+const { logMessage } = require('../utils/helpers');
+const { rankBySimilarity } = require('../utils/similarity');
+const { readDataFile, writeDataFile } = require('./dataBranch');
+
+/**
+ * 反馈存储 - 将维护者纠正过的判定保存到数据分支，作为后续AI请求的示例
+ */
+
+/**
+ * 计算内容哈希，用于识别同一内容的重复纠正
+ * @param {Object} item Issue或PR对象
+ * @returns {string} sha256哈希
+ */
+function hashItem(item) {
+  return crypto.createHash('sha256').update(`${item.title || ''}\n${item.body || ''}`).digest('hex');
+}
+
+/**
+ * 截取内容摘要
+ */
+function buildExcerpt(item, length) {
+  const text = `${item.title || ''}\n\n${item.body || ''}`.replace(/\s+\n/g, '\n').trim();
+  return text.length > length ? `${text.slice(0, length)}…` : text;
+}
+
+/**
+ * 读取反馈记录
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {Object} config 配置对象
+ * @returns {Promise<Object>} { entries, sha }，读取失败或未启用时返回空列表
+ */
+async function loadFeedback(octokit, owner, repo, config) {
+  const settings = config.feedback || {};
+  if (!settings.enabled) {
+    return { entries: [], sha: null };
+  }
+
+  try {
+    return await readFeedbackFile(octokit, owner, repo, settings);
+  } catch (error) {
+    core.warning(logMessage(config.logging.feedback_load_failed, { error: error.message }));
+    return { entries: [], sha: null };
+  }
+}
+
+/**
+ * 读取数据分支上的纠正记录文件，读取失败时抛出错误
+ */
+async function readFeedbackFile(octokit, owner, repo, settings) {
+  const file = await readDataFile(octokit, owner, repo, settings.branch, settings.path);
+  const entries = file ? JSON.parse(file.content) : [];
+  return { entries: Array.isArray(entries) ? entries : [], sha: file?.sha || null };
+}
+
+/**
+ * 记录一次维护者纠正
+ * 同一内容同一检查的旧记录会被替换，超过上限时丢弃最早的记录
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {Object} item Issue或PR对象
+ * @param {Object} correction 纠正内容
+ * @param {string} correction.check 检查类型：spam、quality 或 classification
+ * @param {string} correction.original 原判定
+ * @param {string} correction.corrected 纠正后的判定
+ * @param {Object} config 配置对象
+ * @returns {Promise<Object|null>} 新记录，未启用或保存失败时返回null
+ */
+async function recordFeedback(octokit, owner, repo, item, correction, config) {
+  const settings = config.feedback || {};
+  if (!settings.enabled) {
+    return null;
+  }
+
+  const entry = {
+    hash: hashItem(item),
+    type: item.pull_request ? 'pr' : 'issue',
+    check: correction.check,
+    excerpt: buildExcerpt(item, settings.excerpt_length),
+    original: correction.original,
+    corrected: correction.corrected,
+    recorded_at: new Date().toISOString()
+  };
+
+  try {
+    // 读取失败时不写入，避免用新记录覆盖无法读取的已有记录
+    const { entries, sha } = await readFeedbackFile(octokit, owner, repo, settings);
+    const kept = entries.filter(existing => existing.hash !== entry.hash || existing.check !== entry.check);
+    const updated = [...kept, entry].slice(-settings.max_entries);
+
+    await writeDataFile(
+      octokit,
+      owner,
+      repo,
+      settings.branch,
+      settings.path,
+      `${JSON.stringify(updated, null, 2)}\n`,
+      `Record ${entry.check} feedback for #${item.number}`,
+      sha
+    );
+
+    core.info(logMessage(config.logging.feedback_recorded, {
+      number: item.number,
+      check: entry.check,
+      original: entry.original,
+      corrected: entry.corrected
+    }));
+    return entry;
+  } catch (error) {
+    core.warning(logMessage(config.logging.feedback_save_failed, { number: item.number, error: error.message }));
+    return null;
+  }
+}
+
+/**
+ * 查找与当前内容最相似的已纠正示例
+ * @param {Object} item Issue或PR对象
+ * @param {string} check 检查类型：spam、quality 或 classification
+ * @param {Object} config 配置对象，示例来自 config.feedback_entries
+ * @returns {Array|undefined} 示例数组 [{ excerpt, verdict }]，没有示例时返回undefined
+ */
+function findFeedbackExamples(item, check, config) {
+  const settings = config.feedback || {};
+  const type = item.pull_request || item.head ? 'pr' : 'issue';
+  const candidates = (config.feedback_entries || [])
+    .filter(entry => entry.check === check && entry.type === type && entry.hash !== hashItem(item));
+  if (!settings.enabled || candidates.length === 0) {
+    return undefined;
+  }
+
+  const examples = rankBySimilarity(`${item.title || ''}\n${item.body || ''}`, candidates, entry => entry.excerpt)
+    .filter(({ score }) => score >= settings.min_similarity)
+    .slice(0, settings.max_examples)
+    .map(({ item: entry }) => ({ excerpt: entry.excerpt, verdict: entry.corrected }));
+
+  return examples.length > 0 ? examples : undefined;
+}
+
+/**
+ * 请求带有示例时，在提示词后附加说明示例用途的指令（prompts.feedback_examples）
+ * @param {string} instructions 提示词
+ * @param {Array|undefined} examples findFeedbackExamples 返回的示例
+ * @param {Object} config 配置对象
+ * @returns {string} 提示词
+ */
+function withExamplesInstruction(instructions, examples, config) {
+  return examples ? `${instructions}\n\n${config.prompts.feedback_examples}` : instructions;
+}
+
+module.exports = {
+  loadFeedback,
+  recordFeedback,
+  findFeedbackExamples,
+  withExamplesInstruction,
+  hashItem
+};
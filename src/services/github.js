@@ -1,23 +1,89 @@
 const { handleApiCall, executeApiCalls } = require('../utils/helpers');
+const { DECISION_MARKER_KEY, appendMarker, parseMarker, findMarkedComment } = require('../utils/commentMarker');
+const { getBotLogin } = require('./botIdentity');
+
+const COMMENTS_PER_PAGE = 100;
 
 /**
- * 添加评论的通用函数
+ * 发表带隐藏标记的评论；已有相同标记键的机器人评论时更新该评论，避免重复评论
+ * 获取评论列表失败时直接发表新评论
  * @param {Object} octokit GitHub API客户端
  * @param {string} owner 仓库所有者
  * @param {string} repo 仓库名
  * @param {number} issueNumber Issue/PR编号
  * @param {string} comment 评论内容
- * @param {string} errorMessage 错误消息
+ * @param {Object} marker 标记信息 { key, decision }，见 commentMarker
  * @returns {Promise<any>} API调用结果
  */
-async function addComment(octokit, owner, repo, issueNumber, comment, errorMessage) {
-  return await handleApiCall(
-    () => octokit.rest.issues.createComment({
+async function upsertComment(octokit, owner, repo, issueNumber, comment, marker) {
+  const body = appendMarker(comment, marker);
+
+  let existing = null;
+  try {
+    existing = findMarkedComment(await listAllComments(octokit, owner, repo, issueNumber), marker.key, getBotLogin());
+  } catch (error) {
+    // 无法确认已有评论时按新评论处理
+  }
+
+  if (existing) {
+    return await octokit.rest.issues.updateComment({ owner, repo, comment_id: existing.id, body });
+  }
+  return await octokit.rest.issues.createComment({ owner, repo, issue_number: issueNumber, body });
+}
+
+/**
+ * 按页获取全部评论，评论较多的讨论中机器人的评论可能不在第一页
+ * @returns {Promise<Array>} 评论数组，按创建时间排序
+ */
+async function listAllComments(octokit, owner, repo, issueNumber) {
+  const comments = [];
+  for (let page = 1; ; page++) {
+    const { data } = await octokit.rest.issues.listComments({
       owner,
       repo,
       issue_number: issueNumber,
-      body: comment
-    }),
+      per_page: COMMENTS_PER_PAGE,
+      page
+    });
+    comments.push(...(data || []));
+    if (!data || data.length < COMMENTS_PER_PAGE) {
+      return comments;
+    }
+  }
+}
+
+/**
+ * 判断内容是否已有机器人的决策评论，即之前的运行已经处理过
+ * 获取评论列表失败时视为未处理
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {number} issueNumber Issue/PR编号
+ * @returns {Promise<Object|null>} 决策标记信息
+ */
+async function findDecisionMarker(octokit, owner, repo, issueNumber) {
+  try {
+    const comment = findMarkedComment(await listAllComments(octokit, owner, repo, issueNumber), DECISION_MARKER_KEY, getBotLogin());
+    return comment ? parseMarker(comment.body) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 添加评论的通用函数
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {number} issueNumber Issue/PR编号
+ * @param {string} comment 评论内容
+ * @param {string} errorMessage 错误消息
+ * @param {Object} marker 标记信息，相同标记键的评论会被更新
+ * @returns {Promise<any>} API调用结果
+ */
+async function addComment(octokit, owner, repo, issueNumber, comment, errorMessage, marker = { key: 'comment' }) {
+  return await handleApiCall(
+    () => upsertComment(octokit, owner, repo, issueNumber, comment, marker),
     errorMessage
   );
 }
@@ -44,6 +110,75 @@ async function addLabels(octokit, owner, repo, issueNumber, labels, errorMessage
   );
 }
 
+/**
+ * 移除标签的通用函数，标签不存在时视为成功
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {number} issueNumber Issue/PR编号
+ * @param {string} label 标签名
+ * @param {string} errorMessage 错误消息
+ * @returns {Promise<any>} API调用结果
+ */
+async function removeLabel(octokit, owner, repo, issueNumber, label, errorMessage) {
+  return await handleApiCall(
+    async () => {
+      try {
+        return await octokit.rest.issues.removeLabel({
+          owner,
+          repo,
+          issue_number: issueNumber,
+          name: label
+        });
+      } catch (error) {
+        if (error.status === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+    errorMessage
+  );
+}
+
+/**
+ * 获取Issue/PR的评论列表
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {number} issueNumber Issue/PR编号
+ * @param {string} errorMessage 错误消息
+ * @returns {Promise<Array>} 评论数组
+ */
+async function listComments(octokit, owner, repo, issueNumber, errorMessage) {
+  return await handleApiCall(
+    () => listAllComments(octokit, owner, repo, issueNumber),
+    errorMessage
+  );
+}
+
+/**
+ * 更新评论的通用函数
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {number} commentId 评论ID
+ * @param {string} comment 新的评论内容
+ * @param {string} errorMessage 错误消息
+ * @returns {Promise<any>} API调用结果
+ */
+async function updateComment(octokit, owner, repo, commentId, comment, errorMessage) {
+  return await handleApiCall(
+    () => octokit.rest.issues.updateComment({
+      owner,
+      repo,
+      comment_id: commentId,
+      body: comment
+    }),
+    errorMessage
+  );
+}
+
 /**
  * 关闭Issue的通用函数
  * @param {Object} octokit GitHub API客户端
@@ -53,20 +188,43 @@ async function addLabels(octokit, owner, repo, issueNumber, labels, errorMessage
  * @param {string} comment 关闭评论
  * @param {Object} config 配置对象
  * @param {boolean} shouldLock 是否锁定Issue
- * @param {string} stateReason 关闭原因
+ * @param {string} stateReason 关闭原因：completed、not_planned 或 duplicate
+ * @param {Array} labels 关闭前要添加的标签
+ * @param {Object} marker 关闭评论的标记信息
  * @returns {Promise<Array>} API调用结果数组
  */
-async function closeIssue(octokit, owner, repo, issueNumber, comment, config, shouldLock = true, stateReason = 'not_planned') {
+async function closeIssue(
+  octokit,
+  owner,
+  repo,
+  issueNumber,
+  comment,
+  config,
+  shouldLock = true,
+  stateReason = 'not_planned',
+  labels = [],
+  marker = { key: 'decision' }
+) {
   const calls = [
     {
-      operation: () => octokit.rest.issues.createComment({
+      operation: () => upsertComment(octokit, owner, repo, issueNumber, comment, marker),
+      errorMessage: config.logging.issue_comment_failed
+    }
+  ];
+
+  if (labels.length > 0) {
+    calls.push({
+      operation: () => octokit.rest.issues.addLabels({
         owner,
         repo,
         issue_number: issueNumber,
-        body: comment
+        labels
       }),
-      errorMessage: config.logging.issue_comment_failed
-    },
+      errorMessage: config.logging.label_add_api_failed
+    });
+  }
+
+  calls.push(
     {
       operation: () => octokit.rest.issues.update({
         owner,
@@ -77,7 +235,7 @@ async function closeIssue(octokit, owner, repo, issueNumber, comment, config, sh
       }),
       errorMessage: config.logging.issue_close_failed
     }
-  ];
+  );
 
   if (shouldLock) {
     calls.push({
@@ -94,6 +252,36 @@ async function closeIssue(octokit, owner, repo, issueNumber, comment, config, sh
   return await executeApiCalls(calls);
 }
 
+/**
+ * 请求人工分诊：添加分诊标签并评论提醒维护者
+ * 适用于置信度不足以自动处理的Issue和PR
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {number} issueNumber Issue/PR编号
+ * @param {string} comment 分诊评论
+ * @param {Object} config 配置对象
+ * @param {Object} marker 分诊评论的标记信息
+ * @returns {Promise<Array>} API调用结果数组
+ */
+async function requestTriage(octokit, owner, repo, issueNumber, comment, config, marker = { key: 'decision', decision: 'NEEDS_TRIAGE' }) {
+  return await executeApiCalls([
+    {
+      operation: () => octokit.rest.issues.addLabels({
+        owner,
+        repo,
+        issue_number: issueNumber,
+        labels: [config.triage.label]
+      }),
+      errorMessage: config.logging.label_add_api_failed
+    },
+    {
+      operation: () => upsertComment(octokit, owner, repo, issueNumber, comment, marker),
+      errorMessage: config.logging.triage_comment_failed
+    }
+  ]);
+}
+
 /**
  * 关闭PR的通用函数
  * @param {Object} octokit GitHub API客户端
@@ -103,17 +291,13 @@ async function closeIssue(octokit, owner, repo, issueNumber, comment, config, sh
  * @param {string} comment 关闭评论
  * @param {Object} config 配置对象
  * @param {boolean} shouldLock 是否锁定PR
+ * @param {Object} marker 关闭评论的标记信息
  * @returns {Promise<Array>} API调用结果数组
  */
-async function closePR(octokit, owner, repo, prNumber, comment, config, shouldLock = true) {
+async function closePR(octokit, owner, repo, prNumber, comment, config, shouldLock = true, marker = { key: 'decision' }) {
   const calls = [
     {
-      operation: () => octokit.rest.issues.createComment({
-        owner,
-        repo,
-        issue_number: prNumber,
-        body: comment
-      }),
+      operation: () => upsertComment(octokit, owner, repo, prNumber, comment, marker),
       errorMessage: config.logging.pr_comment_failed
     },
     {
@@ -142,6 +326,144 @@ async function closePR(octokit, owner, repo, prNumber, comment, config, shouldLo
   return await executeApiCalls(calls);
 }
 
+/**
+ * 重新打开Issue或PR并解除锁定
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {number} issueNumber Issue/PR编号
+ * @param {Object} config 配置对象
+ * @param {boolean} isPullRequest 是否为PR
+ * @returns {Promise<Array>} API调用结果数组
+ */
+async function reopenIssue(octokit, owner, repo, issueNumber, config, isPullRequest = false) {
+  return await executeApiCalls([
+    {
+      operation: () => (isPullRequest
+        ? octokit.rest.pulls.update({ owner, repo, pull_number: issueNumber, state: 'open' })
+        : octokit.rest.issues.update({ owner, repo, issue_number: issueNumber, state: 'open' })),
+      errorMessage: config.logging.issue_reopen_failed
+    },
+    {
+      operation: () => octokit.rest.issues.unlock({
+        owner,
+        repo,
+        issue_number: issueNumber
+      }),
+      errorMessage: config.logging.issue_unlock_failed
+    }
+  ]);
+}
+
+/**
+ * 为评论添加表情回应
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {number} commentId 评论ID
+ * @param {string} content 表情，例如 +1、eyes
+ * @param {string} errorMessage 错误消息
+ * @returns {Promise<any>} API调用结果
+ */
+async function addReaction(octokit, owner, repo, commentId, content, errorMessage) {
+  return await handleApiCall(
+    () => octokit.rest.reactions.createForIssueComment({
+      owner,
+      repo,
+      comment_id: commentId,
+      content
+    }),
+    errorMessage
+  );
+}
+
+/**
+ * 获取用户在仓库中的权限
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {string} username 用户名
+ * @param {string} errorMessage 错误消息
+ * @returns {Promise<string>} admin、write、read 或 none（maintain 归为 write，triage 归为 read）
+ */
+async function getPermissionLevel(octokit, owner, repo, username, errorMessage) {
+  const response = await handleApiCall(
+    () => octokit.rest.repos.getCollaboratorPermissionLevel({ owner, repo, username }),
+    errorMessage
+  );
+  return response.data.permission || 'none';
+}
+
+/**
+ * 使用GraphQL API隐藏（折叠）评论
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} nodeId 评论的GraphQL节点ID
+ * @param {string} classifier 隐藏原因，例如 SPAM、ABUSE、OFF_TOPIC
+ * @param {string} errorMessage 错误消息
+ * @returns {Promise<any>} API调用结果
+ */
+async function minimizeComment(octokit, nodeId, classifier, errorMessage) {
+  const mutation = `
+    mutation($subjectId: ID!, $classifier: ReportedContentClassifiers!) {
+      minimizeComment(input: { subjectId: $subjectId, classifier: $classifier }) {
+        minimizedComment {
+          isMinimized
+          minimizedReason
+        }
+      }
+    }
+  `;
+
+  return await handleApiCall(
+    () => octokit.graphql(mutation, { subjectId: nodeId, classifier }),
+    errorMessage
+  );
+}
+
+/**
+ * 获取Issue标题和正文的编辑记录
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {number} issueNumber Issue编号
+ * @param {string} errorMessage 错误信息
+ * @returns {Promise<Array>} 编辑记录 [{ login, at }]
+ */
+async function listIssueEdits(octokit, owner, repo, issueNumber, errorMessage) {
+  const query = `
+    query($owner: String!, $repo: String!, $number: Int!) {
+      repository(owner: $owner, name: $repo) {
+        issue(number: $number) {
+          userContentEdits(last: 20) {
+            nodes {
+              editedAt
+              editor { login }
+            }
+          }
+          timelineItems(last: 20, itemTypes: [RENAMED_TITLE_EVENT]) {
+            nodes {
+              ... on RenamedTitleEvent {
+                createdAt
+                actor { login }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const response = await handleApiCall(
+    () => octokit.graphql(query, { owner, repo, number: issueNumber }),
+    errorMessage
+  );
+  const issue = response?.repository?.issue;
+  return [
+    ...(issue?.userContentEdits?.nodes || []).map(edit => ({ login: edit.editor?.login, at: edit.editedAt })),
+    ...(issue?.timelineItems?.nodes || []).map(event => ({ login: event.actor?.login, at: event.createdAt }))
+  ];
+}
+
 /**
  * 获取仓库README内容
  * @param {Object} octokit GitHub API客户端
@@ -276,9 +598,20 @@ async function getPinnedIssuesContent(octokit, owner, repo, config) {
 
 module.exports = {
   addComment,
+  upsertComment,
+  findDecisionMarker,
   addLabels,
+  removeLabel,
+  listComments,
+  updateComment,
   closeIssue,
   closePR,
+  reopenIssue,
+  addReaction,
+  getPermissionLevel,
+  requestTriage,
+  minimizeComment,
+  listIssueEdits,
   getReadmeContent,
   getPinnedIssuesContent
 };
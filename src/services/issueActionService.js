@@ -1,6 +1,17 @@
 const core = require('@actions/core');
 const { logMessage } = require('../utils/helpers');
-const { addLabels, addComment, closeIssue } = require('./github');
+const {
+  addLabels,
+  addComment,
+  closeIssue,
+  removeLabel,
+  listComments,
+  updateComment
+} = require('./github');
+const { executePolicy } = require('./policyService');
+const { DECISION_MARKER_KEY, appendMarker, parseMarker } = require('../utils/commentMarker');
+const { recordOutcome } = require('./outputs');
+const { isOwnAccount } = require('./botIdentity');
 
 /**
  * Issue操作服务 - 负责执行具体的Issue操作
@@ -23,7 +34,8 @@ class IssueActionService {
       repo, 
       issueNumber, 
       fullAnswer,
-      this.config.logging.readme_answer_failed
+      this.config.logging.readme_answer_failed,
+      { key: 'readme_answer', decision: 'README_COVERED' }
     );
     
     core.info(logMessage(this.config.logging.readme_answer_generated, { number: issueNumber }));
@@ -32,19 +44,23 @@ class IssueActionService {
   /**
    * 添加UNCLEAR Issue的智能回答评论
    */
-  async addUnclearSmartAnswer(owner, repo, issueNumber, smartAnswer) {
-    const fullAnswer = this.config.responses.unclear_answer_prefix + smartAnswer;
+  async addUnclearSmartAnswer(owner, repo, issue, smartAnswer) {
+    // 智能回答替换UNCLEAR策略中的标准提示，其余动作（如needs-info标签）保持不变
+    await this.applyPolicy(owner, repo, issue, 'UNCLEAR', {
+      responses: { issue_unclear: this.config.responses.unclear_answer_prefix + smartAnswer }
+    });
     
-    await addComment(
-      this.octokit, 
-      owner, 
-      repo, 
-      issueNumber, 
-      fullAnswer,
-      this.config.logging.unclear_smart_answer_failed
-    );
-    
-    core.info(logMessage(this.config.logging.unclear_smart_answer_generated, { number: issueNumber }));
+    core.info(logMessage(this.config.logging.unclear_smart_answer_generated, { number: issue.number }));
+  }
+
+  /**
+   * 按配置的策略处理Issue
+   * @param {string} decision 决策类型，对应 policies.issue 中的键
+   * @param {Object} options 策略执行选项
+   * @returns {Promise<Object>} 策略执行结果
+   */
+  async applyPolicy(owner, repo, issue, decision, options = {}) {
+    return await executePolicy(this.octokit, owner, repo, issue, 'issue', decision, this.config, options);
   }
 
   /**
@@ -111,12 +127,71 @@ class IssueActionService {
       this.config.responses.issue_readme_covered,
       this.config,
       false,  // 不锁定，允许继续讨论
-      'completed'
+      'completed',
+      [],
+      { key: DECISION_MARKER_KEY, decision: 'README_COVERED' }
     );
     
+    recordOutcome({ decision: 'README_COVERED', closed: true });
     core.info(logMessage(this.config.logging.issue_readme_covered_log, { number: issue.number }));
   }
 
+  /**
+   * 作者补充信息后解除needs-info状态，并更新之前的补充信息提示评论
+   */
+  async resolveNeedsInfo(owner, repo, issue) {
+    try {
+      await removeLabel(
+        this.octokit,
+        owner,
+        repo,
+        issue.number,
+        this.config.defaults.needs_info_label,
+        this.config.logging.label_remove_failed
+      );
+
+      const comments = await listComments(
+        this.octokit,
+        owner,
+        repo,
+        issue.number,
+        this.config.logging.issue_comments_fetch_failed
+      );
+      const unclearComment = comments.reverse().find(comment => this.isUnclearComment(comment));
+
+      if (unclearComment) {
+        // 保留原评论的标记键，内容仍视为已处理
+        const marker = parseMarker(unclearComment.body);
+        await updateComment(
+          this.octokit,
+          owner,
+          repo,
+          unclearComment.id,
+          marker
+            ? appendMarker(this.config.responses.issue_unclear_resolved, { key: marker.key, decision: 'UNCLEAR_RESOLVED' })
+            : this.config.responses.issue_unclear_resolved,
+          this.config.logging.issue_comment_update_failed
+        );
+      }
+
+      core.info(logMessage(this.config.logging.issue_needs_info_resolved, { number: issue.number }));
+    } catch (error) {
+      core.warning(logMessage(this.config.logging.issue_process_error, { error: error.message }));
+    }
+  }
+
+  /**
+   * 判断评论是否为机器人发出的补充信息提示
+   */
+  isUnclearComment(comment) {
+    if (!isOwnAccount(comment.user) || !comment.body) {
+      return false;
+    }
+    return parseMarker(comment.body)?.decision === 'UNCLEAR' ||
+      comment.body.startsWith(this.config.responses.issue_unclear) ||
+      comment.body.startsWith(this.config.responses.unclear_answer_prefix);
+  }
+
   /**
    * 记录相关性检查日志
    */
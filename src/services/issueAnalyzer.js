@@ -1,5 +1,12 @@
-const { callAI } = require('./ai');
+const core = require('@actions/core');
+const { callAI, requestVerdict } = require('./ai');
+const { formatVerdict } = require('./verdict');
+const { evaluateConfidence, CONFIDENCE_ACTIONS } = require('./confidenceGate');
+const { toPromptInput, adjustSpamConfidence } = require('./reputationService');
+const { findFeedbackExamples, withExamplesInstruction } = require('./feedbackStore');
+const { logMessage } = require('../utils/helpers');
 const ClassificationService = require('./classificationService');
+const { timeStep } = require('./runReport');
 
 /**
  * Issue分析服务 - 负责各种AI分析任务
@@ -13,20 +20,83 @@ class IssueAnalyzer {
   }
 
   /**
-   * 第一步：检测是否为垃圾内容（仅检测明显垃圾信息）
+   * 使用指定提示词请求结构化判定结果
+   * @param {string} promptKey 提示词键名
+   * @param {Object} input 不可信的输入数据
+   * @param {Array<string>} verdicts 允许的判定值
+   * @param {string} purpose 调用目的描述
+   * @returns {Promise<Object>} { check, verdict, confidence, reason }
    */
-  async detectSpam(issue, templateAnalysisReport) {
+  async askVerdict(promptKey, input, verdicts, purpose) {
     const request = {
-      instructions: this.config.prompts.spam_detection,
-      input: JSON.stringify({
-        type: 'issue',
-        title: issue.title,
-        body: issue.body || '',
-        templateAnalysis: templateAnalysisReport
-      })
+      instructions: withExamplesInstruction(this.config.prompts[promptKey], input.examples, this.config),
+      input: JSON.stringify(input)
+    };
+
+    const result = await timeStep(promptKey, this.aiModel, () =>
+      requestVerdict(this.openai, this.aiModel, request, this.config, purpose, verdicts)
+    );
+    return { check: promptKey, ...result };
+  }
+
+  /**
+   * 根据置信度门槛决定命中的决策是自动处理、转人工分诊还是放行
+   * @param {string} decision 命中的决策
+   * @param {Object} result 判定结果
+   * @param {number} step 检测步骤
+   * @param {Array} checks 已完成的检查结果
+   * @returns {Object|null} 分析结果，放行时返回null
+   */
+  applyConfidence(decision, result, step, checks) {
+    const action = evaluateConfidence(decision, result, this.config);
+    core.info(logMessage(this.config.logging.confidence_gate_result, {
+      decision,
+      confidence: result.confidence ?? '-',
+      action
+    }));
+
+    if (action === CONFIDENCE_ACTIONS.ACT) {
+      return { decision, step, verdict: result, checks };
+    }
+    if (action === CONFIDENCE_ACTIONS.REVIEW) {
+      return { decision: 'NEEDS_TRIAGE', triageFor: decision, step, verdict: result, checks };
+    }
+    return null;
+  }
+
+  /**
+   * 链接命中禁止域名时直接判定为垃圾内容，无需调用AI
+   * @param {Object|null} linkReport 链接报告，见 linkAnalyzer
+   * @returns {Object|null} 判定结果，没有禁止域名时返回null
+   */
+  checkDeniedLinks(linkReport) {
+    if (!linkReport || linkReport.denied.length === 0) {
+      return null;
+    }
+
+    return {
+      check: 'link_analysis',
+      verdict: 'SPAM',
+      confidence: 1,
+      reason: `Links to deny-listed domains: ${linkReport.denied.join(', ')}`
     };
-    
-    return await callAI(this.openai, this.aiModel, request, this.config, '垃圾检测');
+  }
+
+  /**
+   * 第一步：检测是否为垃圾内容（仅检测明显垃圾信息）
+   * @param {Object} signals 辅助信号 { reputation, linkReport }，见 reputationService 和 linkAnalyzer
+   */
+  async detectSpam(issue, templateAnalysisReport, signals = {}) {
+    const result = await this.askVerdict('spam_detection', {
+      type: 'issue',
+      title: issue.title,
+      body: issue.body || '',
+      templateAnalysis: templateAnalysisReport,
+      authorReputation: toPromptInput(signals.reputation),
+      linkReport: signals.linkReport?.total > 0 ? signals.linkReport : undefined,
+      examples: findFeedbackExamples(issue, 'spam', this.config)
+    }, ['SPAM', 'NOT_SPAM'], '垃圾检测');
+    return adjustSpamConfidence(result, signals.reputation, this.config);
   }
 
   /**
@@ -34,35 +104,26 @@ class IssueAnalyzer {
    */
   async checkReadmeCoverage(issue, readmeContent, pinnedIssuesContent) {
     if (!readmeContent && !pinnedIssuesContent) {
-      return 'NOT_COVERED';
+      return { check: 'readme_coverage_check', verdict: 'NOT_COVERED', confidence: null, reason: 'No README or pinned issues' };
     }
 
-    const request = {
-      instructions: this.config.prompts.readme_coverage_check,
-      input: JSON.stringify({
-        readme: readmeContent || '',
-        pinnedIssues: pinnedIssuesContent || '',
-        issue: { title: issue.title, body: issue.body || '' }
-      })
-    };
-    
-    return await callAI(this.openai, this.aiModel, request, this.config, 'README覆盖检查');
+    return await this.askVerdict('readme_coverage_check', {
+      readme: readmeContent || '',
+      pinnedIssues: pinnedIssuesContent || '',
+      issue: { title: issue.title, body: issue.body || '' }
+    }, ['COVERED', 'NOT_COVERED'], 'README覆盖检查');
   }
 
   /**
    * 第三步：检查内容质量
    */
   async checkContentQuality(issue, templateAnalysisReport) {
-    const request = {
-      instructions: this.config.prompts.content_quality_check,
-      input: JSON.stringify({
-        title: issue.title,
-        body: issue.body || '',
-        templateAnalysis: templateAnalysisReport
-      })
-    };
-    
-    return await callAI(this.openai, this.aiModel, request, this.config, '内容质量检查');
+    return await this.askVerdict('content_quality_check', {
+      title: issue.title,
+      body: issue.body || '',
+      templateAnalysis: templateAnalysisReport,
+      examples: findFeedbackExamples(issue, 'quality', this.config)
+    }, ['UNCLEAR', 'BASIC', 'VALID'], '内容质量检查');
   }
 
   /**
@@ -73,43 +134,56 @@ class IssueAnalyzer {
       return false;
     }
 
-    const request = {
-      instructions: this.config.prompts.readme_relevance,
-      input: JSON.stringify({
-        readme: readmeContent,
-        issue: { title: issue.title, body: issue.body || '' }
-      })
-    };
-    
-    const decision = await callAI(this.openai, this.aiModel, request, this.config, 'README相关性检测');
-    return decision === 'RELATED';
+    const result = await this.askVerdict('readme_relevance', {
+      readme: readmeContent,
+      issue: { title: issue.title, body: issue.body || '' }
+    }, ['RELATED', 'NOT_RELATED'], 'README相关性检测');
+    return result.verdict === 'RELATED';
   }
 
   /**
    * 分层检测Issue（新的主要方法）
    */
-  async analyzeIssue(issue, readmeContent, pinnedIssuesContent, templateAnalysisReport) {
+  async analyzeIssue(issue, readmeContent, pinnedIssuesContent, templateAnalysisReport, signals = {}) {
     console.log(this.config.logging.spam_check_start);
     
     // 第一步：垃圾检测
-    const spamResult = await this.detectSpam(issue, templateAnalysisReport);
-    console.log(this.config.logging.spam_check_result.replace('{result}', spamResult));
-    
-    if (spamResult === 'SPAM') {
-      return { decision: 'SPAM', step: 1 };
+    const screening = await this.screenSpam(issue, templateAnalysisReport, signals);
+    if (screening.result) {
+      return screening.result;
     }
+    const checks = screening.checks;
 
     // 第二步：README覆盖检查
     console.log(this.config.logging.readme_check_start);
     const coverageResult = await this.checkReadmeCoverage(issue, readmeContent, pinnedIssuesContent);
-    console.log(this.config.logging.readme_check_result.replace('{result}', coverageResult));
+    console.log(this.config.logging.readme_check_result.replace('{result}', formatVerdict(coverageResult)));
+    checks.push(coverageResult);
     
-    if (coverageResult === 'COVERED') {
-      return { decision: 'README_COVERED', step: 2 };
+    if (coverageResult.verdict === 'COVERED') {
+      const gated = this.applyConfidence('README_COVERED', coverageResult, 2, checks);
+      if (gated) return gated;
     }
 
     // 通过所有检查，需要进行分类
-    return { decision: 'KEEP', step: 2 };
+    return { decision: 'KEEP', step: 2, verdict: coverageResult, checks };
+  }
+
+  /**
+   * 垃圾检测步骤，禁止域名的链接直接判定为垃圾，新建Issue和重新评估共用
+   * @returns {Promise<Object>} { result, checks }，result 为按置信度门槛得到的分析结果，放行时为null
+   */
+  async screenSpam(issue, templateAnalysisReport, signals = {}) {
+    const linkResult = this.checkDeniedLinks(signals.linkReport);
+    if (linkResult) {
+      return { result: { decision: 'SPAM', step: 1, verdict: linkResult, checks: [linkResult] }, checks: [linkResult] };
+    }
+
+    const spamResult = await this.detectSpam(issue, templateAnalysisReport, signals);
+    console.log(this.config.logging.spam_check_result.replace('{result}', formatVerdict(spamResult)));
+    const checks = [spamResult];
+    const result = spamResult.verdict === 'SPAM' ? this.applyConfidence('SPAM', spamResult, 1, checks) : null;
+    return { result, checks };
   }
 
   /**
@@ -148,18 +222,19 @@ class IssueAnalyzer {
       })
     };
     
-    const result = await callAI(this.openai, this.aiModel, request, this.config, 'UNCLEAR智能回答生成', false);
-    
-    // 解析 AI 响应
-    const normalizedResult = result.toUpperCase();
-    if (normalizedResult.startsWith('HELPFUL_ANSWER:')) {
-      return result.substring('HELPFUL_ANSWER:'.length).trim();
-    } else if (normalizedResult === 'NEED_MORE_INFO') {
+    const result = await timeStep('unclear_issue_smart_answer', this.aiModel, () =>
+      requestVerdict(this.openai, this.aiModel, request, this.config, 'UNCLEAR智能回答生成', ['HELPFUL_ANSWER', 'NEED_MORE_INFO'], {
+        answer: { type: 'string', description: 'The answer based on the README, or an empty string' }
+      })
+    );
+
+    if (result.verdict !== 'HELPFUL_ANSWER') {
       return null; // 确实需要更多信息
     }
-    
-    // 如果响应格式不符合预期，尝试直接使用响应内容
-    return result && result.length > 10 ? result : null;
+
+    // 旧格式 "HELPFUL_ANSWER: 回答" 没有 answer 字段，回答内容由宽松解析器放在 reason 中
+    const answer = String(typeof result.answer === 'string' ? result.answer : result.reason).trim();
+    return answer || null;
   }
 
   /**
@@ -171,90 +246,101 @@ class IssueAnalyzer {
 
   /**
    * 检测PR是否为垃圾内容（第一步）
+   * @param {Object} signals 辅助信号 { reputation, linkReport }，见 reputationService 和 linkAnalyzer
    */
-  async detectPRSpam(pr, fileChanges = '') {
-    const request = {
-      instructions: this.config.prompts.pr_spam_detection,
-      input: JSON.stringify({
-        title: pr.title,
-        body: pr.body || '',
-        fileChanges
-      })
-    };
-    
-    return await callAI(this.openai, this.aiModel, request, this.config, 'PR垃圾检测');
+  async detectPRSpam(pr, fileChanges = '', signals = {}) {
+    const result = await this.askVerdict('pr_spam_detection', {
+      title: pr.title,
+      body: pr.body || '',
+      fileChanges,
+      authorReputation: toPromptInput(signals.reputation),
+      linkReport: signals.linkReport?.total > 0 ? signals.linkReport : undefined,
+      examples: findFeedbackExamples(pr, 'spam', this.config)
+    }, ['SPAM', 'NOT_SPAM'], 'PR垃圾检测');
+    return adjustSpamConfidence(result, signals.reputation, this.config);
+  }
+
+  /**
+   * 检测Issue或PR下的评论是否为垃圾内容
+   * @param {Object} comment 评论对象
+   * @param {Object} issue 评论所属的Issue或PR对象
+   */
+  async detectCommentSpam(comment, issue) {
+    return await this.askVerdict('comment_spam_detection', {
+      type: issue.pull_request ? 'pull_request_comment' : 'issue_comment',
+      threadTitle: issue.title,
+      comment: comment.body || ''
+    }, ['SPAM', 'NOT_SPAM'], '评论垃圾检测');
   }
 
   /**
    * 检测PR提交标题规范性（第二步）
    */
   async checkPRCommitCompliance(pr) {
-    const request = {
-      instructions: this.config.prompts.pr_commit_check,
-      input: JSON.stringify({ title: pr.title })
-    };
-    
-    return await callAI(this.openai, this.aiModel, request, this.config, 'PR提交规范检查');
+    return await this.askVerdict('pr_commit_check', { title: pr.title }, ['VALID', 'INVALID'], 'PR提交规范检查');
   }
 
   /**
    * 检测PR质量（第三步）
    */
   async checkPRQuality(pr, fileChanges = '') {
-    const request = {
-      instructions: this.config.prompts.pr_quality_check,
-      input: JSON.stringify({
-        title: pr.title,
-        body: pr.body || '',
-        fileChanges
-      })
-    };
-    
-    return await callAI(this.openai, this.aiModel, request, this.config, 'PR质量检查');
+    return await this.askVerdict('pr_quality_check', {
+      title: pr.title,
+      body: pr.body || '',
+      fileChanges,
+      examples: findFeedbackExamples(pr, 'quality', this.config)
+    }, ['UNCLEAR', 'MALICIOUS', 'TRIVIAL', 'VALID'], 'PR质量检查');
   }
 
   /**
    * PR分层检测（新的主要方法）
    */
-  async analyzePR(pr, fileChanges = '') {
+  async analyzePR(pr, fileChanges = '', signals = {}) {
     console.log(this.config.logging.spam_check_start);
     
-    // 第一步：垃圾检测
-    const spamResult = await this.detectPRSpam(pr, fileChanges);
-    console.log(this.config.logging.spam_check_result.replace('{result}', spamResult));
+    // 第一步：垃圾检测，禁止域名的链接直接判定为垃圾
+    const linkResult = this.checkDeniedLinks(signals.linkReport);
+    if (linkResult) {
+      return { decision: 'SPAM', step: 1, verdict: linkResult, checks: [linkResult] };
+    }
+
+    const spamResult = await this.detectPRSpam(pr, fileChanges, signals);
+    console.log(this.config.logging.spam_check_result.replace('{result}', formatVerdict(spamResult)));
+    const checks = [spamResult];
     
-    if (spamResult === 'SPAM') {
-      return { decision: 'SPAM', step: 1 };
+    if (spamResult.verdict === 'SPAM') {
+      const gated = this.applyConfidence('SPAM', spamResult, 1, checks);
+      if (gated) return gated;
     }
 
     // 第二步：提交规范检查
     console.log(this.config.logging.pr_commit_check_start || '第2步：检查提交标题规范');
     const commitResult = await this.checkPRCommitCompliance(pr);
-    console.log((this.config.logging.pr_commit_check_result || 'PR提交规范检查结果: {result}').replace('{result}', commitResult));
+    console.log((this.config.logging.pr_commit_check_result || 'PR提交规范检查结果: {result}').replace('{result}', formatVerdict(commitResult)));
+    checks.push(commitResult);
     
-    if (commitResult === 'INVALID') {
-      return { decision: 'INVALID_COMMIT', step: 2 };
+    if (commitResult.verdict === 'INVALID') {
+      const gated = this.applyConfidence('INVALID_COMMIT', commitResult, 2, checks);
+      if (gated) return gated;
     }
 
     // 第三步：PR质量检查
     console.log(this.config.logging.pr_quality_check_start || '第3步：检查PR质量');
     const qualityResult = await this.checkPRQuality(pr, fileChanges);
-    console.log((this.config.logging.pr_quality_check_result || 'PR质量检查结果: {result}').replace('{result}', qualityResult));
-    
-    if (qualityResult === 'UNCLEAR') {
-      return { decision: 'UNCLEAR', step: 3 };
-    }
+    console.log((this.config.logging.pr_quality_check_result || 'PR质量检查结果: {result}').replace('{result}', formatVerdict(qualityResult)));
+    checks.push(qualityResult);
     
-    if (qualityResult === 'MALICIOUS') {
-      return { decision: 'MALICIOUS', step: 3 };
+    if (qualityResult.verdict === 'UNCLEAR') {
+      return { decision: 'UNCLEAR', step: 3, verdict: qualityResult, checks };
     }
     
-    if (qualityResult === 'TRIVIAL') {
-      return { decision: 'TRIVIAL', step: 3 };
+    if (qualityResult.verdict === 'MALICIOUS' || qualityResult.verdict === 'TRIVIAL') {
+      const gated = this.applyConfidence(qualityResult.verdict, qualityResult, 3, checks);
+      if (gated) return gated;
     }
 
     // 通过所有检查
-    return { decision: 'KEEP', step: 3 };
+    return { decision: 'KEEP', step: 3, verdict: qualityResult, checks };
   }
 
   /**
@@ -266,10 +352,11 @@ class IssueAnalyzer {
         content, 
         additionalData.readmeContent, 
         additionalData.pinnedIssuesContent, 
-        additionalData.templateAnalysisReport
+        additionalData.templateAnalysisReport,
+        additionalData.signals
       );
     } else if (type === 'pr') {
-      return await this.analyzePR(content, additionalData.fileChanges);
+      return await this.analyzePR(content, additionalData.fileChanges, additionalData.signals);
     }
     
     throw new Error(`Unsupported content type: ${type}`);
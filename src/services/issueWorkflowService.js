@@ -3,6 +3,9 @@ const { logMessage } = require('../utils/helpers');
 const IssueAnalyzer = require('../services/issueAnalyzer');
 const ClassificationService = require('../services/classificationService');
 const IssueActionService = require('../services/issueActionService');
+const DuplicateDetector = require('../services/duplicateDetector');
+const { isContentFilterError } = require('../services/ai');
+const { recordOutcome } = require('../services/outputs');
 
 /**
  * Issue工作流服务 - 负责协调各种Issue处理流程
@@ -12,6 +15,8 @@ class IssueWorkflowService {
     this.analyzer = new IssueAnalyzer(openai, aiModel, config);
     this.classifier = new ClassificationService(openai, aiModel, config);
     this.actionService = new IssueActionService(octokit, config);
+    this.duplicateDetector = new DuplicateDetector(octokit, openai, aiModel, config);
+    this.octokit = octokit;
     this.config = config;
   }
 
@@ -50,20 +55,14 @@ class IssueWorkflowService {
         if (smartAnswer) {
           // 能够提供有用的回答
           core.info(logMessage(this.config.logging.unclear_smart_answer_generated, { number: issue.number }));
-          await this.actionService.addUnclearSmartAnswer(owner, repo, issue.number, smartAnswer);
+          await this.actionService.addUnclearSmartAnswer(owner, repo, issue, smartAnswer);
           return true;
         }
       }
       
       // 无法生成智能回答，回退到标准提示
       core.info(logMessage(this.config.logging.unclear_fallback_to_standard, { number: issue.number }));
-      await this.actionService.addComment(
-        owner, 
-        repo, 
-        issue.number, 
-        this.config.responses.issue_unclear,
-        this.config.logging.issue_unclear_comment_failed
-      );
+      await this.actionService.applyPolicy(owner, repo, issue, 'UNCLEAR');
       
       return false;
     } catch (error) {
@@ -73,13 +72,7 @@ class IssueWorkflowService {
       }));
       
       // 出错时回退到标准提示
-      await this.actionService.addComment(
-        owner, 
-        repo, 
-        issue.number, 
-        this.config.responses.issue_unclear,
-        this.config.logging.issue_unclear_comment_failed
-      );
+      await this.actionService.applyPolicy(owner, repo, issue, 'UNCLEAR');
       
       return false;
     }
@@ -109,11 +102,37 @@ class IssueWorkflowService {
     }
   }
 
+  /**
+   * 查找与Issue重复的已有Issue，并按置信度门槛决定自动关闭还是转人工分诊
+   * 检测失败不影响后续流程，但内容过滤错误需要交由上层统一处理
+   * @returns {Promise<Object|null>} 分析结果 { decision, original, verdict }，未发现重复时返回null
+   */
+  async findDuplicate(owner, repo, issue) {
+    try {
+      const duplicate = await this.duplicateDetector.detect(owner, repo, issue);
+      if (!duplicate) {
+        return null;
+      }
+
+      const gated = this.analyzer.applyConfidence('DUPLICATE', duplicate.verdict, 3, [duplicate.verdict]);
+      return gated ? { ...gated, original: duplicate.original } : null;
+    } catch (error) {
+      if (isContentFilterError(error)) {
+        throw error;
+      }
+      core.warning(logMessage(this.config.logging.duplicate_check_failed, { error: error.message }));
+      return null;
+    }
+  }
+
   /**
    * 智能分类并处理Issue
    * 先进行分类，根据分类结果决定是否需要质量检查
+   * @param {Object} options 处理选项
+   * @param {boolean} options.reevaluation 是否为作者补充信息后的重新评估（仍不清晰时不重复提示）
+   * @param {boolean} options.trusted 是否为可信作者（只分类，不进行质量检查）
    */
-  async classifyAndHandleIssue(owner, repo, issue, qualityAnalysis, labelsList) {
+  async classifyAndHandleIssue(owner, repo, issue, qualityAnalysis, labelsList, options = {}) {
     try {
       this.actionService.logClassificationStart(issue.number, labelsList);
       
@@ -121,37 +140,52 @@ class IssueWorkflowService {
       const contentForClassification = qualityAnalysis?.contentInfo?.userContent || issue.body || '';
       
       // 使用通用分类服务进行Issue分类
-      const classification = await this.classifier.classifyIssue(issue, contentForClassification, labelsList);
+      const classificationResult = await this.classifier.classifyIssue(issue, contentForClassification, labelsList);
+      const classification = classificationResult.verdict;
+      const checks = [classificationResult];
+      recordOutcome({ classification });
       
       // 添加分类标签
       await this.actionService.addClassificationLabel(owner, repo, issue, classification, labelsList);
       
       // 根据分类结果决定是否需要质量检查
-      if (this.needsDetailedInfo(classification, labelsList)) {
+      if (!options.trusted && this.needsDetailedInfo(classification, labelsList)) {
         // 对于需要详细信息的类型（如bug），进行质量检查
         const templateAnalysisReport = this.generateTemplateReport(qualityAnalysis);
         const qualityResult = await this.analyzer.checkContentQuality(issue, templateAnalysisReport);
+        checks.push(qualityResult);
+        // 决策由后续的处理策略记录
+        recordOutcome({ step: qualityResult.check, confidence: qualityResult.confidence });
         
-        if (qualityResult === 'UNCLEAR') {
+        if (qualityResult.verdict === 'UNCLEAR') {
+          if (options.reevaluation) {
+            // 重新评估时已有补充信息提示，避免重复评论
+            return { classification, needsInfo: true, checks };
+          }
+
           // 需要详细信息但描述不清，要求补充
           const readmeContent = await this.fetchReadmeContent(owner, repo);
           await this.handleUnclearIssueSmartly(owner, repo, issue, readmeContent);
-          return { classification, needsInfo: true };
-        } else if (qualityResult === 'BASIC') {
+          return { classification, needsInfo: true, checks };
+        } else if (qualityResult.verdict === 'BASIC') {
+          const gated = this.analyzer.applyConfidence('BASIC', qualityResult, 3, checks);
+          if (!gated) {
+            return { classification, needsInfo: false, checks };
+          }
+          if (gated.decision === 'NEEDS_TRIAGE') {
+            // 置信度不足，交由上层转人工分诊
+            return { classification, triage: gated, checks };
+          }
+
           // 基础问题
-          await this.actionService.closeAndLock(
-            owner, 
-            repo, 
-            issue.number, 
-            this.config.responses.issue_basic,
-            this.config.logging.issue_basic_log
-          );
-          return { classification, closed: true };
+          const policyResult = await this.actionService.applyPolicy(owner, repo, issue, 'BASIC');
+          core.info(logMessage(this.config.logging.issue_basic_log, { number: issue.number }));
+          return { classification, closed: policyResult.closed, checks };
         }
       }
       
       // 不需要详细信息或质量良好，保持开启
-      return { classification, needsInfo: false };
+      return { classification, needsInfo: false, checks };
       
     } catch (aiError) {
       core.error(logMessage(this.config.logging.classification_failed, { error: aiError.message }));
@@ -239,7 +273,7 @@ class IssueWorkflowService {
       // 使用通用分类服务进行Issue分类
       const classification = await this.classifier.classifyIssue(issue, contentForClassification, labelsList);
       
-      return await this.actionService.addClassificationLabel(owner, repo, issue, classification, labelsList);
+      return await this.actionService.addClassificationLabel(owner, repo, issue, classification.verdict, labelsList);
       
     } catch (aiError) {
       core.error(logMessage(this.config.logging.classification_failed, { error: aiError.message }));
@@ -250,8 +284,8 @@ class IssueWorkflowService {
   /**
    * 执行Issue的分层检测（新方法）
    */
-  async performLayeredDetection(issue, readmeContent, pinnedIssuesContent, templateAnalysisReport) {
-    return await this.analyzer.analyzeIssue(issue, readmeContent, pinnedIssuesContent, templateAnalysisReport);
+  async performLayeredDetection(issue, readmeContent, pinnedIssuesContent, templateAnalysisReport, signals = {}) {
+    return await this.analyzer.analyzeIssue(issue, readmeContent, pinnedIssuesContent, templateAnalysisReport, signals);
   }
 
   /**
@@ -0,0 +1,230 @@
+const core = require('@actions/core');
+const { domainToUnicode } = require('url');
+const { logMessage } = require('../utils/helpers');
+
+/**
+ * 链接分析服务 - 提取Issue和PR中的链接，离线归一化后对照允许/禁止域名列表生成链接报告
+ */
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`)\]]+/gi;
+const MARKDOWN_LINK_PATTERN = /\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)(?:\s+"[^"]*")?\)/gi;
+const HTML_LINK_PATTERN = /<a\s[^>]*href=["'](https?:\/\/[^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+// 链接文字看起来像域名或链接时才比较文字与目标是否一致
+const LINK_TEXT_DOMAIN_PATTERN = /^(?:https?:\/\/)?((?:[\p{L}\p{N}-]+\.)+[\p{L}]{2,})(?:[/:?#]\S*)?$/u;
+// 展开嵌套重定向的最大层数
+const MAX_EXPAND_DEPTH = 3;
+
+/**
+ * 提取文本中的所有链接
+ * @param {string} text 文本内容
+ * @returns {Array<string>} 链接数组，去掉末尾的标点
+ */
+function extractUrls(text) {
+  return (text.match(URL_PATTERN) || []).map(url => url.replace(/[.,;:!?*_~]+$/, ''));
+}
+
+/**
+ * 提取PR补丁中新增行的文本
+ * @param {Array} files pulls.listFiles 返回的文件列表
+ * @returns {string} 新增行文本
+ */
+function extractAddedPatchText(files) {
+  return (files || [])
+    .flatMap(file => (file.patch || '').split('\n'))
+    .filter(line => line.startsWith('+') && !line.startsWith('+++'))
+    .map(line => line.slice(1))
+    .join('\n');
+}
+
+/**
+ * 解析链接，无法解析时返回null
+ */
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 判断域名是否属于列表中的某个域名（包括子域名）
+ */
+function matchesDomainList(domain, domains) {
+  return (domains || []).some(entry => {
+    const normalized = domainToUnicode(entry.toLowerCase().replace(/^\*?\./, '')) || entry.toLowerCase();
+    return domain === normalized || domain.endsWith(`.${normalized}`);
+  });
+}
+
+/**
+ * 将主机名转换为Unicode形式的小写域名
+ * @returns {Object} { domain, idn }，idn表示原域名使用了punycode编码
+ */
+function normalizeHostname(hostname) {
+  const ascii = hostname.toLowerCase().replace(/\.$/, '');
+  const unicode = domainToUnicode(ascii) || ascii;
+  return { domain: unicode, idn: unicode !== ascii };
+}
+
+/**
+ * 按 links.short_links 映射查找短链接的目标，键为小写主机名加路径，例如 bit.ly/abc123
+ * @returns {URL|null} 目标链接，未收录时返回null
+ */
+function lookupShortLink(current, settings) {
+  const key = `${current.hostname.toLowerCase()}${current.pathname.replace(/\/+$/, '')}`;
+  const target = settings.short_links?.[key];
+  return target ? parseUrl(target) : null;
+}
+
+/**
+ * 离线展开已知的重定向包装链接（例如 google.com/url?q=...）和 links.short_links 中收录的短链接
+ * 未收录的短链接无法离线展开，只做标记
+ * @param {URL} parsed 已解析的链接
+ * @param {Object} settings links 配置段
+ * @returns {Object} { target, expandedFrom, shortener }
+ */
+function expandUrl(parsed, settings) {
+  const expandedFrom = [];
+  let current = parsed;
+
+  for (let depth = 0; depth < MAX_EXPAND_DEPTH; depth++) {
+    const param = settings.redirect_wrappers?.[current.hostname.toLowerCase()];
+    const next = param ? parseUrl(current.searchParams.get(param) || '') : lookupShortLink(current, settings);
+    if (!next) {
+      break;
+    }
+    expandedFrom.push(current.href);
+    current = next;
+  }
+
+  const { domain } = normalizeHostname(current.hostname);
+  return {
+    target: current,
+    expandedFrom,
+    shortener: matchesDomainList(domain, settings.shorteners)
+  };
+}
+
+/**
+ * 收集Markdown和HTML链接的文字与目标
+ * @returns {Map<string, string>} 目标链接到链接文字的映射
+ */
+function collectLinkTexts(text) {
+  const linkTexts = new Map();
+  for (const match of text.matchAll(MARKDOWN_LINK_PATTERN)) {
+    linkTexts.set(match[2], match[1].trim());
+  }
+  for (const match of text.matchAll(HTML_LINK_PATTERN)) {
+    linkTexts.set(match[1], match[2].replace(/<[^>]+>/g, '').trim());
+  }
+  return linkTexts;
+}
+
+/**
+ * 判断链接文字显示的域名是否与实际目标不一致
+ * @returns {string|null} 文字中显示的域名，一致或文字不像域名时返回null
+ */
+function findTextMismatch(linkText, targetDomain) {
+  const match = LINK_TEXT_DOMAIN_PATTERN.exec(linkText || '');
+  if (!match) {
+    return null;
+  }
+
+  const { domain: textDomain } = normalizeHostname(match[1]);
+  const sameSite = textDomain === targetDomain
+    || targetDomain.endsWith(`.${textDomain}`)
+    || textDomain.endsWith(`.${targetDomain}`);
+  return sameSite ? null : textDomain;
+}
+
+/**
+ * 分析Issue或PR中的链接
+ * @param {Object} item Issue或PR对象
+ * @param {Object} config 配置对象
+ * @param {string} extraText 额外需要扫描的文本，例如PR补丁中新增的行
+ * @returns {Object|null} 链接报告 { total, links, denied, shortened, mismatched, idn, unknownDomains }，未启用时返回null
+ */
+function analyzeLinks(item, config, extraText = '') {
+  const settings = config.links || {};
+  if (!settings.enabled) {
+    return null;
+  }
+
+  const text = [item.title || '', item.body || '', extraText].join('\n');
+  const linkTexts = collectLinkTexts(text);
+  const seen = new Set();
+  const links = [];
+
+  for (const url of extractUrls(text)) {
+    const parsed = parseUrl(url);
+    if (!parsed || seen.has(parsed.href)) {
+      continue;
+    }
+    seen.add(parsed.href);
+
+    const { target, expandedFrom, shortener } = expandUrl(parsed, settings);
+    const { domain, idn } = normalizeHostname(target.hostname);
+    const { domain: originalDomain } = normalizeHostname(parsed.hostname);
+    const linkText = linkTexts.get(url);
+
+    let status = 'unknown';
+    if (matchesDomainList(domain, settings.deny_domains) || matchesDomainList(originalDomain, settings.deny_domains)) {
+      status = 'denied';
+    } else if (matchesDomainList(domain, settings.allow_domains)) {
+      status = 'allowed';
+    }
+
+    links.push({
+      url,
+      target: target.href,
+      domain,
+      status,
+      idn,
+      shortener,
+      expandedFrom: expandedFrom.length > 0 ? expandedFrom : undefined,
+      text: linkText,
+      textDomain: findTextMismatch(linkText, domain) || undefined
+    });
+  }
+
+  const domainsWhere = predicate => [...new Set(links.filter(predicate).map(link => link.domain))];
+
+  return {
+    total: links.length,
+    links: links.slice(0, settings.max_urls),
+    denied: domainsWhere(link => link.status === 'denied'),
+    shortened: links.filter(link => link.shortener).map(link => link.url),
+    mismatched: links.filter(link => link.textDomain).map(link => ({ text: link.text, target: link.domain })),
+    idn: domainsWhere(link => link.idn),
+    unknownDomains: domainsWhere(link => link.status === 'unknown')
+  };
+}
+
+/**
+ * 记录链接报告摘要
+ * @param {Object|null} linkReport 链接报告
+ * @param {Object} item Issue或PR对象
+ * @param {Object} config 配置对象
+ */
+function logLinkReport(linkReport, item, config) {
+  if (!linkReport || linkReport.total === 0) {
+    return;
+  }
+
+  core.info(logMessage(config.logging.link_report, {
+    number: item.number,
+    total: linkReport.total,
+    denied: linkReport.denied.length,
+    shortened: linkReport.shortened.length,
+    mismatched: linkReport.mismatched.length,
+    idn: linkReport.idn.length
+  }));
+}
+
+module.exports = {
+  analyzeLinks,
+  logLinkReport,
+  extractUrls,
+  extractAddedPatchText
+};
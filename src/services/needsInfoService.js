@@ -0,0 +1,157 @@
+const core = require('@actions/core');
+const { logMessage, hasLabel } = require('../utils/helpers');
+const { addComment, listComments, listIssueEdits, closeIssue, removeLabel } = require('./github');
+const { DECISION_MARKER_KEY, findMarkedComment, parseMarker } = require('../utils/commentMarker');
+const { getBotLogin } = require('./botIdentity');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 提醒和关闭共用一条评论，关闭时更新提醒评论
+const FOLLOWUP_MARKER_KEY = 'needs_info_followup';
+
+/**
+ * 作者在等待补充信息的Issue下回复时移除needs-info标签
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {Object} issue Issue对象
+ * @param {Object} comment 新评论
+ * @param {Object} config 配置对象
+ * @returns {Promise<boolean>} 是否移除了标签
+ */
+async function handleAuthorReply(octokit, owner, repo, issue, comment, config) {
+  if (issue.pull_request || issue.state !== 'open' || !hasLabel(issue, config.defaults.needs_info_label)) {
+    return false;
+  }
+  if (comment.user.login.toLowerCase() !== issue.user.login.toLowerCase()) {
+    return false;
+  }
+
+  await removeLabel(octokit, owner, repo, issue.number, config.defaults.needs_info_label, config.logging.label_remove_failed);
+  core.info(logMessage(config.logging.needs_info_author_replied, { number: issue.number }));
+  return true;
+}
+
+/**
+ * 定时跟进被机器人标记为需要补充信息的Issue
+ * 从补充信息提示发出起计时：作者已回复或编辑的移除标签，超过 reminder_days 的发送提醒，超过 close_days 的关闭
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {Object} config 配置对象
+ * @returns {Promise<Object>} 处理统计 { reminded, closed, resolved }
+ */
+async function followUpNeedsInfo(octokit, owner, repo, config) {
+  const settings = config.needs_info_followup || {};
+  const stats = { reminded: 0, closed: 0, resolved: 0 };
+  if (!settings.enabled) {
+    return stats;
+  }
+
+  const issues = await octokit.paginate(octokit.rest.issues.listForRepo, {
+    owner,
+    repo,
+    state: 'open',
+    labels: config.defaults.needs_info_label,
+    per_page: 100
+  });
+  const candidates = issues.filter(issue => !issue.pull_request);
+  core.info(logMessage(config.logging.needs_info_followup_start, { count: candidates.length }));
+
+  for (const issue of candidates) {
+    try {
+      const result = await followUpIssue(octokit, owner, repo, issue, config);
+      if (result) {
+        stats[result]++;
+      }
+    } catch (error) {
+      core.warning(logMessage(config.logging.needs_info_followup_failed, { number: issue.number, error: error.message }));
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * 跟进单个Issue
+ * @returns {Promise<string|null>} 执行的操作：reminded、closed、resolved，未到期时返回null
+ */
+async function followUpIssue(octokit, owner, repo, issue, config) {
+  const settings = config.needs_info_followup;
+  const comments = await listComments(octokit, owner, repo, issue.number, config.logging.issue_comments_fetch_failed);
+
+  // 只跟进机器人要求补充信息的Issue，维护者手动添加的标签不自动关闭
+  const request = findMarkedComment(comments, DECISION_MARKER_KEY, getBotLogin());
+  const marker = request ? parseMarker(request.body) : null;
+  if (marker?.decision !== 'UNCLEAR') {
+    return null;
+  }
+
+  const requestedAt = new Date(marker.at || request.updated_at).getTime();
+  const author = issue.user.login.toLowerCase();
+  const authorReplied = comments.some(comment =>
+    comment.user?.login?.toLowerCase() === author && new Date(comment.created_at).getTime() > requestedAt
+  );
+  if (authorReplied || await hasAuthorEditedSince(octokit, owner, repo, issue, requestedAt, config)) {
+    await removeLabel(octokit, owner, repo, issue.number, config.defaults.needs_info_label, config.logging.label_remove_failed);
+    core.info(logMessage(config.logging.needs_info_author_replied, { number: issue.number }));
+    return 'resolved';
+  }
+
+  const elapsedDays = (Date.now() - requestedAt) / DAY_MS;
+
+  if (elapsedDays >= settings.close_days) {
+    await closeIssue(
+      octokit,
+      owner,
+      repo,
+      issue.number,
+      logMessage(config.responses.needs_info_closed, { days: settings.close_days }),
+      config,
+      false,
+      'not_planned',
+      [],
+      { key: FOLLOWUP_MARKER_KEY, decision: 'UNCLEAR_CLOSED' }
+    );
+    core.info(logMessage(config.logging.needs_info_closed_log, { number: issue.number, days: settings.close_days }));
+    return 'closed';
+  }
+
+  // 重新要求补充信息后计时重新开始，之前的提醒不再算数
+  const reminder = findMarkedComment(comments, FOLLOWUP_MARKER_KEY, getBotLogin());
+  const reminded = reminder && new Date(parseMarker(reminder.body).at).getTime() > requestedAt;
+
+  if (elapsedDays >= settings.reminder_days && !reminded) {
+    await addComment(
+      octokit,
+      owner,
+      repo,
+      issue.number,
+      logMessage(config.responses.needs_info_reminder, { days: settings.close_days - settings.reminder_days }),
+      config.logging.issue_comment_failed,
+      { key: FOLLOWUP_MARKER_KEY, decision: 'UNCLEAR_REMINDED' }
+    );
+    core.info(logMessage(config.logging.needs_info_reminded, { number: issue.number, days: settings.reminder_days }));
+    return 'reminded';
+  }
+
+  return null;
+}
+
+/**
+ * 判断作者在补充信息提示之后是否编辑过标题或正文
+ * Issue在提示之后没有任何更新时无需查询编辑记录
+ */
+async function hasAuthorEditedSince(octokit, owner, repo, issue, requestedAt, config) {
+  if (!issue.updated_at || new Date(issue.updated_at).getTime() <= requestedAt) {
+    return false;
+  }
+
+  const author = issue.user.login.toLowerCase();
+  const edits = await listIssueEdits(octokit, owner, repo, issue.number, config.logging.needs_info_edits_fetch_failed);
+  return edits.some(edit => edit.login?.toLowerCase() === author && new Date(edit.at).getTime() > requestedAt);
+}
+
+module.exports = {
+  handleAuthorReply,
+  followUpNeedsInfo
+};
@@ -0,0 +1,275 @@
+const core = require('@actions/core');
+const crypto = require('crypto');
+const { logMessage } = require('../utils/helpers');
+const { getOutcome } = require('./outputs');
+
+/**
+ * 通知服务 - 关闭内容后向配置的Webhook发送通知，便于维护者复核
+ * 支持通用JSON、Slack兼容和Discord兼容三种格式，配置密钥时使用HMAC-SHA256签名
+ */
+
+const NOTIFICATION_FORMATS = new Set(['json', 'slack', 'discord']);
+const SIGNATURE_HEADER = 'X-NoMore-Spam-Signature-256';
+const DELIVERY_HEADER = 'X-NoMore-Spam-Delivery';
+// 服务端要求的重试等待时间上限，避免拖慢整个运行
+const MAX_RETRY_AFTER_MS = 30000;
+const DISCORD_COLOR = 0xd73a49;
+
+/**
+ * 判断某个决策是否需要发送通知
+ * @param {Object} config 配置对象
+ * @param {string} decision 决策类型
+ * @returns {boolean} 是否需要通知
+ */
+function shouldNotify(config, decision) {
+  const settings = config.notifications || {};
+  return Boolean(settings.enabled)
+    && (settings.webhooks || []).length > 0
+    && (settings.decisions || []).includes(decision);
+}
+
+/**
+ * 生成通知事件
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {Object} item Issue或PR对象，评论通知使用所在的Issue或PR，链接和作者取自评论
+ * @param {string} type 内容类型：'issue'、'pr' 或 'comment'
+ * @param {string} decision 决策类型
+ * @param {Object} result 处理结果 { closed, locked, minimized }
+ * @param {Object} config 配置对象
+ * @returns {Object} 通知事件
+ */
+function buildNotification(owner, repo, item, type, decision, result, config) {
+  const text = config.notification_text;
+  const outcome = getOutcome();
+  const label = type === 'comment'
+    ? logMessage(text.comment, { number: item.number })
+    : `${type === 'pr' ? text.pull_request : text.issue} #${item.number}`;
+  const closed = Boolean(result?.closed);
+  const minimized = Boolean(result?.minimized);
+
+  return {
+    event: 'decision',
+    repository: `${owner}/${repo}`,
+    type,
+    number: item.number,
+    title: item.title || '',
+    url: item.html_url || '',
+    author: item.user?.login || null,
+    decision,
+    step: outcome.itemNumber === item.number ? outcome.step : null,
+    confidence: outcome.itemNumber === item.number ? outcome.confidence : null,
+    closed,
+    locked: Boolean(result?.locked),
+    minimized,
+    timestamp: new Date().toISOString(),
+    text: logMessage(closed ? text.closed : (minimized ? text.minimized : text.flagged), { item: label, decision })
+  };
+}
+
+/**
+ * 按格式生成请求体
+ * @param {Object} notification buildNotification 的结果
+ * @param {string} format 格式：json、slack 或 discord
+ * @param {Object} config 配置对象
+ * @returns {Object} 请求体
+ */
+function formatPayload(notification, format, config) {
+  const text = config.notification_text;
+  const details = [
+    [text.author, notification.author ? `@${notification.author}` : '-'],
+    [text.step, notification.step || '-'],
+    [text.confidence, typeof notification.confidence === 'number' ? notification.confidence.toFixed(2) : '-']
+  ];
+
+  if (format === 'slack') {
+    const link = notification.url
+      ? `<${notification.url}|${escapeSlack(notification.title || notification.url)}>`
+      : escapeSlack(notification.title);
+    const fields = details.map(([name, value]) => `${name}: ${escapeSlack(value)}`).join(' · ');
+    return { text: `*${escapeSlack(notification.text)}*\n${link}\n${fields}` };
+  }
+
+  if (format === 'discord') {
+    return {
+      embeds: [{
+        title: notification.text.slice(0, 256),
+        url: notification.url || undefined,
+        description: notification.title.slice(0, 4096),
+        color: DISCORD_COLOR,
+        fields: details.map(([name, value]) => ({ name, value: String(value), inline: true })),
+        timestamp: notification.timestamp
+      }],
+      // 不解析标题中的@提及，避免通知误提醒他人
+      allowed_mentions: { parse: [] }
+    };
+  }
+
+  return notification;
+}
+
+function escapeSlack(value) {
+  return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * 计算请求体的HMAC-SHA256签名
+ * @param {string} secret 签名密钥
+ * @param {string} body 请求体
+ * @returns {string} sha256=<十六进制签名>
+ */
+function signPayload(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 网络错误、429和5xx响应可以重试，其他4xx说明请求本身有问题
+ */
+function isRetryable(status) {
+  return status === undefined || status === 429 || status >= 500;
+}
+
+function getRetryDelay(settings, attempt, response) {
+  const delay = (settings.retry_delay_seconds || 0) * 1000 * 2 ** (attempt - 1);
+  const retryAfter = Number(response?.headers?.get('retry-after'));
+  return Number.isFinite(retryAfter) && retryAfter > 0
+    ? Math.max(delay, Math.min(retryAfter * 1000, MAX_RETRY_AFTER_MS))
+    : delay;
+}
+
+/**
+ * 向一个Webhook发送通知，失败时按配置重试
+ * 每次重试使用相同的投递ID，接收方可据此去重
+ * @param {Object} webhook Webhook配置 { url, format, secret }
+ * @param {Object} notification 通知事件
+ * @param {Object} config 配置对象
+ * @returns {Promise<Object>} { success, attempts, status, error }
+ */
+async function deliver(webhook, notification, config) {
+  const settings = config.notifications;
+  const format = webhook.format || 'json';
+  const body = JSON.stringify(formatPayload(notification, format, config));
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'nomore-spam',
+    [DELIVERY_HEADER]: crypto.randomUUID()
+  };
+  if (webhook.secret) {
+    headers[SIGNATURE_HEADER] = signPayload(webhook.secret, body);
+  }
+
+  const maxAttempts = (settings.retries || 0) + 1;
+  let lastError = null;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let response = null;
+    try {
+      response = await fetch(webhook.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout((settings.timeout_seconds || 10) * 1000)
+      });
+      if (response.ok) {
+        return { success: true, attempts: attempt, status: response.status };
+      }
+      lastError = { status: response.status, message: `HTTP ${response.status}` };
+    } catch (error) {
+      lastError = { status: undefined, message: error.message };
+    }
+
+    if (attempt >= maxAttempts || !isRetryable(lastError.status)) {
+      return { success: false, attempts: attempt, status: lastError.status, error: lastError.message };
+    }
+    core.info(logMessage(config.logging.notification_retry, {
+      host: describeEndpoint(webhook.url),
+      attempt,
+      error: lastError.message
+    }));
+    await sleep(getRetryDelay(settings, attempt, response));
+  }
+}
+
+/**
+ * 日志中只显示主机名，Webhook地址中通常包含令牌
+ */
+function describeEndpoint(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return 'invalid-url';
+  }
+}
+
+/**
+ * 在决策处理完成后发送通知，发送失败只输出警告，不影响处理结果
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {Object} item Issue或PR对象，见 buildNotification
+ * @param {string} type 内容类型：'issue'、'pr' 或 'comment'
+ * @param {string} decision 决策类型
+ * @param {Object} result 处理结果 { closed, locked, minimized }
+ * @param {Object} config 配置对象
+ * @returns {Promise<Array>} 每个Webhook的发送结果，不需要通知时返回空数组
+ */
+async function notifyDecision(owner, repo, item, type, decision, result, config) {
+  if (!shouldNotify(config, decision)) {
+    return [];
+  }
+
+  const webhooks = config.notifications.webhooks;
+  if (config.notifications.dry_run) {
+    core.info(logMessage(config.logging.notification_dry_run, { number: item.number, decision, count: webhooks.length }));
+    return [];
+  }
+
+  const notification = buildNotification(owner, repo, item, type, decision, result, config);
+  const deliveries = [];
+  for (const webhook of webhooks) {
+    const delivery = await deliver(webhook, notification, config);
+    const host = describeEndpoint(webhook.url);
+    if (delivery.success) {
+      core.info(logMessage(config.logging.notification_sent, { number: item.number, decision, host }));
+    } else {
+      core.warning(logMessage(config.logging.notification_failed, {
+        number: item.number,
+        host,
+        attempts: delivery.attempts,
+        error: delivery.error
+      }));
+    }
+    deliveries.push({ host, ...delivery });
+  }
+  return deliveries;
+}
+
+/**
+ * 验证Webhook配置
+ * @param {Array} webhooks Webhook列表
+ * @throws {Error} 配置无效时抛出错误
+ */
+function validateWebhooks(webhooks) {
+  for (const webhook of webhooks || []) {
+    if (!webhook?.url || !/^https?:\/\//i.test(webhook.url)) {
+      throw new Error('notifications.webhooks 中的每一项都需要 http(s) url');
+    }
+    if (webhook.format && !NOTIFICATION_FORMATS.has(webhook.format)) {
+      throw new Error(`不支持的通知格式: ${webhook.format}`);
+    }
+  }
+}
+
+module.exports = {
+  NOTIFICATION_FORMATS,
+  SIGNATURE_HEADER,
+  DELIVERY_HEADER,
+  shouldNotify,
+  buildNotification,
+  formatPayload,
+  signPayload,
+  notifyDecision,
+  validateWebhooks
+};
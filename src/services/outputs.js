@@ -0,0 +1,80 @@
+const core = require('@actions/core');
+const { startReportItem } = require('./runReport');
+
+/**
+ * 运行结果输出 - 记录本次运行对内容作出的决策，运行结束时通过Action输出提供给后续步骤
+ * 一次运行处理多个内容时（如积压处理），输出最后处理的内容
+ */
+
+let outcome = createOutcome(null);
+
+function createOutcome(itemNumber) {
+  return {
+    decision: null,
+    step: null,
+    classification: null,
+    confidence: null,
+    closed: false,
+    locked: false,
+    itemNumber
+  };
+}
+
+/**
+ * 开始记录一个内容的处理结果，清除之前内容的记录，并在运行报告中新增该内容
+ * @param {Object} item Issue或PR对象
+ */
+function startOutcome(item) {
+  outcome = createOutcome(item.number);
+  startReportItem(item, outcome);
+}
+
+/**
+ * 记录处理结果，未提供的字段保持不变
+ * @param {Object} fields { decision, step, classification, confidence, closed, locked }
+ */
+function recordOutcome(fields) {
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && key in outcome) {
+      outcome[key] = value;
+    }
+  }
+}
+
+/**
+ * 记录某个检测步骤的判定
+ * @param {string} decision 决策类型
+ * @param {Object} verdict 判定结果 { check, confidence }，见 verdict
+ */
+function recordVerdict(decision, verdict) {
+  recordOutcome({ decision, step: verdict?.check, confidence: verdict?.confidence });
+}
+
+/**
+ * 获取当前记录的处理结果
+ * @returns {Object} 处理结果
+ */
+function getOutcome() {
+  return { ...outcome };
+}
+
+/**
+ * 将处理结果写入Action输出
+ */
+function writeOutputs() {
+  core.setOutput('decision', outcome.decision || '');
+  core.setOutput('step', outcome.step || '');
+  core.setOutput('classification', outcome.classification || '');
+  core.setOutput('confidence', typeof outcome.confidence === 'number' ? String(outcome.confidence) : '');
+  core.setOutput('closed', String(outcome.closed));
+  core.setOutput('locked', String(outcome.locked));
+  core.setOutput('item-number', outcome.itemNumber ? String(outcome.itemNumber) : '');
+}
+
+module.exports = {
+  startOutcome,
+  recordOutcome,
+  recordVerdict,
+  getOutcome,
+  writeOutputs
+};
@@ -0,0 +1,273 @@
+const core = require('@actions/core');
+const { logMessage, executeApiCalls } = require('../utils/helpers');
+const { DECISION_MARKER_KEY } = require('../utils/commentMarker');
+const { upsertComment } = require('./github');
+const { recordOutcome } = require('./outputs');
+
+// 支持的策略动作
+const POLICY_ACTIONS = new Set(['comment', 'label', 'close', 'lock', 'assign', 'mention']);
+const ISSUE_STATE_REASONS = new Set(['completed', 'not_planned', 'duplicate']);
+const LOCK_REASONS = new Set(['off-topic', 'too heated', 'resolved', 'spam']);
+
+/**
+ * 获取某类内容在某个决策下的处理策略
+ * @param {Object} config 配置对象
+ * @param {string} type 内容类型：'issue' 或 'pr'
+ * @param {string} decision 决策类型，例如 SPAM、BLACKLISTED
+ * @returns {Array} 动作列表
+ */
+function getPolicy(config, type, decision) {
+  return config.policies?.[type]?.[decision] || [];
+}
+
+/**
+ * 将策略动作转换为API调用
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {number} number Issue/PR编号
+ * @param {string} type 内容类型：'issue' 或 'pr'
+ * @param {Object} action 策略动作
+ * @param {Object} config 配置对象
+ * @param {Object} options 执行选项
+ * @param {Object} options.responses 覆盖的回复内容，键为回复键名
+ * @param {Object} options.variables 回复模板变量
+ * @param {Object} options.marker 评论的隐藏标记信息
+ * @returns {Object} { operation, errorMessage }
+ */
+function buildPolicyCall(octokit, owner, repo, number, type, action, config, options = {}) {
+  const errorKey = type === 'pr' ? 'pr' : 'issue';
+
+  switch (action.action) {
+  case 'comment': {
+    let template = options.responses?.[action.response] ?? config.responses[action.response] ?? action.body;
+    if (action.appeal_hint) {
+      template = `${template}\n\n${config.responses.appeal_hint}`;
+    }
+    return {
+      operation: () => upsertComment(octokit, owner, repo, number, logMessage(template, options.variables), options.marker),
+      errorMessage: config.logging[`${errorKey}_comment_failed`]
+    };
+  }
+  case 'label':
+    return {
+      operation: () => octokit.rest.issues.addLabels({
+        owner,
+        repo,
+        issue_number: number,
+        labels: resolveLabels(action, config)
+      }),
+      errorMessage: config.logging.label_add_api_failed
+    };
+  case 'close':
+    return {
+      operation: () => (type === 'pr'
+        ? octokit.rest.pulls.update({ owner, repo, pull_number: number, state: 'closed' })
+        : octokit.rest.issues.update({
+          owner,
+          repo,
+          issue_number: number,
+          state: 'closed',
+          state_reason: action.state_reason || 'not_planned'
+        })),
+      errorMessage: config.logging[`${errorKey}_close_failed`]
+    };
+  case 'lock':
+    return {
+      operation: () => octokit.rest.issues.lock({
+        owner,
+        repo,
+        issue_number: number,
+        lock_reason: action.lock_reason || config.defaults.lock_reason
+      }),
+      errorMessage: config.logging[`${errorKey}_lock_failed`]
+    };
+  case 'assign':
+    return {
+      operation: () => octokit.rest.issues.addAssignees({
+        owner,
+        repo,
+        issue_number: number,
+        assignees: resolveUsers(action, config)
+      }),
+      errorMessage: config.logging.policy_assign_failed
+    };
+  case 'mention':
+    return {
+      operation: () => upsertComment(
+        octokit,
+        owner,
+        repo,
+        number,
+        logMessage(config.responses[action.response || 'policy_mention'], {
+          ...options.variables,
+          mentions: resolveUsers(action, config).map(user => `@${user}`).join(' ')
+        }),
+        options.marker
+      ),
+      errorMessage: config.logging[`${errorKey}_comment_failed`]
+    };
+  default:
+    throw new Error(`不支持的策略动作: ${action.action}`);
+  }
+}
+
+/**
+ * 获取标签动作的标签，{needs_info_label} 替换为 defaults.needs_info_label，
+ * 使策略添加的标签与补充信息的重新评估和跟进使用同一个标签
+ */
+function resolveLabels(action, config) {
+  return action.labels.map(label => logMessage(label, { needs_info_label: config.defaults.needs_info_label }));
+}
+
+/**
+ * 获取动作涉及的用户，未配置时使用维护者列表
+ */
+function resolveUsers(action, config) {
+  const users = action.users && action.users.length > 0 ? action.users : config.triage.maintainers;
+  return (users || []).map(user => user.replace(/^@/, ''));
+}
+
+/**
+ * 启用申诉时调整关闭类策略：第一条评论附带申诉说明，锁定改为添加申诉窗口标签，
+ * 以便作者仍能在未锁定的讨论中申诉，窗口结束后由定时运行补上锁定
+ * @param {Array} actions 动作列表
+ * @param {Object} config 配置对象
+ * @returns {Array} 调整后的动作列表
+ */
+function withAppealWindow(actions, config) {
+  const settings = config.appeals;
+  if (!settings?.enabled || !actions.some(action => action.action === 'close')) {
+    return actions;
+  }
+
+  const firstComment = actions.find(action => action.action === 'comment');
+  return actions.map(action => {
+    if (action === firstComment) {
+      return { ...action, appeal_hint: true };
+    }
+    if (action.action === 'lock') {
+      return { action: 'label', labels: [settings.window_label], deferred: 'lock' };
+    }
+    return action;
+  });
+}
+
+/**
+ * 执行某个决策对应的处理策略
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {Object} item Issue或PR对象
+ * @param {string} type 内容类型：'issue' 或 'pr'
+ * @param {string} decision 决策类型
+ * @param {Object} config 配置对象
+ * @param {Object} options 执行选项，见 buildPolicyCall
+ * @returns {Promise<Object>} { decision, actions, results, closed, locked, lockDeferred }
+ */
+async function executePolicy(octokit, owner, repo, item, type, decision, config, options = {}) {
+  const actions = withAppealWindow(getPolicy(config, type, decision), config);
+  const variables = { number: item.number, decision, days: config.appeals?.window_days, ...options.variables };
+
+  // 第一条评论作为决策评论，重新运行时更新而不是重复发表
+  let comments = 0;
+  const markerFor = action => {
+    if (action.action !== 'comment') {
+      return { key: action.action, decision };
+    }
+    comments++;
+    return { key: comments === 1 ? DECISION_MARKER_KEY : `${DECISION_MARKER_KEY}-${comments}`, decision };
+  };
+
+  const calls = actions
+    // 提及动作在没有可提及的用户时跳过
+    .filter(action => !['mention', 'assign'].includes(action.action) || resolveUsers(action, config).length > 0)
+    .map(action => ({
+      action: action.deferred ? `defer_${action.deferred}` : action.action,
+      ...buildPolicyCall(octokit, owner, repo, item.number, type, action, config, { ...options, variables, marker: markerFor(action) })
+    }));
+
+  core.info(logMessage(config.logging.policy_execute, {
+    number: item.number,
+    decision,
+    actions: calls.map(call => call.action).join(', ') || '-'
+  }));
+
+  const results = await executeApiCalls(calls);
+  const succeeded = name => calls.some((call, index) => call.action === name && results[index].success);
+  const closed = succeeded('close');
+  const locked = succeeded('lock');
+  recordOutcome({ decision, closed, locked });
+
+  return {
+    decision,
+    actions: calls.map((call, index) => ({ action: call.action, success: results[index].success })),
+    results,
+    closed,
+    locked,
+    lockDeferred: succeeded('defer_lock')
+  };
+}
+
+/**
+ * 获取机器人在审核过程中添加的标签（小写），包括策略中的标签动作
+ * @param {Object} config 配置对象
+ * @returns {Set<string>} 标签集合
+ */
+function getModerationLabels(config) {
+  const labels = [
+    config.triage?.label,
+    config.appeals?.label,
+    config.appeals?.window_label,
+    config.defaults.needs_info_label,
+    config.duplicate_detection?.label
+  ];
+
+  for (const decisions of Object.values(config.policies || {})) {
+    for (const actions of Object.values(decisions)) {
+      actions.filter(action => action.action === 'label').forEach(action => labels.push(...resolveLabels(action, config)));
+    }
+  }
+
+  return new Set(labels.filter(Boolean).map(label => label.toLowerCase()));
+}
+
+/**
+ * 验证策略配置
+ * @param {Object} policies policies 配置段
+ * @throws {Error} 配置无效时抛出错误
+ */
+function validatePolicies(policies) {
+  for (const [type, decisions] of Object.entries(policies || {})) {
+    for (const [decision, actions] of Object.entries(decisions)) {
+      if (!Array.isArray(actions)) {
+        throw new Error(`配置文件中 ${type}.${decision} 的策略必须是动作数组`);
+      }
+
+      for (const action of actions) {
+        if (!POLICY_ACTIONS.has(action.action)) {
+          throw new Error(`配置文件中 ${type}.${decision} 包含不支持的策略动作: ${action.action}`);
+        }
+        if (action.action === 'close' && action.state_reason && !ISSUE_STATE_REASONS.has(action.state_reason)) {
+          throw new Error(`配置文件中 ${type}.${decision} 的关闭原因无效: ${action.state_reason}`);
+        }
+        if (action.action === 'lock' && action.lock_reason && !LOCK_REASONS.has(action.lock_reason)) {
+          throw new Error(`配置文件中 ${type}.${decision} 的锁定原因无效: ${action.lock_reason}`);
+        }
+        if (action.action === 'label' && (!Array.isArray(action.labels) || action.labels.length === 0)) {
+          throw new Error(`配置文件中 ${type}.${decision} 的标签动作缺少 labels`);
+        }
+        if (action.action === 'comment' && !action.response && !action.body) {
+          throw new Error(`配置文件中 ${type}.${decision} 的评论动作缺少 response 或 body`);
+        }
+      }
+    }
+  }
+}
+
+module.exports = {
+  getPolicy,
+  executePolicy,
+  getModerationLabels,
+  validatePolicies
+};
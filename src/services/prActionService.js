@@ -1,6 +1,7 @@
 const core = require('@actions/core');
 const { logMessage, handleApiCall } = require('../utils/helpers');
 const ClassificationService = require('./classificationService');
+const { upsertComment } = require('./github');
 
 /**
  * PR动作服务 - 负责执行PR相关的GitHub API操作
@@ -85,16 +86,12 @@ class PrActionService {
    * @param {number} prNumber - PR编号
    * @param {string} body - 评论内容
    * @param {string} errorLogKey - 错误日志键名
+   * @param {Object} marker - 标记信息，相同标记键的评论会被更新
    */
-  async addComment(owner, repo, prNumber, body, errorLogKey) {
+  async addComment(owner, repo, prNumber, body, errorLogKey, marker = { key: 'comment' }) {
     try {
       await handleApiCall(
-        () => this.octokit.rest.issues.createComment({
-          owner,
-          repo,
-          issue_number: prNumber,
-          body
-        }),
+        () => upsertComment(this.octokit, owner, repo, prNumber, body, marker),
         errorLogKey
       );
     } catch (error) {
@@ -3,6 +3,7 @@ const { logMessage } = require('../utils/helpers');
 const IssueAnalyzer = require('./issueAnalyzer');
 const ClassificationService = require('./classificationService');
 const PrActionService = require('./prActionService');
+const { recordOutcome } = require('./outputs');
 
 /**
  * PR工作流服务 - 负责协调各种PR处理流程
@@ -30,9 +31,10 @@ class PrWorkflowService {
       
       // 使用通用分类服务进行PR分类
       const classification = await this.classifier.classifyPR(pr, labelsList, fileChanges);
+      recordOutcome({ classification: classification.verdict });
       
       // 添加分类标签
-      return await this.actionService.addClassificationLabel(owner, repo, pr, classification, labelsList);
+      return await this.actionService.addClassificationLabel(owner, repo, pr, classification.verdict, labelsList);
       
     } catch (aiError) {
       core.error(logMessage(this.config.logging.classification_failed, { error: aiError.message }));
@@ -43,8 +45,8 @@ class PrWorkflowService {
   /**
    * 执行PR的分层检测
    */
-  async performLayeredDetection(pr, fileChanges = '') {
-    return await this.analyzer.analyzePR(pr, fileChanges);
+  async performLayeredDetection(pr, fileChanges = '', signals = {}) {
+    return await this.analyzer.analyzePR(pr, fileChanges, signals);
   }
 }
 
@@ -0,0 +1,254 @@
+const core = require('@actions/core');
+const { logMessage, handleApiCall } = require('../utils/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 首次参与仓库的作者身份
+const NEWCOMER_ASSOCIATIONS = new Set(['FIRST_TIMER', 'FIRST_TIME_CONTRIBUTOR', 'NONE']);
+// 作者历史搜索每页数量，也是搜索API允许的最大值
+const HISTORY_PAGE_SIZE = 100;
+
+// 本次运行中已查询的作者，键为 owner/repo#login
+const authorCache = new Map();
+// 搜索API达到速率限制后，本次运行不再搜索作者历史
+let searchRateLimited = false;
+
+/**
+ * 收集Issue或PR作者的信誉信号
+ * 账号信息来自users API，作者身份来自事件payload，历史Issue和PR数量来自搜索API，同一次运行中按作者缓存
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {Object} item Issue或PR对象
+ * @param {Object} config 配置对象
+ * @returns {Promise<Object|null>} 信誉信息 { login, association, accountAgeDays, publicRepos, followers, priorIssues, priorPRs, riskScore, signals, summary }，未启用或获取失败时返回null
+ */
+async function collectReputation(octokit, owner, repo, item, config) {
+  const settings = config.reputation || {};
+  if (!settings.enabled) {
+    return null;
+  }
+
+  const login = item.user.login;
+
+  try {
+    const { user, history } = await loadAuthor(octokit, owner, repo, login, config);
+
+    const reputation = {
+      login,
+      association: item.author_association || 'NONE',
+      accountAgeDays: Math.floor((Date.now() - new Date(user.created_at).getTime()) / DAY_MS),
+      publicRepos: user.public_repos ?? 0,
+      followers: user.followers ?? 0,
+      ...countPriorItems(history, item)
+    };
+    Object.assign(reputation, scoreReputation(reputation, settings));
+    reputation.summary = summarizeReputation(reputation);
+
+    core.info(logMessage(config.logging.reputation_result, {
+      author: login,
+      summary: reputation.summary
+    }));
+
+    return reputation;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 获取作者的账号信息和仓库内的Issue/PR历史，同一次运行中每个作者只查询一次
+ * 扫描存量内容时同一作者可能有多条内容，缓存可以避免触发搜索API每分钟30次的限制
+ * @returns {Promise<Object>} { user, history }，账号信息获取失败时抛出异常
+ */
+function loadAuthor(octokit, owner, repo, login, config) {
+  const key = `${owner}/${repo}#${login.toLowerCase()}`;
+  if (!authorCache.has(key)) {
+    authorCache.set(key, fetchAuthor(octokit, owner, repo, login, config));
+  }
+  return authorCache.get(key);
+}
+
+/**
+ * 查询作者账号信息和历史，不使用缓存
+ */
+async function fetchAuthor(octokit, owner, repo, login, config) {
+  const userResponse = await handleApiCall(
+    () => octokit.rest.users.getByUsername({ username: login }),
+    config.logging.reputation_user_fetch_failed
+  );
+  const history = await searchHistory(octokit, owner, repo, login, config);
+  return { user: userResponse.data, history };
+}
+
+/**
+ * 通过一次搜索获取作者在仓库中最早的Issue和PR，再按每条内容的创建时间在本地统计
+ * @returns {Promise<Object|null>} { items, complete }，查询失败或已达到速率限制时返回null
+ */
+async function searchHistory(octokit, owner, repo, login, config) {
+  if (searchRateLimited) {
+    return null;
+  }
+
+  try {
+    const response = await handleApiCall(
+      () => octokit.rest.search.issuesAndPullRequests({
+        q: `repo:${owner}/${repo} author:${login}`,
+        sort: 'created',
+        order: 'asc',
+        per_page: HISTORY_PAGE_SIZE
+      }),
+      config.logging.reputation_search_failed
+    );
+    const items = (response.data?.items || []).map(entry => ({
+      number: entry.number,
+      pullRequest: Boolean(entry.pull_request),
+      createdAt: entry.created_at
+    }));
+    return { items, complete: (response.data?.total_count ?? 0) <= items.length };
+  } catch (error) {
+    if (isRateLimitError(error)) {
+      searchRateLimited = true;
+      core.warning(config.logging.reputation_rate_limited);
+    }
+    return null;
+  }
+}
+
+/**
+ * 判断是否为GitHub API速率限制错误（包括二级速率限制）
+ */
+function isRateLimitError(error) {
+  if (error.status === 429) {
+    return true;
+  }
+  return error.status === 403
+    && (error.response?.headers?.['x-ratelimit-remaining'] === '0' || /rate limit/i.test(error.message || ''));
+}
+
+/**
+ * 统计当前内容创建之前作者的Issue和PR数量
+ * 作者的内容超过一页且当前内容较晚时，结果为下限，仍足以判断是否有过活动
+ * @returns {Object} { priorIssues, priorPRs }，历史未知时为null
+ */
+function countPriorItems(history, item) {
+  if (!history) {
+    return { priorIssues: null, priorPRs: null };
+  }
+
+  const createdAt = item.created_at ? new Date(item.created_at).getTime() : Infinity;
+  const prior = history.items.filter(entry => entry.number !== item.number && new Date(entry.createdAt).getTime() < createdAt);
+  return {
+    priorIssues: prior.filter(entry => !entry.pullRequest).length,
+    priorPRs: prior.filter(entry => entry.pullRequest).length
+  };
+}
+
+/**
+ * 清除作者缓存和速率限制状态，用于测试
+ */
+function resetReputationCache() {
+  authorCache.clear();
+  searchRateLimited = false;
+}
+
+/**
+ * 根据信誉信号计算确定性的风险预评分
+ * 每个命中的信号累加配置的权重，结果在0（成熟账号）到1（全新且无任何活动的账号）之间
+ * @param {Object} reputation 信誉信息
+ * @param {Object} settings reputation 配置段
+ * @returns {Object} { riskScore, signals }
+ */
+function scoreReputation(reputation, settings) {
+  const weights = settings.weights || {};
+  const signals = [];
+
+  if (reputation.accountAgeDays < settings.new_account_days) {
+    signals.push('new_account');
+  }
+  if (reputation.publicRepos === 0) {
+    signals.push('no_public_repos');
+  }
+  if (reputation.followers === 0) {
+    signals.push('no_followers');
+  }
+  // 搜索失败时视为未知，不计入风险
+  if (reputation.priorIssues === 0 && reputation.priorPRs === 0) {
+    signals.push('no_prior_activity');
+  }
+  if (NEWCOMER_ASSOCIATIONS.has(reputation.association)) {
+    signals.push('first_time_author');
+  }
+
+  const score = signals.reduce((total, signal) => total + (weights[signal] || 0), 0);
+  return { riskScore: Math.min(1, Math.round(score * 100) / 100), signals };
+}
+
+/**
+ * 生成简短的信誉摘要，用于日志和AI提示词输入
+ */
+function summarizeReputation(reputation) {
+  const count = value => (value === null ? 'unknown' : value);
+  return [
+    `account age ${reputation.accountAgeDays} days`,
+    `${reputation.publicRepos} public repos`,
+    `${reputation.followers} followers`,
+    `${count(reputation.priorIssues)} prior issues`,
+    `${count(reputation.priorPRs)} prior pull requests in this repository`,
+    `association ${reputation.association}`,
+    `risk score ${reputation.riskScore}`
+  ].join(', ');
+}
+
+/**
+ * 生成传给垃圾检测提示词的信誉输入
+ * @param {Object|null} reputation 信誉信息
+ * @returns {Object|undefined} 提示词输入字段，无信誉信息时返回undefined
+ */
+function toPromptInput(reputation) {
+  if (!reputation) {
+    return undefined;
+  }
+
+  return {
+    summary: reputation.summary,
+    accountAgeDays: reputation.accountAgeDays,
+    publicRepos: reputation.publicRepos,
+    followers: reputation.followers,
+    priorIssues: reputation.priorIssues,
+    priorPullRequests: reputation.priorPRs,
+    authorAssociation: reputation.association,
+    riskScore: reputation.riskScore,
+    signals: reputation.signals
+  };
+}
+
+/**
+ * 用风险预评分调整SPAM判定的置信度
+ * 风险高于0.5时提高置信度，低于0.5时降低，最大调整幅度为 confidence_weight
+ * @param {Object} result 垃圾检测判定结果
+ * @param {Object|null} reputation 信誉信息
+ * @param {Object} config 配置对象
+ * @returns {Object} 调整后的判定结果
+ */
+function adjustSpamConfidence(result, reputation, config) {
+  const weight = config.reputation?.confidence_weight || 0;
+  if (!reputation || !weight || result.verdict !== 'SPAM' || typeof result.confidence !== 'number') {
+    return result;
+  }
+
+  const adjusted = result.confidence + weight * (reputation.riskScore - 0.5) * 2;
+  return {
+    ...result,
+    confidence: Math.round(Math.min(1, Math.max(0, adjusted)) * 100) / 100,
+    modelConfidence: result.confidence
+  };
+}
+
+module.exports = {
+  collectReputation,
+  scoreReputation,
+  toPromptInput,
+  adjustSpamConfidence,
+  resetReputationCache
+};
@@ -0,0 +1,179 @@
+const core = require('@actions/core');
+const { logMessage } = require('../utils/helpers');
+const { extractUrls } = require('./linkAnalyzer');
+const { recordOutcome } = require('./outputs');
+
+/**
+ * 规则引擎 - 在任何AI调用之前用关键词、正则、域名和标题规则快速处理明显的内容
+ */
+
+const RULE_TYPES = new Set(['keyword', 'regex', 'domain', 'title']);
+const RULE_ACTIONS = new Set(['spam', 'trust', 'skip']);
+const RULE_FIELDS = new Set(['title', 'body', 'all']);
+const ITEM_TYPES = new Set(['issue', 'pr']);
+
+/**
+ * 获取规则要检查的文本
+ */
+function getRuleText(rule, item) {
+  const field = rule.type === 'title' ? 'title' : rule.field || 'all';
+  if (field === 'title') {
+    return item.title || '';
+  }
+  if (field === 'body') {
+    return item.body || '';
+  }
+  return `${item.title || ''}\n${item.body || ''}`;
+}
+
+/**
+ * 提取文本中所有链接的主机名
+ * @param {string} text 文本内容
+ * @returns {Array<string>} 小写主机名数组
+ */
+function extractHostnames(text) {
+  const hostnames = [];
+  for (const url of extractUrls(text)) {
+    try {
+      hostnames.push(new URL(url).hostname.toLowerCase());
+    } catch (error) {
+      // 无法解析的链接直接忽略
+    }
+  }
+  return hostnames;
+}
+
+/**
+ * 判断主机名是否属于某个域名（包括子域名）
+ */
+function matchesDomain(hostname, domain) {
+  const normalized = domain.toLowerCase().replace(/^\*?\./, '');
+  return hostname === normalized || hostname.endsWith(`.${normalized}`);
+}
+
+/**
+ * 用单条规则匹配内容
+ * @returns {string|null} 命中的内容片段，未命中返回null
+ */
+function matchRule(rule, item) {
+  const text = getRuleText(rule, item);
+
+  switch (rule.type) {
+  case 'keyword': {
+    const haystack = rule.case_sensitive ? text : text.toLowerCase();
+    const keyword = (rule.keywords || []).find(value =>
+      haystack.includes(rule.case_sensitive ? value : value.toLowerCase())
+    );
+    return keyword ?? null;
+  }
+  case 'regex':
+  case 'title': {
+    const match = new RegExp(rule.pattern, rule.flags ?? 'i').exec(text);
+    return match ? match[0] : null;
+  }
+  case 'domain': {
+    const hostname = extractHostnames(text).find(host =>
+      (rule.domains || []).some(domain => matchesDomain(host, domain))
+    );
+    return hostname ?? null;
+  }
+  default:
+    return null;
+  }
+}
+
+/**
+ * 按配置顺序评估规则，返回第一条命中的规则
+ * @param {Object} item Issue或PR对象
+ * @param {string} type 内容类型：'issue' 或 'pr'
+ * @param {Object} config 配置对象
+ * @returns {Object|null} { rule, type, action, match }，没有规则命中时返回null
+ */
+function evaluateRules(item, type, config) {
+  for (const [index, rule] of (config.rules || []).entries()) {
+    if (rule.applies_to && !rule.applies_to.includes(type)) {
+      continue;
+    }
+
+    const match = matchRule(rule, item);
+    if (match !== null) {
+      return {
+        rule: rule.name || `rule-${index + 1}`,
+        type: rule.type,
+        action: rule.action,
+        match
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * 记录命中的规则：写入日志并设置 matched-rule 输出
+ * @param {Object} ruleMatch evaluateRules 的结果
+ * @param {Object} item Issue或PR对象
+ * @param {Object} config 配置对象
+ */
+function recordRuleMatch(ruleMatch, item, config) {
+  core.info(logMessage(config.logging.rule_matched, {
+    number: item.number,
+    rule: ruleMatch.rule,
+    type: ruleMatch.type,
+    match: ruleMatch.match,
+    action: ruleMatch.action
+  }));
+  core.setOutput('matched-rule', ruleMatch.rule);
+  recordOutcome({ step: 'rule' });
+}
+
+/**
+ * 验证规则配置
+ * @param {Array} rules rules 配置段
+ * @throws {Error} 配置无效时抛出错误
+ */
+function validateRules(rules) {
+  if (rules === undefined) {
+    return;
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error('配置文件中的 rules 必须是数组');
+  }
+
+  rules.forEach((rule, index) => {
+    const name = rule.name || `rule-${index + 1}`;
+    if (!RULE_TYPES.has(rule.type)) {
+      throw new Error(`规则 ${name} 的类型无效: ${rule.type}`);
+    }
+    if (!RULE_ACTIONS.has(rule.action)) {
+      throw new Error(`规则 ${name} 的动作无效: ${rule.action}`);
+    }
+    if (rule.field && !RULE_FIELDS.has(rule.field)) {
+      throw new Error(`规则 ${name} 的检查字段无效: ${rule.field}`);
+    }
+    if (rule.applies_to && (!Array.isArray(rule.applies_to) || !rule.applies_to.every(type => ITEM_TYPES.has(type)))) {
+      throw new Error(`规则 ${name} 的 applies_to 只能包含 issue 和 pr`);
+    }
+    if (rule.type === 'keyword' && (!Array.isArray(rule.keywords) || rule.keywords.length === 0)) {
+      throw new Error(`规则 ${name} 缺少 keywords`);
+    }
+    if (rule.type === 'domain' && (!Array.isArray(rule.domains) || rule.domains.length === 0)) {
+      throw new Error(`规则 ${name} 缺少 domains`);
+    }
+    if (rule.type === 'regex' || rule.type === 'title') {
+      if (typeof rule.pattern !== 'string' || rule.pattern.length === 0) {
+        throw new Error(`规则 ${name} 缺少 pattern`);
+      }
+      try {
+        new RegExp(rule.pattern, rule.flags ?? 'i');
+      } catch (error) {
+        throw new Error(`规则 ${name} 的正则表达式无效: ${error.message}`);
+      }
+    }
+  });
+}
+
+module.exports = {
+  evaluateRules,
+  recordRuleMatch,
+  validateRules
+};
@@ -0,0 +1,314 @@
+const core = require('@actions/core');
+const { isMutatingMethod, isBookkeepingMethod } = require('./dryRun');
+const { logMessage } = require('../utils/helpers');
+
+/**
+ * 运行报告 - 收集每个内容的检测步骤、模板分析、执行的操作和错误，运行结束时写入Job Summary
+ */
+
+let entries = [];
+let current = null;
+// 不属于任何已记录内容的操作和错误（如定时任务中锁定的其他内容）
+let general = { actions: [], errors: [] };
+// 积压处理的结果，未执行积压处理时为null
+let sweep = null;
+
+/**
+ * 开始记录一个内容
+ * @param {Object} item Issue或PR对象
+ * @param {Object} outcome 处理结果对象，见 outputs，写报告时读取其最终状态
+ */
+function startReportItem(item, outcome = null) {
+  current = {
+    number: item.number,
+    title: item.title || '',
+    url: item.html_url || '',
+    author: item.user?.login || null,
+    type: item.pull_request || item.head ? 'pr' : 'issue',
+    outcome,
+    steps: [],
+    templateAnalysis: null,
+    actions: [],
+    errors: []
+  };
+  entries.push(current);
+}
+
+/**
+ * 清空报告，用于测试
+ */
+function resetReport() {
+  entries = [];
+  current = null;
+  general = { actions: [], errors: [] };
+  sweep = null;
+}
+
+/**
+ * 获取已记录的内容，供审计日志使用
+ * @returns {Object} { entries, general }
+ */
+function getReportEntries() {
+  return { entries, general };
+}
+
+/**
+ * 执行一个AI检测步骤并记录提示词、模型、判定和耗时
+ * 判定结果中带有实际回答的模型时（如改用了备用模型），记录该模型
+ * @param {string} name 提示词键名
+ * @param {string} model 模型名
+ * @param {Function} operation 返回判定结果 { verdict, confidence, model } 的异步函数
+ * @returns {Promise<Object>} 判定结果
+ */
+async function timeStep(name, model, operation) {
+  const startedAt = Date.now();
+  try {
+    const result = await operation();
+    current?.steps.push({ name, model: result.model || model, verdict: result.verdict, confidence: result.confidence, latency: Date.now() - startedAt });
+    return result;
+  } catch (error) {
+    current?.steps.push({ name, model, verdict: null, confidence: null, latency: Date.now() - startedAt, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * 记录模板分析报告
+ * @param {string} report generateAnalysisReport 的输出
+ */
+function recordTemplateAnalysis(report) {
+  if (current) {
+    current.templateAnalysis = report;
+  }
+}
+
+/**
+ * 记录积压处理的结果
+ * @param {Array} results handleSweep 的处理结果 [{ number, type, title, status, error }]
+ */
+function recordSweep(results) {
+  sweep = results;
+}
+
+/**
+ * 记录执行的写操作，按编号归入对应内容
+ */
+function recordAction(method, number, success, error = null, dryRun = false) {
+  const entry = entries.find(candidate => candidate.number === number) || general;
+  entry.actions.push({ method, number, success, error, dryRun });
+}
+
+/**
+ * 记录处理过程中的错误
+ * @param {string} message 错误信息
+ */
+function recordError(message) {
+  const entry = current || general;
+  // 处理函数记录后重新抛出的错误在入口处不重复记录
+  if (!entry.errors.includes(message)) {
+    entry.errors.push(message);
+  }
+}
+
+/**
+ * 创建记录写操作的Octokit代理，读取操作和数据分支的簿记写入不受影响
+ * @param {Object} octokit GitHub API客户端（可以是试运行代理）
+ * @returns {Object} 代理后的GitHub API客户端
+ */
+function createReportingOctokit(octokit) {
+  const rest = new Proxy(octokit.rest, {
+    get(target, namespace) {
+      const endpoints = target[namespace];
+      if (!endpoints || typeof endpoints !== 'object') {
+        return endpoints;
+      }
+
+      return new Proxy(endpoints, {
+        get(endpointTarget, method) {
+          const endpoint = endpointTarget[method];
+          if (typeof endpoint !== 'function' || !isMutatingMethod(method) || isBookkeepingMethod(`${namespace}.${method}`)) {
+            return endpoint;
+          }
+
+          return async (params = {}) => {
+            const number = params.issue_number || params.pull_number || null;
+            try {
+              const response = await endpoint(params);
+              recordAction(`${namespace}.${method}`, number, true, null, Boolean(response?.dryRun));
+              return response;
+            } catch (error) {
+              recordAction(`${namespace}.${method}`, number, false, error.message);
+              throw error;
+            }
+          };
+        }
+      });
+    }
+  });
+
+  const graphql = async (query, variables = {}) => {
+    if (!/^\s*mutation\b/.test(query)) {
+      return octokit.graphql(query, variables);
+    }
+    // GraphQL变更没有编号参数，归入当前内容
+    const number = current?.number ?? null;
+    try {
+      const response = await octokit.graphql(query, variables);
+      recordAction('graphql.mutation', number, true);
+      return response;
+    } catch (error) {
+      recordAction('graphql.mutation', number, false, error.message);
+      throw error;
+    }
+  };
+
+  return new Proxy(octokit, {
+    get(target, prop) {
+      if (prop === 'rest') return rest;
+      if (prop === 'graphql') return graphql;
+      return target[prop];
+    }
+  });
+}
+
+/**
+ * 生成报告的Markdown内容
+ * @param {Object} config 配置对象
+ * @param {string} event 触发事件，例如 issues.opened
+ * @param {boolean} dryRun 是否为试运行
+ * @returns {string} Markdown内容
+ */
+function buildReport(config, event, dryRun = false) {
+  const text = config.summary_text;
+  const lines = [`## ${text.title}`, '', `**${text.event}:** \`${event}\``, ''];
+
+  if (dryRun) {
+    lines.push(`> ${text.dry_run_notice}`, '');
+  }
+
+  if (sweep) {
+    lines.push(...formatSweep(sweep, text));
+  }
+
+  if (entries.length === 0) {
+    lines.push(text.no_items, '');
+  }
+
+  for (const entry of entries) {
+    const label = entry.type === 'pr' ? text.pull_request : text.issue;
+    const heading = `${label} #${entry.number}${entry.title ? `: ${escapeCell(entry.title)}` : ''}`;
+    lines.push(`### ${entry.url ? `[${heading}](${entry.url})` : heading}`, '');
+
+    if (entry.outcome) {
+      lines.push(...formatOutcome(entry.outcome, text), '');
+    }
+
+    if (entry.steps.length > 0) {
+      lines.push(`#### ${text.steps}`, '');
+      lines.push(`| ${text.prompt} | ${text.model} | ${text.verdict} | ${text.confidence} | ${text.latency} |`);
+      lines.push('| --- | --- | --- | --- | --- |');
+      for (const step of entry.steps) {
+        const verdict = step.error ? `${text.failed}: ${escapeCell(step.error)}` : step.verdict;
+        const confidence = typeof step.confidence === 'number' ? step.confidence.toFixed(2) : '-';
+        lines.push(`| \`${step.name}\` | ${step.model} | ${verdict} | ${confidence} | ${step.latency} ms |`);
+      }
+      lines.push('');
+    }
+
+    if (entry.templateAnalysis) {
+      lines.push(`#### ${text.template_analysis}`, '', entry.templateAnalysis, '');
+    }
+
+    lines.push(...formatActions(entry.actions, text, `#### ${text.actions}`));
+    lines.push(...formatErrors(entry.errors, text));
+  }
+
+  lines.push(...formatActions(general.actions, text, `### ${text.other_actions}`, false));
+  lines.push(...formatErrors(general.errors, text));
+
+  return lines.join('\n');
+}
+
+function formatSweep(results, text) {
+  const lines = [`### ${text.sweep}`, ''];
+  if (results.length === 0) {
+    return [...lines, text.sweep_empty, ''];
+  }
+
+  const failed = results.filter(result => result.status === 'failed').length;
+  lines.push(`| ${text.number} | ${text.type} | ${text.item_title} | ${text.result} |`, '| --- | --- | --- | --- |');
+  for (const result of results) {
+    const status = result.status === 'failed' ? `${text.failed}: ${escapeCell(result.error)}` : text.processed;
+    lines.push(`| #${result.number} | ${result.type === 'pr' ? text.pull_request : text.issue} | ${escapeCell(result.title)} | ${status} |`);
+  }
+  lines.push('', logMessage(text.sweep_totals, { processed: results.length - failed, failed }), '');
+  return lines;
+}
+
+function formatOutcome(outcome, text) {
+  const yesNo = value => (value ? text.yes : text.no);
+  const confidence = typeof outcome.confidence === 'number' ? outcome.confidence.toFixed(2) : '-';
+  return [
+    `| ${text.decision} | ${text.step} | ${text.classification} | ${text.confidence} | ${text.closed} | ${text.locked} |`,
+    '| --- | --- | --- | --- | --- | --- |',
+    `| ${outcome.decision || '-'} | ${outcome.step ? `\`${outcome.step}\`` : '-'} | ${outcome.classification || '-'} | ${confidence} | ${yesNo(outcome.closed)} | ${yesNo(outcome.locked)} |`
+  ];
+}
+
+function formatActions(actions, text, heading, showEmpty = true) {
+  if (actions.length === 0) {
+    return showEmpty ? [heading, '', text.none, ''] : [];
+  }
+
+  const lines = [heading, '', `| ${text.action} | ${text.result} |`, '| --- | --- |'];
+  for (const action of actions) {
+    let result = action.success ? text.succeeded : `${text.failed}: ${escapeCell(action.error)}`;
+    if (action.dryRun) {
+      result = text.dry_run;
+    }
+    const number = action.number ? ` (#${action.number})` : '';
+    lines.push(`| \`${action.method}\`${number} | ${result} |`);
+  }
+  lines.push('');
+  return lines;
+}
+
+function formatErrors(errors, text) {
+  if (errors.length === 0) {
+    return [];
+  }
+  return [`#### ${text.errors}`, '', ...errors.map(error => `- ${error}`), ''];
+}
+
+function escapeCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * 将报告写入Job Summary
+ * @param {Object} config 配置对象
+ * @param {Object} context GitHub上下文
+ * @param {boolean} dryRun 是否为试运行
+ */
+async function writeReport(config, context, dryRun = false) {
+  if (!config.job_summary?.enabled || !process.env.GITHUB_STEP_SUMMARY) {
+    return;
+  }
+
+  const event = context.payload?.action ? `${context.eventName}.${context.payload.action}` : context.eventName;
+  await core.summary.addRaw(buildReport(config, event, dryRun), true).write();
+}
+
+module.exports = {
+  startReportItem,
+  resetReport,
+  getReportEntries,
+  timeStep,
+  recordTemplateAnalysis,
+  recordAction,
+  recordError,
+  recordSweep,
+  createReportingOctokit,
+  buildReport,
+  writeReport
+};
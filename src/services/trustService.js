@@ -0,0 +1,74 @@
+const core = require('@actions/core');
+const { logMessage, handleApiCall } = require('../utils/helpers');
+
+/**
+ * 判断Issue或PR的作者是否为可信作者
+ * 依次检查允许列表、author_association，以及（可选）作者在仓库中已合并的PR数量
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {Object} item Issue或PR对象
+ * @param {Object} config 配置对象
+ * @returns {Promise<Object>} { trusted, reason }，reason 为 allowlist、association 或 contributions
+ */
+async function evaluateTrust(octokit, owner, repo, item, config) {
+  const settings = config.trust || {};
+  if (!settings.enabled) {
+    return { trusted: false };
+  }
+
+  const author = item.user.login.toLowerCase();
+  const allowlist = (settings.users || []).map(user => user.toLowerCase());
+  if (allowlist.includes(author)) {
+    return { trusted: true, reason: 'allowlist' };
+  }
+
+  if ((settings.associations || []).includes(item.author_association)) {
+    return { trusted: true, reason: 'association' };
+  }
+
+  // 已合并PR数量需要额外的搜索请求，未配置门槛时跳过
+  if (settings.min_merged_prs > 0) {
+    const mergedCount = await countMergedPRs(octokit, owner, repo, item.user.login, config);
+    if (mergedCount >= settings.min_merged_prs) {
+      return { trusted: true, reason: 'contributions' };
+    }
+  }
+
+  return { trusted: false };
+}
+
+/**
+ * 统计作者在仓库中已合并的PR数量
+ * @returns {Promise<number>} 已合并PR数量，查询失败时返回0
+ */
+async function countMergedPRs(octokit, owner, repo, author, config) {
+  try {
+    const response = await handleApiCall(
+      () => octokit.rest.search.issuesAndPullRequests({
+        q: `repo:${owner}/${repo} is:pr is:merged author:${author}`,
+        per_page: 1
+      }),
+      config.logging.trust_contributions_failed
+    );
+    return response.data?.total_count || 0;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * 记录可信作者跳过检查的日志
+ */
+function logTrustedAuthor(item, trust, config) {
+  core.info(logMessage(config.logging.trusted_author_log, {
+    number: item.number,
+    author: item.user.login,
+    reason: trust.reason
+  }));
+}
+
+module.exports = {
+  evaluateTrust,
+  logTrustedAuthor
+};
@@ -0,0 +1,129 @@
+/**
+ * 结构化判定结果工具
+ * 所有AI检查都要求返回 { verdict, confidence, reason } 形式的JSON对象
+ */
+
+/**
+ * 构建判定结果的JSON Schema，用于chat-completions的response_format和Responses API的text.format
+ * @param {Array<string>} verdicts 允许的判定值
+ * @param {Object} extraProperties 额外字段的Schema定义
+ * @returns {Object} JSON Schema对象
+ */
+function buildVerdictSchema(verdicts, extraProperties = {}) {
+  return {
+    type: 'object',
+    properties: {
+      verdict: { type: 'string', enum: verdicts },
+      confidence: { type: 'number', description: 'Confidence in the verdict from 0 to 1' },
+      reason: { type: 'string', description: 'One short sentence explaining the verdict' },
+      ...extraProperties
+    },
+    required: ['verdict', 'confidence', 'reason', ...Object.keys(extraProperties)],
+    additionalProperties: false
+  };
+}
+
+/**
+ * 将置信度规范化为0-1之间的数字，无法识别时返回null
+ */
+function normalizeConfidence(value) {
+  let confidence = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof confidence !== 'number' || Number.isNaN(confidence)) {
+    return null;
+  }
+  // 兼容返回百分比的模型
+  if (confidence > 1) {
+    confidence = confidence / 100;
+  }
+  return Math.min(1, Math.max(0, confidence));
+}
+
+/**
+ * 从文本中提取第一个JSON对象
+ */
+function extractJsonObject(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(text.slice(start, end + 1));
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 在自由文本中查找允许的判定值
+ * 优先匹配较长的判定值，避免把 NOT_SPAM 误识别为 SPAM
+ */
+function findVerdictToken(text, verdicts) {
+  const upper = text.toUpperCase();
+  const candidates = [...verdicts].sort((left, right) => right.length - left.length);
+
+  for (const verdict of candidates) {
+    const escaped = verdict.toUpperCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (new RegExp(`(^|[^A-Z0-9_])${escaped}($|[^A-Z0-9_])`).test(upper)) {
+      return verdict.toUpperCase();
+    }
+  }
+  return null;
+}
+
+/**
+ * 宽松解析AI返回的判定结果
+ * 支持纯JSON、包含在代码块或说明文字中的JSON，以及只返回判定值的旧格式
+ * @param {string} text AI返回的原始文本
+ * @param {Array<string>} verdicts 允许的判定值
+ * @returns {Object} { verdict, confidence, reason, ...额外字段 }
+ */
+function parseVerdict(text, verdicts = []) {
+  const raw = (text || '').trim();
+  const json = extractJsonObject(raw);
+
+  if (json) {
+    const { verdict, decision, result, label, confidence, reason, rationale, explanation, ...extra } = json;
+    const value = String(verdict ?? decision ?? result ?? label ?? '').trim();
+    return {
+      ...extra,
+      verdict: (verdicts.length > 0 ? findVerdictToken(value, verdicts) : null) || value.toUpperCase(),
+      confidence: normalizeConfidence(confidence),
+      reason: String(reason ?? rationale ?? explanation ?? '').trim()
+    };
+  }
+
+  // 旧格式 "VERDICT: 说明" 中冒号后的文本作为理由保留
+  const verdict = findVerdictToken(raw, verdicts) || raw.toUpperCase();
+  const prefix = `${verdict}:`;
+  return {
+    verdict,
+    confidence: null,
+    reason: raw.toUpperCase().startsWith(prefix) ? raw.slice(prefix.length).trim() : ''
+  };
+}
+
+/**
+ * 将判定结果格式化为日志文本
+ * @param {Object} result 判定结果
+ * @returns {string} 例如 SPAM (0.93) - Contains casino links
+ */
+function formatVerdict(result) {
+  if (!result) {
+    return '-';
+  }
+  const confidence = result.confidence === null || result.confidence === undefined
+    ? ''
+    : ` (${result.confidence.toFixed(2)})`;
+  const reason = result.reason ? ` - ${result.reason}` : '';
+  return `${result.verdict}${confidence}${reason}`;
+}
+
+module.exports = {
+  buildVerdictSchema,
+  parseVerdict,
+  normalizeConfidence,
+  formatVerdict
+};
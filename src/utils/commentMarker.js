@@ -0,0 +1,71 @@
+/**
+ * 评论标记工具 - 在机器人评论末尾嵌入隐藏的HTML注释，记录评论用途和决策信息
+ * 重新运行时据此找到之前的评论进行更新，并识别已处理过的内容
+ */
+
+const { isAccount } = require('./helpers');
+
+const MARKER_PATTERN = /<!-- nomore-spam:marker (\{[^\n]*?\}) -->/;
+
+// 决策评论使用的标记键，带有该标记说明内容已被处理过
+const DECISION_MARKER_KEY = 'decision';
+
+/**
+ * 在评论末尾追加隐藏标记
+ * @param {string} body 评论内容
+ * @param {Object} metadata 标记信息 { key, decision }，key 标识评论用途，相同 key 的评论会被更新而不是重复创建
+ * @returns {string} 带标记的评论内容
+ */
+function appendMarker(body, metadata) {
+  // 转义连续的短横线，避免提前结束HTML注释
+  const json = JSON.stringify({ ...metadata, at: new Date().toISOString() }).replace(/--/g, '-\\u002d');
+  return `${stripMarker(body)}\n\n<!-- nomore-spam:marker ${json} -->`;
+}
+
+/**
+ * 解析评论中的隐藏标记
+ * @param {string} body 评论内容
+ * @returns {Object|null} 标记信息，没有标记时返回null
+ */
+function parseMarker(body) {
+  const match = MARKER_PATTERN.exec(body || '');
+  if (!match) {
+    return null;
+  }
+  try {
+    return JSON.parse(match[1]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 去掉评论中的隐藏标记
+ * @param {string} body 评论内容
+ * @returns {string} 不含标记的评论内容
+ */
+function stripMarker(body) {
+  return (body || '').replace(MARKER_PATTERN, '').trimEnd();
+}
+
+/**
+ * 查找机器人发表的、带有指定标记键的最新评论
+ * 只认可机器人账号的评论，避免用户伪造标记
+ * @param {Array} comments 评论数组
+ * @param {string} key 标记键
+ * @param {string|null} botLogin 机器人账号登录名，见 botIdentity.getBotLogin；为空时按机器人类型判断
+ * @returns {Object|null} 评论对象
+ */
+function findMarkedComment(comments, key, botLogin = null) {
+  return [...(comments || [])]
+    .reverse()
+    .find(comment => isAccount(comment.user, botLogin) && parseMarker(comment.body)?.key === key) || null;
+}
+
+module.exports = {
+  DECISION_MARKER_KEY,
+  appendMarker,
+  parseMarker,
+  stripMarker,
+  findMarkedComment
+};
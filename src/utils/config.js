@@ -1,9 +1,19 @@
 const core = require('@actions/core');
 const fs = require('fs');
 const path = require('path');
+const yaml = require('js-yaml');
+const { logMessage } = require('./helpers');
+const { validateThresholds } = require('../services/confidenceGate');
+const { validatePolicies } = require('../services/policyService');
+const { validateRules } = require('../services/ruleEngine');
+const { AUDIT_TARGETS } = require('../services/auditLog');
+const { NOTIFICATION_FORMATS, validateWebhooks } = require('../services/notifier');
+const { SUPPORTED_AI_PROVIDERS, validateFallbacks } = require('../services/aiProviders');
 
 const SUPPORTED_LANGUAGES = new Set(['en', 'zh-cn']);
 const SUPPORTED_AI_API_TYPES = new Set(['chat-completions', 'responses']);
+// 仓库级配置文件，按顺序查找，使用第一个存在的文件
+const REPOSITORY_CONFIG_PATHS = ['.github/nomore-spam.yml', '.github/nomore-spam.yaml', '.github/nomore-spam.json'];
 
 function normalizeLanguage(language) {
   return language?.trim().toLowerCase() === 'zh-cn' ? 'zh-CN' : 'en';
@@ -14,7 +24,14 @@ function applyLocale(config, requestedLanguage) {
   const localePath = path.join(__dirname, '..', '..', 'locales', `${language}.json`);
   const locale = JSON.parse(fs.readFileSync(localePath, 'utf8'));
 
-  config.responses = { ...config.responses, ...locale.responses };
+  // 仓库配置文件中自定义的回复优先于语言包
+  config.responses = {
+    ...config.responses,
+    ...locale.responses,
+    ...config.repository_config?.overrides.responses
+  };
+  config.summary_text = { ...config.summary_text, ...locale.summary_text };
+  config.notification_text = { ...config.notification_text, ...locale.notification_text };
   config.locale = locale;
   config.defaults.language = language;
 
@@ -53,6 +70,12 @@ function validateConfig(config) {
     throw new Error('配置文件中的 temperature 必须是 0-2 之间的数字');
   }
   
+  validateThresholds(config.confidence_thresholds);
+  validatePolicies(config.policies);
+  validateRules(config.rules);
+  validateWebhooks(config.notifications?.webhooks);
+  validateFallbacks(config.ai_settings.fallbacks);
+  
   core.info('✅ 配置文件验证通过');
 }
 
@@ -76,6 +99,126 @@ function loadConfig() {
   }
 }
 
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 深度合并配置，对象逐层合并，数组和其他值直接替换
+ * @param {Object} base 基础配置
+ * @param {Object} overrides 覆盖配置
+ * @returns {Object} 合并后的新配置对象
+ */
+function mergeConfig(base, overrides) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (['__proto__', 'constructor', 'prototype'].includes(key)) {
+      continue;
+    }
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeConfig(base[key], value)
+      : value;
+  }
+
+  return merged;
+}
+
+/**
+ * 通过contents API读取目标仓库中的配置文件（.github/nomore-spam.yml 或 .json）
+ * 读取默认分支上的文件，避免PR中修改的配置生效
+ * @param {Object} octokit GitHub API客户端
+ * @param {string} owner 仓库所有者
+ * @param {string} repo 仓库名
+ * @param {Object} config 基础配置对象
+ * @returns {Promise<Object|null>} { path, overrides }，仓库中没有配置文件时返回null
+ * @throws {Error} 配置文件无法读取或解析时抛出错误
+ */
+async function loadRepositoryConfig(octokit, owner, repo, config) {
+  for (const configPath of REPOSITORY_CONFIG_PATHS) {
+    let response;
+    try {
+      response = await octokit.rest.repos.getContent({ owner, repo, path: configPath });
+    } catch (error) {
+      if (error.status === 404) {
+        continue;
+      }
+      throw new Error(logMessage(config.logging.repo_config_fetch_failed, { path: configPath, error: error.message }));
+    }
+
+    if (Array.isArray(response.data) || response.data.type !== 'file') {
+      continue;
+    }
+
+    const content = Buffer.from(response.data.content || '', 'base64').toString('utf8');
+    let overrides;
+    try {
+      overrides = configPath.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+    } catch (error) {
+      throw new Error(logMessage(config.logging.repo_config_parse_failed, { path: configPath, error: error.message }));
+    }
+
+    // 空文件视为没有覆盖项
+    overrides = overrides ?? {};
+    if (!isPlainObject(overrides)) {
+      throw new Error(logMessage(config.logging.repo_config_parse_failed, {
+        path: configPath,
+        error: 'top-level value must be an object'
+      }));
+    }
+
+    core.info(logMessage(config.logging.repo_config_loaded, { path: configPath }));
+    return { path: configPath, overrides };
+  }
+
+  core.info(config.logging.repo_config_not_found);
+  return null;
+}
+
+/**
+ * 将仓库配置合并到内置配置上并重新验证
+ * @param {Object} config 内置配置对象
+ * @param {Object|null} repositoryConfig loadRepositoryConfig 的结果
+ * @returns {Object} 合并后的配置对象
+ */
+function applyRepositoryConfig(config, repositoryConfig) {
+  if (!repositoryConfig) {
+    return config;
+  }
+
+  const merged = mergeConfig(config, repositoryConfig.overrides);
+  merged.repository_config = repositoryConfig;
+  validateConfig(merged);
+
+  return merged;
+}
+
+/**
+ * 获取GitHub Token
+ * @returns {string} GitHub Token
+ */
+function getGitHubToken() {
+  return core.getInput('github-token') || process.env.INPUT_GITHUB_TOKEN || process.env.GITHUB_TOKEN;
+}
+
+/**
+ * 解析手动运行时指定的Issue/PR编号
+ * @param {string} value 输入值
+ * @param {string} name 输入参数名
+ * @returns {number|null} 编号，未设置时返回null
+ * @throws {Error} 不是正整数时抛出错误
+ */
+function parseItemNumber(value, name) {
+  const trimmed = (value || '').trim().replace(/^#/, '');
+  if (!trimmed) {
+    return null;
+  }
+  if (!/^\d+$/.test(trimmed) || Number(trimmed) === 0) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return Number(trimmed);
+}
+
 /**
  * 解析用户输入参数
  * @param {Object} config 基础配置对象
@@ -83,10 +226,15 @@ function loadConfig() {
  */
 function parseInputs(config) {
   // 获取输入参数，使用配置文件中的默认值
-  const token = core.getInput('github-token') || process.env.INPUT_GITHUB_TOKEN || process.env.GITHUB_TOKEN;
+  const token = getGitHubToken();
   const aiModel = core.getInput('ai-model') || process.env.INPUT_AI_MODEL || config.defaults.ai_model;
   const labelsInput = core.getInput('labels') || process.env.INPUT_LABELS || config.defaults.labels;
   const blacklistUsersInput = core.getInput('blacklist') || process.env.INPUT_BLACKLIST || '';
+  const maintainersInput = core.getInput('maintainers') || process.env.INPUT_MAINTAINERS || '';
+  const allowlistInput = core.getInput('allowlist') || process.env.INPUT_ALLOWLIST || '';
+  const dryRun = (core.getInput('dry-run') || process.env.INPUT_DRY_RUN || 'false').trim().toLowerCase() === 'true';
+  const issueNumber = parseItemNumber(core.getInput('issue-number') || process.env.INPUT_ISSUE_NUMBER, 'issue-number');
+  const prNumber = parseItemNumber(core.getInput('pr-number') || process.env.INPUT_PR_NUMBER, 'pr-number');
   const requestedLanguage = core.getInput('language') || process.env.INPUT_LANGUAGE || config.defaults.language;
   const language = applyLocale(config, requestedLanguage);
 
@@ -103,11 +251,86 @@ function parseInputs(config) {
     throw new Error(`Unsupported AI API type: ${aiApiType}`);
   }
   
+  // AI提供商：openai 使用OpenAI兼容接口（默认为GitHub Models），其他提供商使用各自的原生接口
+  const aiProvider = (core.getInput('ai-provider') || process.env.INPUT_AI_PROVIDER || config.defaults.ai_provider || 'openai').trim().toLowerCase();
+  if (!SUPPORTED_AI_PROVIDERS.has(aiProvider)) {
+    throw new Error(`Unsupported AI provider: ${aiProvider}`);
+  }
+  // 备用模型输入，追加在配置文件中的备用模型之后
+  const fallbackModelsInput = core.getInput('ai-fallback-models') || process.env.INPUT_AI_FALLBACK_MODELS || '';
+  if (fallbackModelsInput) {
+    config.ai_settings.fallbacks = [
+      ...(config.ai_settings.fallbacks || []),
+      ...fallbackModelsInput.split(',').map(model => model.trim()).filter(model => model.length > 0)
+    ];
+  }
+  // GitHub令牌只能用于GitHub Models，Anthropic和Gemini必须提供自己的密钥
+  if (['anthropic', 'gemini'].includes(aiProvider) && !customApiKey) {
+    throw new Error(`ai-api-key is required for the ${aiProvider} provider`);
+  }
+  
+  // 审计日志输入：branch 或 artifact 启用并指定写入位置，off 关闭
+  const auditLogInput = (core.getInput('audit-log') || process.env.INPUT_AUDIT_LOG || '').trim().toLowerCase();
+  if (auditLogInput) {
+    if (auditLogInput !== 'off' && !AUDIT_TARGETS.has(auditLogInput)) {
+      throw new Error(`Unsupported audit log target: ${auditLogInput}`);
+    }
+    config.audit_log = {
+      ...config.audit_log,
+      enabled: auditLogInput !== 'off',
+      ...(auditLogInput !== 'off' ? { target: auditLogInput } : {})
+    };
+  }
+  
+  // 通知Webhook输入：地址通常包含令牌，与签名密钥一起在日志中隐藏
+  const notifyUrlsInput = core.getInput('notify-webhook-url') || process.env.INPUT_NOTIFY_WEBHOOK_URL || '';
+  const notifyFormat = (core.getInput('notify-webhook-format') || process.env.INPUT_NOTIFY_WEBHOOK_FORMAT || 'json').trim().toLowerCase();
+  const notifySecret = core.getInput('notify-webhook-secret') || process.env.INPUT_NOTIFY_WEBHOOK_SECRET || '';
+  if (!NOTIFICATION_FORMATS.has(notifyFormat)) {
+    throw new Error(`Unsupported notification format: ${notifyFormat}`);
+  }
+  const notifyUrls = notifyUrlsInput.split(/[,\n]/).map(url => url.trim()).filter(url => url.length > 0);
+  notifyUrls.forEach(url => core.setSecret(url));
+  if (notifySecret) {
+    core.setSecret(notifySecret);
+  }
+  const webhooks = [
+    ...(config.notifications?.webhooks || []),
+    ...notifyUrls.map(url => ({ url, format: notifyFormat }))
+  ].map(webhook => ({ ...webhook, ...(notifySecret ? { secret: notifySecret } : {}) }));
+  validateWebhooks(webhooks);
+  config.notifications = {
+    ...config.notifications,
+    enabled: notifyUrls.length > 0 || Boolean(config.notifications?.enabled),
+    webhooks,
+    dry_run: dryRun
+  };
+  
+  if (issueNumber && prNumber) {
+    throw new Error('Only one of issue-number and pr-number can be set');
+  }
+  
   // 解析黑名单用户列表
   const blacklistUsers = blacklistUsersInput
     ? blacklistUsersInput.split(',').map(user => user.trim().toLowerCase()).filter(user => user.length > 0)
     : [];
   
+  // 解析可信作者允许列表，与配置文件中的列表合并
+  if (allowlistInput) {
+    config.trust.users = [
+      ...(config.trust.users || []),
+      ...allowlistInput.split(',').map(user => user.trim().replace(/^@/, '')).filter(user => user.length > 0)
+    ];
+  }
+  
+  // 解析需要在人工分诊时提醒的维护者
+  if (maintainersInput) {
+    config.triage.maintainers = maintainersInput
+      .split(',')
+      .map(user => user.trim().replace(/^@/, ''))
+      .filter(user => user.length > 0);
+  }
+  
   // 获取新的配置参数，用户设置则用用户设置的，未设置则使用config中的默认值
   const analyzeFileChanges = core.getInput('analyze-file-changes') || process.env.INPUT_ANALYZE_FILE_CHANGES 
     ? (core.getInput('analyze-file-changes') || process.env.INPUT_ANALYZE_FILE_CHANGES).toLowerCase() === 'true'
@@ -143,12 +366,20 @@ function parseInputs(config) {
     customBaseUrl,
     customApiKey,
     aiApiType,
+    aiProvider,
+    dryRun,
+    issueNumber,
+    prNumber,
     config
   };
 }
 
 module.exports = {
   loadConfig,
+  loadRepositoryConfig,
+  applyRepositoryConfig,
+  mergeConfig,
+  getGitHubToken,
   parseInputs,
   validateConfig,
   applyLocale,
@@ -6,12 +6,14 @@
 const DECISIONS = {
   SPAM: 'SPAM',
   README_COVERED: 'README_COVERED',
+  DUPLICATE: 'DUPLICATE',
   BASIC: 'BASIC',
   UNCLEAR: 'UNCLEAR',
   KEEP: 'KEEP',
   INVALID_COMMIT: 'INVALID_COMMIT',
   MALICIOUS: 'MALICIOUS',
-  TRIVIAL: 'TRIVIAL'
+  TRIVIAL: 'TRIVIAL',
+  NEEDS_TRIAGE: 'NEEDS_TRIAGE'
 };
 
 // AI响应类型
@@ -27,7 +29,9 @@ const AI_RESPONSES = {
   MALICIOUS: 'MALICIOUS',
   TRIVIAL: 'TRIVIAL',
   RELATED: 'RELATED',
-  NOT_RELATED: 'NOT_RELATED'
+  NOT_RELATED: 'NOT_RELATED',
+  DUPLICATE: 'DUPLICATE',
+  NOT_DUPLICATE: 'NOT_DUPLICATE'
 };
 
 // 检测步骤
@@ -53,7 +57,7 @@ const ANALYSIS_DEPTHS = {
 
 // 默认配置值
 const DEFAULTS = {
-  MAX_TOKENS: 100,
+  MAX_TOKENS: 200,
   TEMPERATURE: 0.1,
   MAX_FILES: 5,
   MAX_PATCH_LINES: 5,
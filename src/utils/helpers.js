@@ -2,16 +2,27 @@ const core = require('@actions/core');
 
 /**
  * 日志消息模板处理函数
+ * 一次性替换所有占位符，变量值按原样插入，其中的 `$&` 或 `{key}` 不会再被展开
  * @param {string} template 消息模板
  * @param {Object} replacements 替换变量
  * @returns {string} 处理后的消息
  */
 function logMessage(template, replacements = {}) {
-  let message = template;
-  for (const [key, value] of Object.entries(replacements)) {
-    message = message.replace(new RegExp(`{${key}}`, 'g'), value);
-  }
-  return message;
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) =>
+    (Object.prototype.hasOwnProperty.call(replacements, key) ? String(replacements[key]) : placeholder)
+  );
+}
+
+/**
+ * 将用户提供的文本转为Markdown引用块，并使其中的@提及失效，避免机器人评论提醒他人
+ * @param {string} text 用户文本
+ * @returns {string} 引用块
+ */
+function quoteUserText(text) {
+  return text
+    .split(/\r?\n/)
+    .map(line => `> ${line.replace(/@/g, '@\u200B')}`)
+    .join('\n');
 }
 
 /**
@@ -61,9 +72,41 @@ function isValidCommitTitle(title) {
   return commitRegex.test(title.trim());
 }
 
+/**
+ * 判断Issue或PR是否带有指定标签（不区分大小写）
+ * @param {Object} item Issue或PR对象
+ * @param {string} label 标签名
+ * @returns {boolean} 是否带有该标签
+ */
+function hasLabel(item, label) {
+  const expected = (label || '').toLowerCase();
+  return (item.labels || []).some(current =>
+    (typeof current === 'string' ? current : current.name).toLowerCase() === expected
+  );
+}
+
+/**
+ * 判断用户是否为指定账号（不区分大小写），未指定账号时按机器人类型判断
+ * @param {Object} user GitHub用户对象
+ * @param {string|null} login 账号登录名
+ * @returns {boolean}
+ */
+function isAccount(user, login) {
+  if (!user) {
+    return false;
+  }
+  if (!login) {
+    return user.type === 'Bot';
+  }
+  return user.login?.toLowerCase() === login.toLowerCase();
+}
+
 module.exports = {
   logMessage,
+  quoteUserText,
   handleApiCall,
   executeApiCalls,
-  isValidCommitTitle
+  isValidCommitTitle,
+  hasLabel,
+  isAccount
 };
@@ -0,0 +1,115 @@
+/**
+ * 文本相似度工具 - 用于在调用AI之前对候选内容进行本地预排序
+ */
+
+// 常见的无意义词，不参与相似度计算
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'not', 'of', 'on', 'or',
+  'so', 'that', 'the', 'this', 'to', 'was', 'we', 'what', 'when', 'why', 'with', 'you', 'your',
+  'bug', 'issue', 'problem', 'question', 'help', 'please', 'error'
+]);
+
+/**
+ * 将文本拆分为词项
+ * 拉丁文字按单词拆分，中日韩文字按相邻双字拆分
+ * @param {string} text 文本
+ * @returns {Array<string>} 词项数组
+ */
+function tokenize(text) {
+  if (!text) {
+    return [];
+  }
+
+  const tokens = [];
+  const lower = text.toLowerCase();
+
+  for (const word of lower.match(/[a-z0-9][a-z0-9_.-]*[a-z0-9]|[a-z0-9]/g) || []) {
+    if (!STOP_WORDS.has(word)) {
+      tokens.push(word);
+    }
+  }
+
+  for (const run of lower.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]+/g) || []) {
+    if (run.length === 1) {
+      tokens.push(run);
+    }
+    for (let i = 0; i < run.length - 1; i++) {
+      tokens.push(run.slice(i, i + 2));
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * 统计词频
+ */
+function termFrequencies(tokens) {
+  const frequencies = new Map();
+  for (const token of tokens) {
+    frequencies.set(token, (frequencies.get(token) || 0) + 1);
+  }
+  return frequencies;
+}
+
+/**
+ * 计算两段文本的余弦相似度
+ * @param {string} textA 文本A
+ * @param {string} textB 文本B
+ * @returns {number} 0-1之间的相似度
+ */
+function textSimilarity(textA, textB) {
+  const a = termFrequencies(tokenize(textA));
+  const b = termFrequencies(tokenize(textB));
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+
+  let dot = 0;
+  for (const [token, count] of a) {
+    dot += count * (b.get(token) || 0);
+  }
+
+  const norm = frequencies => Math.sqrt([...frequencies.values()].reduce((sum, count) => sum + count * count, 0));
+  return dot / (norm(a) * norm(b));
+}
+
+/**
+ * 按与目标文本的相似度对候选项排序
+ * @param {string} target 目标文本
+ * @param {Array} candidates 候选项数组
+ * @param {Function} getText 获取候选项文本的函数
+ * @returns {Array<{item: Object, score: number}>} 按相似度降序排列的结果
+ */
+function rankBySimilarity(target, candidates, getText) {
+  return candidates
+    .map(item => ({ item, score: textSimilarity(target, getText(item)) }))
+    .sort((left, right) => right.score - left.score);
+}
+
+/**
+ * 提取文本中最具代表性的关键词（按出现顺序去重）
+ * @param {string} text 文本
+ * @param {number} limit 最大关键词数量
+ * @returns {Array<string>} 关键词数组
+ */
+function extractKeywords(text, limit = 5) {
+  const keywords = [];
+  for (const token of tokenize(text)) {
+    if (token.length > 1 && !keywords.includes(token)) {
+      keywords.push(token);
+    }
+    if (keywords.length >= limit) {
+      break;
+    }
+  }
+  return keywords;
+}
+
+module.exports = {
+  tokenize,
+  textSimilarity,
+  rankBySimilarity,
+  extractKeywords
+};
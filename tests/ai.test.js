@@ -1,4 +1,12 @@
-const { callAI, isContentFilterError } = require('../src/services/ai');
+const core = require('@actions/core');
+const {
+  callAI,
+  requestVerdict,
+  isContentFilterError,
+  isRetryableError,
+  resetModelAvailability
+} = require('../src/services/ai');
+const { createFallbacks } = require('../src/services/aiProviders');
 
 describe('isContentFilterError', () => {
   test('detects OpenAI content_filter errors', () => {
@@ -229,3 +237,219 @@ describe('callAI', () => {
     )).rejects.toMatchObject({ code: 'server_error', message: 'Provider failed' });
   });
 });
+
+describe('requestVerdict', () => {
+  const config = {
+    ai_settings: { max_tokens: 200, temperature: 0.1, structured_output: true },
+    logging: {
+      ai_call_start: '{purpose} {model}',
+      ai_call_result: '{purpose} {result}',
+      ai_call_failed: '{purpose} {error}',
+      ai_status_code: '{code}',
+      ai_response_body: '{body}',
+      structured_output_unsupported: '{purpose}'
+    }
+  };
+
+  test('requests a JSON schema through chat completions', async () => {
+    const create = jest.fn().mockResolvedValue({
+      choices: [{ message: { content: '{"verdict":"SPAM","confidence":0.95,"reason":"Ads"}' } }]
+    });
+
+    await expect(requestVerdict(
+      { chat: { completions: { create } } },
+      'model',
+      { instructions: 'Classify spam.', input: 'prompt' },
+      config,
+      'spam check',
+      ['SPAM', 'NOT_SPAM']
+    )).resolves.toEqual({ verdict: 'SPAM', confidence: 0.95, reason: 'Ads', model: 'model' });
+
+    expect(create.mock.calls[0][0].response_format).toMatchObject({
+      type: 'json_schema',
+      json_schema: { name: 'verdict', strict: true }
+    });
+  });
+
+  test('requests a JSON schema through the Responses API', async () => {
+    const create = jest.fn().mockResolvedValue({ output_text: '{"verdict":"VALID","confidence":0.7,"reason":"Clear"}' });
+    const responsesConfig = {
+      ...config,
+      ai_settings: { ...config.ai_settings, api_type: 'responses' }
+    };
+
+    await expect(requestVerdict(
+      { responses: { create } },
+      'model',
+      { instructions: 'Validate input.', input: 'prompt' },
+      responsesConfig,
+      'quality',
+      ['VALID', 'INVALID']
+    )).resolves.toMatchObject({ verdict: 'VALID', confidence: 0.7 });
+
+    expect(create.mock.calls[0][0].text.format).toMatchObject({ type: 'json_schema', name: 'verdict' });
+  });
+
+  test('retries without a schema when the provider rejects response_format', async () => {
+    const create = jest.fn()
+      .mockRejectedValueOnce({ status: 400, message: 'Unsupported parameter: response_format' })
+      .mockResolvedValueOnce({ choices: [{ message: { content: 'NOT_SPAM' } }] });
+
+    await expect(requestVerdict(
+      { chat: { completions: { create } } },
+      'model',
+      { instructions: 'Classify spam.', input: 'prompt' },
+      config,
+      'spam check',
+      ['SPAM', 'NOT_SPAM']
+    )).resolves.toEqual({ verdict: 'NOT_SPAM', confidence: null, reason: '', model: 'model' });
+
+    expect(create).toHaveBeenCalledTimes(2);
+    expect(create.mock.calls[1][0]).not.toHaveProperty('response_format');
+  });
+});
+
+describe('retries and fallback models', () => {
+  const config = {
+    ai_settings: {
+      max_tokens: 100,
+      temperature: 0.1,
+      structured_output: true,
+      retry: { max_retries: 2, initial_delay_seconds: 0, max_delay_seconds: 1, unavailable_cooldown_seconds: 300 }
+    },
+    logging: {
+      ai_call_start: '{purpose} {model}',
+      ai_call_result: '{purpose} {result} {model}',
+      ai_call_failed: '{purpose} {error}',
+      ai_status_code: '{code}',
+      ai_response_body: '{body}',
+      ai_call_retry: 'retry {model} {attempt} {delay}',
+      ai_call_fallback: 'fallback {model} -> {fallback}',
+      ai_call_skip_unavailable: 'skip {model}',
+      structured_output_unsupported: '{purpose}'
+    }
+  };
+  const request = { instructions: 'Classify spam.', input: 'prompt' };
+  const answer = content => ({ choices: [{ message: { content } }] });
+  const httpError = (status, headers = {}) => Object.assign(new Error(`${status} error`), { status, headers });
+
+  beforeEach(() => {
+    resetModelAvailability();
+  });
+
+  test('retries rate limits and server errors with the same model', async () => {
+    const warning = jest.spyOn(core, 'warning').mockImplementation(() => {});
+    const create = jest.fn()
+      .mockRejectedValueOnce(httpError(429, { 'retry-after-ms': '5' }))
+      .mockRejectedValueOnce(httpError(502))
+      .mockResolvedValueOnce(answer('not_spam'));
+
+    await expect(callAI({ chat: { completions: { create } } }, 'model', request, config)).resolves.toBe('NOT_SPAM');
+
+    expect(create).toHaveBeenCalledTimes(3);
+    expect(warning.mock.calls.map(([message]) => message.split(' ').slice(0, 3).join(' ')))
+      .toEqual(['retry model 1', 'retry model 2']);
+    warning.mockRestore();
+  });
+
+  test('never retries content filter errors', async () => {
+    const create = jest.fn().mockRejectedValue({ status: 400, code: 'content_filter', message: 'Filtered' });
+    const client = { chat: { completions: { create } }, fallbacks: [{ client: { chat: { completions: { create } } }, model: 'backup', label: 'backup' }] };
+
+    const error = await callAI(client, 'model', request, config).catch(caught => caught);
+
+    expect(isContentFilterError(error)).toBe(true);
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not retry other request errors', async () => {
+    const create = jest.fn().mockRejectedValue(httpError(400));
+
+    await expect(callAI({ chat: { completions: { create } } }, 'model', request, config)).rejects.toThrow('400 error');
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+
+  test('falls back to the next model and reports which model answered', async () => {
+    const create = jest.fn(async params => {
+      if (params.model === 'model') throw httpError(503);
+      return answer('{"verdict":"SPAM","confidence":0.8,"reason":"Ads"}');
+    });
+    const client = { chat: { completions: { create } } };
+    client.fallbacks = [{ client, model: 'backup', label: 'backup' }];
+
+    await expect(requestVerdict(client, 'model', request, config, 'spam check', ['SPAM', 'NOT_SPAM']))
+      .resolves.toMatchObject({ verdict: 'SPAM', model: 'backup' });
+    expect(create.mock.calls.map(([params]) => params.model)).toEqual(['model', 'model', 'model', 'backup']);
+
+    // 主模型在冷却期内被跳过
+    create.mockClear();
+    await expect(callAI(client, 'model', request, config)).resolves.toContain('SPAM');
+    expect(create.mock.calls.map(([params]) => params.model)).toEqual(['backup']);
+  });
+
+  test('moves on without waiting when Retry-After exceeds the maximum delay', async () => {
+    const primary = jest.fn().mockRejectedValue(httpError(429, { 'retry-after': '120' }));
+    const backup = jest.fn().mockResolvedValue(answer('valid'));
+    const client = {
+      chat: { completions: { create: primary } },
+      fallbacks: [{ client: { chat: { completions: { create: backup } } }, model: 'backup', label: 'openai:backup' }]
+    };
+
+    await expect(callAI(client, 'model', request, config)).resolves.toBe('VALID');
+    expect(primary).toHaveBeenCalledTimes(1);
+    expect(backup).toHaveBeenCalledTimes(1);
+  });
+
+  test('falls back when the model is not available on the endpoint', async () => {
+    const create = jest.fn()
+      .mockRejectedValueOnce(httpError(404))
+      .mockResolvedValueOnce(answer('valid'));
+    const client = { chat: { completions: { create } } };
+    client.fallbacks = [{ client, model: 'backup', label: 'backup' }];
+
+    await expect(callAI(client, 'model', request, config)).resolves.toBe('VALID');
+    expect(create).toHaveBeenCalledTimes(2);
+  });
+
+  test('recognises network errors as retryable', () => {
+    expect(isRetryableError(Object.assign(new Error('Connection error.'), { name: 'APIConnectionError' }))).toBe(true);
+    expect(isRetryableError(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } }))).toBe(true);
+    expect(isRetryableError(httpError(500))).toBe(true);
+    expect(isRetryableError(httpError(401))).toBe(false);
+    expect(isRetryableError(new Error('AI response did not contain text output'))).toBe(false);
+  });
+});
+
+describe('fallback configuration', () => {
+  test('uses the primary client for model names and builds clients for other endpoints', () => {
+    const primary = { complete: jest.fn() };
+    process.env.TEST_GEMINI_KEY = 'gemini-key';
+
+    const fallbacks = createFallbacks([
+      'openai/gpt-4o-mini',
+      { provider: 'gemini', model: 'gemini-model', api_key_env: 'TEST_GEMINI_KEY' }
+    ], primary, { provider: 'openai', apiKey: 'token', baseURL: 'https://models.github.ai/inference' }, {
+      ai_providers: { gemini: { base_url: 'https://generativelanguage.googleapis.com/v1beta' } }
+    });
+
+    expect(fallbacks[0]).toEqual({ client: primary, model: 'openai/gpt-4o-mini', label: 'openai/gpt-4o-mini' });
+    expect(fallbacks[1]).toMatchObject({ model: 'gemini-model', label: 'gemini:gemini-model' });
+    expect(fallbacks[1].client.name).toBe('gemini');
+    expect(() => createFallbacks([{ provider: 'gemini' }], primary, { provider: 'openai' }, {})).toThrow('需要 model');
+    delete process.env.TEST_GEMINI_KEY;
+  });
+
+  test('only reuses the primary key on the primary endpoint', () => {
+    const primary = { complete: jest.fn() };
+    const options = { provider: 'openai', apiKey: 'github-token', baseURL: 'https://models.github.ai/inference' };
+
+    expect(() => createFallbacks([{ model: 'gpt-4o-mini', base_url: 'https://example.com/v1' }], primary, options, {}))
+      .toThrow('需要通过 api_key_env 指定密钥');
+    expect(() => createFallbacks([{ provider: 'anthropic', model: 'claude' }], primary, options, {}))
+      .toThrow('需要通过 api_key_env 指定密钥');
+    expect(() => createFallbacks([{ model: 'gpt-4o-mini', base_url: 'https://example.com/v1', api_key_env: 'TEST_MISSING_KEY' }], primary, options, {}))
+      .toThrow('TEST_MISSING_KEY 为空');
+    expect(createFallbacks([{ model: 'gpt-4o-mini', base_url: 'https://models.github.ai/inference/' }], primary, options, {}))
+      .toHaveLength(1);
+  });
+});
@@ -0,0 +1,170 @@
+const http = require('http');
+const { callAI, requestVerdict, isContentFilterError } = require('../src/services/ai');
+const { createAIClient, createFallbacks } = require('../src/services/aiProviders');
+
+// 本地HTTP服务，按顺序返回预设的响应并记录收到的请求
+function startServer(responses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      const { status = 200, body: responseBody } = responses[Math.min(requests.length, responses.length) - 1];
+      res.statusCode = status;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(responseBody));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ url: `http://127.0.0.1:${server.address().port}`, requests, close: () => new Promise(done => server.close(done)) });
+    });
+  });
+}
+
+const config = {
+  ai_settings: { max_tokens: 100, temperature: 0.1, structured_output: true },
+  ai_providers: {
+    anthropic: { base_url: 'https://api.anthropic.com', version: '2023-06-01' },
+    ollama: { base_url: 'http://localhost:11434' },
+    gemini: { base_url: 'https://generativelanguage.googleapis.com/v1beta' }
+  },
+  logging: {
+    ai_call_start: '{purpose} {model}',
+    ai_call_result: '{purpose} {result}',
+    ai_call_failed: '{purpose} {error}',
+    ai_status_code: '{code}',
+    ai_response_body: '{body}',
+    structured_output_unsupported: '{purpose}'
+  }
+};
+
+const request = { instructions: 'Classify spam.', input: 'Buy followers' };
+const verdict = JSON.stringify({ verdict: 'SPAM', confidence: 0.9, reason: 'Advertising' });
+
+describe('AI providers', () => {
+  let server;
+
+  afterEach(async () => {
+    await server?.close();
+    server = null;
+  });
+
+  test('maps requests to the Anthropic Messages API', async () => {
+    server = await startServer([{ body: { content: [{ type: 'text', text: 'not_spam' }], stop_reason: 'end_turn' } }]);
+    const client = createAIClient('anthropic', { apiKey: 'key', baseURL: `${server.url}/` }, config);
+
+    await expect(callAI(client, 'claude-model', request, config, 'spam check')).resolves.toBe('NOT_SPAM');
+
+    const [sent] = server.requests;
+    expect(sent.url).toBe('/v1/messages');
+    expect(sent.headers).toMatchObject({ 'x-api-key': 'key', 'anthropic-version': '2023-06-01' });
+    expect(sent.body).toEqual({
+      model: 'claude-model',
+      system: expect.stringContaining('Classify spam.'),
+      messages: [{ role: 'user', content: 'Buy followers' }],
+      max_tokens: 100,
+      temperature: 0.1
+    });
+  });
+
+  test('normalizes Anthropic refusals into content filter errors', async () => {
+    server = await startServer([{ body: { content: [], stop_reason: 'refusal' } }]);
+    const client = createAIClient('anthropic', { apiKey: 'key', baseURL: server.url }, config);
+
+    const error = await callAI(client, 'claude-model', request, config).catch(caught => caught);
+
+    expect(isContentFilterError(error)).toBe(true);
+  });
+
+  test('sends the verdict schema as the Ollama format', async () => {
+    server = await startServer([{ body: { message: { role: 'assistant', content: verdict }, done: true } }]);
+    const client = createAIClient('ollama', { baseURL: server.url }, config);
+
+    await expect(requestVerdict(client, 'llama3', request, config, 'spam check', ['SPAM', 'NOT_SPAM']))
+      .resolves.toMatchObject({ verdict: 'SPAM', confidence: 0.9 });
+
+    const [sent] = server.requests;
+    expect(sent.url).toBe('/api/chat');
+    expect(sent.headers.authorization).toBeUndefined();
+    expect(sent.body).toMatchObject({
+      model: 'llama3',
+      stream: false,
+      options: { temperature: 0.1, num_predict: 100 },
+      format: { type: 'object', required: expect.arrayContaining(['verdict']) }
+    });
+    expect(sent.body.messages.map(message => message.role)).toEqual(['system', 'user']);
+  });
+
+  test('maps requests to the Gemini generateContent API', async () => {
+    server = await startServer([{ body: { candidates: [{ content: { parts: [{ text: verdict }] }, finishReason: 'STOP' }] } }]);
+    const client = createAIClient('gemini', { apiKey: 'key', baseURL: server.url }, config);
+
+    await expect(requestVerdict(client, 'gemini-model', request, config, 'spam check', ['SPAM', 'NOT_SPAM']))
+      .resolves.toMatchObject({ verdict: 'SPAM' });
+
+    const [sent] = server.requests;
+    expect(sent.url).toBe('/models/gemini-model:generateContent');
+    expect(sent.headers['x-goog-api-key']).toBe('key');
+    expect(sent.body).toMatchObject({
+      systemInstruction: { parts: [{ text: expect.stringContaining('Classify spam.') }] },
+      contents: [{ role: 'user', parts: [{ text: 'Buy followers' }] }],
+      generationConfig: { maxOutputTokens: 100, temperature: 0.1, responseMimeType: 'application/json' }
+    });
+  });
+
+  test('normalizes Gemini safety blocks into content filter errors', async () => {
+    server = await startServer([
+      { body: { promptFeedback: { blockReason: 'PROHIBITED_CONTENT' } } },
+      { body: { candidates: [{ finishReason: 'SAFETY', safetyRatings: [] }] } }
+    ]);
+    const client = createAIClient('gemini', { apiKey: 'key', baseURL: server.url }, config);
+
+    const promptBlocked = await callAI(client, 'gemini-model', request, config).catch(caught => caught);
+    const responseBlocked = await callAI(client, 'gemini-model', request, config).catch(caught => caught);
+
+    expect(isContentFilterError(promptBlocked)).toBe(true);
+    expect(isContentFilterError(responseBlocked)).toBe(true);
+  });
+
+  test('surfaces HTTP errors with their status and body', async () => {
+    server = await startServer([{ status: 404, body: { error: 'model "missing" not found' } }]);
+    const client = createAIClient('ollama', { baseURL: server.url }, config);
+
+    const error = await callAI(client, 'missing', request, config).catch(caught => caught);
+
+    expect(error).toMatchObject({ status: 404, error: 'model "missing" not found' });
+    expect(error.message).toBe('404 model "missing" not found');
+    expect(isContentFilterError(error)).toBe(false);
+  });
+
+  test('retries without a schema when Gemini rejects the JSON schema', async () => {
+    server = await startServer([
+      { status: 400, body: { error: { code: 400, message: 'Unknown name "responseJsonSchema"', status: 'INVALID_ARGUMENT' } } },
+      { body: { candidates: [{ content: { parts: [{ text: 'SPAM' }] }, finishReason: 'STOP' }] } }
+    ]);
+    const client = createAIClient('gemini', { apiKey: 'key', baseURL: server.url }, config);
+
+    await expect(requestVerdict(client, 'gemini-model', request, config, 'spam check', ['SPAM', 'NOT_SPAM']))
+      .resolves.toMatchObject({ verdict: 'SPAM' });
+    expect(server.requests[1].body.generationConfig.responseJsonSchema).toBeUndefined();
+  });
+
+  test('does not send the primary key to a fallback on another endpoint', async () => {
+    server = await startServer([{ body: { message: { role: 'assistant', content: 'SPAM' }, done: true } }]);
+    const options = { provider: 'ollama', apiKey: 'primary-key', baseURL: 'http://127.0.0.1:1' };
+    const primary = createAIClient('ollama', options, config);
+    const [fallback] = createFallbacks([{ model: 'llama3', base_url: server.url }], primary, options, config);
+
+    await expect(callAI(fallback.client, fallback.model, request, config)).resolves.toBe('SPAM');
+    expect(server.requests[0].headers.authorization).toBeUndefined();
+  });
+
+  test('rejects unknown providers', () => {
+    expect(() => createAIClient('cohere', {}, config)).toThrow('Unsupported AI provider: cohere');
+  });
+});
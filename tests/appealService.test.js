@@ -0,0 +1,138 @@
+const baseConfig = require('../config.json');
+const { handleCommand } = require('../src/handlers/commandHandler');
+const { isAppealPending, lockExpiredAppealWindows } = require('../src/services/appealService');
+
+function createConfig() {
+  const config = JSON.parse(JSON.stringify(baseConfig));
+  config.appeals.enabled = true;
+  return config;
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function createOctokit(current, comments = []) {
+  return {
+    paginate: jest.fn(),
+    rest: {
+      repos: {
+        getCollaboratorPermissionLevel: jest.fn().mockResolvedValue({ data: { permission: 'read' } })
+      },
+      issues: {
+        get: jest.fn().mockResolvedValue({ data: current }),
+        listForRepo: jest.fn(),
+        listComments: jest.fn().mockResolvedValue({ data: comments }),
+        createComment: jest.fn().mockResolvedValue({}),
+        addLabels: jest.fn().mockResolvedValue({}),
+        removeLabel: jest.fn().mockResolvedValue({}),
+        lock: jest.fn().mockResolvedValue({})
+      },
+      reactions: {
+        createForIssueComment: jest.fn().mockResolvedValue({})
+      }
+    }
+  };
+}
+
+function createContext(body, login = 'author') {
+  return {
+    eventName: 'issue_comment',
+    payload: {
+      action: 'created',
+      comment: { id: 21, body, user: { login, type: 'User' } },
+      issue: { number: 9, title: 'Issue', state: 'closed', labels: [], user: { login: 'author' } }
+    }
+  };
+}
+
+const closedByBot = {
+  number: 9,
+  state: 'closed',
+  locked: false,
+  closed_by: { login: 'github-actions[bot]', type: 'Bot' },
+  labels: [{ name: 'appeal-window' }]
+};
+
+async function runCommand(octokit, context, config = createConfig()) {
+  return await handleCommand(octokit, {}, context, 'owner', 'repo', 'model', config, ['bug'], []);
+}
+
+describe('/appeal', () => {
+  test('records an appeal from the author and notifies maintainers', async () => {
+    const octokit = createOctokit(closedByBot);
+    const config = createConfig();
+    config.triage.maintainers = ['alice'];
+
+    await expect(runCommand(octokit, createContext('/appeal This is a real bug'), config)).resolves.toBe(true);
+
+    expect(octokit.rest.issues.addLabels).toHaveBeenCalledWith(expect.objectContaining({ labels: ['appeal-pending'] }));
+    expect(octokit.rest.issues.removeLabel).toHaveBeenCalledWith(expect.objectContaining({ name: 'appeal-window' }));
+    const body = octokit.rest.issues.createComment.mock.calls[0][0].body;
+    expect(body).toContain('> This is a real bug');
+    expect(body).toContain('cc @alice');
+    expect(body).toContain('<!-- nomore-spam:marker {"key":"appeal"');
+  });
+
+  test('inserts the appeal reason literally and without mentions', async () => {
+    const octokit = createOctokit(closedByBot);
+    const config = createConfig();
+    config.triage.maintainers = ['alice'];
+
+    await runCommand(octokit, createContext('/appeal Costs $& and {maintainers}, ask @someone'), config);
+
+    const body = octokit.rest.issues.createComment.mock.calls[0][0].body;
+    expect(body).toContain('> Costs $& and {maintainers}, ask @\u200Bsomeone');
+    expect(body).not.toContain('@someone');
+    expect(body.match(/cc @alice/g)).toHaveLength(1);
+  });
+
+  test('accepts only one appeal per item', async () => {
+    const octokit = createOctokit(closedByBot, [{ body: 'Recorded\n\n<!-- nomore-spam:marker {"key":"appeal"} -->', user: { type: 'Bot' } }]);
+
+    await runCommand(octokit, createContext('/appeal again'));
+
+    expect(octokit.rest.issues.addLabels).not.toHaveBeenCalled();
+    expect(octokit.rest.issues.createComment.mock.calls[0][0].body).toContain(createConfig().responses.appeal_already_submitted);
+  });
+
+  test('ignores appeals from other users and on items not closed by the bot', async () => {
+    const otherUser = createOctokit(closedByBot);
+    await expect(runCommand(otherUser, createContext('/appeal please', 'someone'))).resolves.toBe(false);
+    expect(otherUser.rest.issues.get).not.toHaveBeenCalled();
+
+    const closedByMaintainer = createOctokit({ ...closedByBot, closed_by: { login: 'maintainer', type: 'User' } });
+    await expect(runCommand(closedByMaintainer, createContext('/appeal please'))).resolves.toBe(false);
+    expect(closedByMaintainer.rest.issues.createComment).not.toHaveBeenCalled();
+  });
+
+  test('detects pending appeals by label', () => {
+    const config = createConfig();
+
+    expect(isAppealPending({ labels: [{ name: 'Appeal-Pending' }] }, config)).toBe(true);
+    expect(isAppealPending({ labels: [] }, config)).toBe(false);
+    config.appeals.enabled = false;
+    expect(isAppealPending({ labels: ['appeal-pending'] }, config)).toBe(false);
+  });
+});
+
+describe('lockExpiredAppealWindows', () => {
+  test('locks items whose appeal window has ended', async () => {
+    const octokit = createOctokit(closedByBot);
+    octokit.paginate.mockResolvedValue([
+      { number: 1, locked: false, closed_at: daysAgo(8), labels: [{ name: 'appeal-window' }] },
+      { number: 2, locked: false, closed_at: daysAgo(2), labels: [{ name: 'appeal-window' }] },
+      { number: 3, locked: false, closed_at: daysAgo(9), labels: [{ name: 'appeal-window' }, { name: 'appeal-pending' }] }
+    ]);
+
+    await expect(lockExpiredAppealWindows(octokit, 'owner', 'repo', createConfig())).resolves.toBe(1);
+
+    expect(octokit.paginate).toHaveBeenCalledWith(
+      octokit.rest.issues.listForRepo,
+      expect.objectContaining({ state: 'closed', labels: 'appeal-window' })
+    );
+    expect(octokit.rest.issues.lock).toHaveBeenCalledTimes(1);
+    expect(octokit.rest.issues.lock).toHaveBeenCalledWith(expect.objectContaining({ issue_number: 1, lock_reason: 'spam' }));
+    expect(octokit.rest.issues.removeLabel).toHaveBeenCalledWith(expect.objectContaining({ issue_number: 1, name: 'appeal-window' }));
+  });
+});
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('@actions/core');
+const baseConfig = require('../config.json');
+const { startOutcome, recordOutcome } = require('../src/services/outputs');
+const { resetReport, timeStep, createReportingOctokit } = require('../src/services/runReport');
+const {
+  buildAuditRecords,
+  parseAuditLog,
+  filterAuditRecords,
+  serializeRecords,
+  writeAuditLog,
+  getPromptVersion
+} = require('../src/services/auditLog');
+const { parseArgs, formatRecord } = require('../scripts/audit-log');
+
+function createConfig(settings = {}) {
+  const config = JSON.parse(JSON.stringify(baseConfig));
+  config.audit_log = { ...config.audit_log, enabled: true, ...settings };
+  return config;
+}
+
+function notFound() {
+  return Object.assign(new Error('Not Found'), { status: 404 });
+}
+
+function createOctokit(existing = null) {
+  return {
+    rest: {
+      issues: {
+        update: jest.fn().mockResolvedValue({ data: {} }),
+        lock: jest.fn().mockRejectedValue(new Error('Forbidden'))
+      },
+      repos: {
+        getBranch: existing === null ? jest.fn().mockRejectedValue(notFound()) : jest.fn().mockResolvedValue({})
+      },
+      git: {
+        getRef: existing === null
+          ? jest.fn().mockRejectedValue(notFound())
+          : jest.fn().mockResolvedValue({ data: { object: { sha: 'head-sha' } } }),
+        getCommit: jest.fn().mockResolvedValue({ data: { tree: { sha: 'base-tree-sha' } } }),
+        getTree: jest.fn().mockResolvedValue({ data: { tree: [{ path: 'audit-log.jsonl', type: 'blob', sha: 'file-sha' }] } }),
+        getBlob: jest.fn().mockResolvedValue({ data: { content: Buffer.from(existing || '').toString('base64'), encoding: 'base64' } }),
+        createBlob: jest.fn().mockResolvedValue({ data: { sha: 'blob-sha' } }),
+        createTree: jest.fn().mockResolvedValue({ data: { sha: 'tree-sha' } }),
+        createCommit: jest.fn().mockResolvedValue({ data: { sha: 'commit-sha' } }),
+        createRef: jest.fn().mockResolvedValue({}),
+        updateRef: jest.fn().mockResolvedValue({})
+      }
+    }
+  };
+}
+
+const context = { eventName: 'issues', runId: 42, payload: { action: 'opened' } };
+const issue = { number: 7, title: 'Buy followers', html_url: 'https://github.com/owner/repo/issues/7', user: { login: 'spammer' } };
+
+async function processSpamIssue(octokit) {
+  const reporting = createReportingOctokit(octokit);
+  startOutcome(issue);
+  await timeStep('spam_detection', 'openai/gpt-4o', async () => ({ verdict: 'SPAM', confidence: 0.95 }));
+  recordOutcome({ decision: 'SPAM', step: 'spam_detection', confidence: 0.95, closed: true });
+  await reporting.rest.issues.update({ issue_number: 7, state: 'closed' });
+  await reporting.rest.issues.lock({ issue_number: 7 }).catch(() => {});
+}
+
+describe('audit log', () => {
+  beforeEach(() => {
+    resetReport();
+  });
+
+  test('builds one record per processed item with the decision chain and action results', async () => {
+    await processSpamIssue(createOctokit());
+    // 定时任务锁定的其他内容单独记录
+    await createReportingOctokit({ rest: { issues: { lock: jest.fn().mockResolvedValue({}) } } })
+      .rest.issues.lock({ issue_number: 3 });
+    const config = createConfig();
+
+    const records = buildAuditRecords(config, context, 'openai/gpt-4o');
+
+    expect(records).toHaveLength(2);
+    expect(records[0]).toMatchObject({
+      event: 'issues.opened',
+      run_id: 42,
+      item: { type: 'issue', number: 7, title: 'Buy followers' },
+      author: 'spammer',
+      decision: 'SPAM',
+      closed: true,
+      model: 'openai/gpt-4o',
+      prompt_version: getPromptVersion(config),
+      chain: [{ check: 'spam_detection', model: 'openai/gpt-4o', verdict: 'SPAM', confidence: 0.95, error: null }],
+      actions: [
+        { method: 'issues.update', success: true, error: null, dry_run: false },
+        { method: 'issues.lock', success: false, error: 'Forbidden', dry_run: false }
+      ]
+    });
+    expect(records[1]).toMatchObject({ item: { number: 3 }, decision: null, locked: true, closed: false });
+  });
+
+  test('prompt version changes when the prompts change', () => {
+    const config = createConfig();
+    const changed = createConfig();
+    changed.prompts.spam_detection += ' Be strict.';
+
+    expect(getPromptVersion(config)).toMatch(/^[0-9a-f]{12}$/);
+    expect(getPromptVersion(changed)).not.toBe(getPromptVersion(config));
+  });
+
+  test('appends to the existing branch file without rewriting earlier records', async () => {
+    const existing = '{"timestamp":"2024-01-01T00:00:00.000Z","decision":"KEEP"}';
+    const octokit = createOctokit(existing);
+    await processSpamIssue(octokit);
+
+    await expect(writeAuditLog(octokit, 'owner', 'repo', createConfig(), context, 'openai/gpt-4o')).resolves.toBe(1);
+
+    expect(octokit.rest.git.getBlob).toHaveBeenCalledWith(expect.objectContaining({ file_sha: 'file-sha' }));
+    const content = Buffer.from(octokit.rest.git.createBlob.mock.calls[0][0].content, 'base64').toString('utf8');
+    expect(content.startsWith(`${existing}\n`)).toBe(true);
+    expect(parseAuditLog(content).map(record => record.decision)).toEqual(['KEEP', 'SPAM']);
+    expect(octokit.rest.git.createTree).toHaveBeenCalledWith(expect.objectContaining({
+      base_tree: 'base-tree-sha',
+      tree: [{ path: 'audit-log.jsonl', mode: '100644', type: 'blob', sha: 'blob-sha' }]
+    }));
+    expect(octokit.rest.git.createCommit).toHaveBeenCalledWith(expect.objectContaining({ parents: ['head-sha'] }));
+    expect(octokit.rest.git.updateRef).toHaveBeenCalledWith(expect.objectContaining({
+      ref: 'heads/nomore-spam-data',
+      sha: 'commit-sha',
+      force: false
+    }));
+  });
+
+  test('creates the data branch for the first records', async () => {
+    const octokit = createOctokit();
+    await processSpamIssue(octokit);
+
+    await expect(writeAuditLog(octokit, 'owner', 'repo', createConfig(), context, 'openai/gpt-4o')).resolves.toBe(1);
+
+    expect(octokit.rest.git.createCommit).toHaveBeenCalledWith(expect.objectContaining({ parents: [] }));
+    expect(octokit.rest.git.createRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'refs/heads/nomore-spam-data' }));
+    expect(octokit.rest.git.updateRef).not.toHaveBeenCalled();
+  });
+
+  test('retries the append when another run updated the branch first', async () => {
+    const octokit = createOctokit('');
+    octokit.rest.git.updateRef
+      .mockRejectedValueOnce(Object.assign(new Error('Update is not a fast forward'), { status: 422 }));
+    await processSpamIssue(octokit);
+
+    await expect(writeAuditLog(octokit, 'owner', 'repo', createConfig(), context, 'openai/gpt-4o')).resolves.toBe(1);
+
+    expect(octokit.rest.git.getRef).toHaveBeenCalledTimes(2);
+    expect(octokit.rest.git.updateRef).toHaveBeenCalledTimes(2);
+  });
+
+  test('writes a local file for artifact upload and exposes its path', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    const previous = process.env.RUNNER_TEMP;
+    process.env.RUNNER_TEMP = directory;
+    const setOutput = jest.spyOn(core, 'setOutput').mockImplementation(() => {});
+    const octokit = createOctokit();
+    await processSpamIssue(octokit);
+
+    try {
+      await writeAuditLog(octokit, 'owner', 'repo', createConfig({ target: 'artifact' }), context, 'openai/gpt-4o');
+
+      const filePath = path.join(directory, 'nomore-spam-audit-log.jsonl');
+      expect(setOutput).toHaveBeenCalledWith('audit-log-file', filePath);
+      expect(parseAuditLog(fs.readFileSync(filePath, 'utf8'))[0]).toMatchObject({ decision: 'SPAM', author: 'spammer' });
+      expect(octokit.rest.git.createBlob).not.toHaveBeenCalled();
+    } finally {
+      setOutput.mockRestore();
+      process.env.RUNNER_TEMP = previous;
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('does nothing when disabled', async () => {
+    const octokit = createOctokit();
+    await processSpamIssue(octokit);
+
+    await expect(writeAuditLog(octokit, 'owner', 'repo', createConfig({ enabled: false }), context, 'model')).resolves.toBe(0);
+    expect(octokit.rest.git.getRef).not.toHaveBeenCalled();
+  });
+});
+
+describe('audit log reader', () => {
+  const records = [
+    { timestamp: '2024-05-01T10:00:00.000Z', item: { type: 'issue', number: 1 }, author: 'Alice', decision: 'SPAM', chain: [], actions: [] },
+    { timestamp: '2024-05-02T23:30:00.000Z', item: { type: 'pr', number: 2 }, author: 'bob', decision: 'KEEP', chain: [], actions: [] },
+    { timestamp: '2024-05-03T08:00:00.000Z', item: { type: 'issue', number: 3 }, author: 'alice', decision: 'spam', chain: [], actions: [] }
+  ];
+
+  test('filters by date range, decision and author', () => {
+    expect(filterAuditRecords(records, { since: '2024-05-02', until: '2024-05-02' }).map(r => r.item.number)).toEqual([2]);
+    expect(filterAuditRecords(records, { decision: 'spam' }).map(r => r.item.number)).toEqual([1, 3]);
+    expect(filterAuditRecords(records, { author: '@ALICE', since: '2024-05-02' }).map(r => r.item.number)).toEqual([3]);
+  });
+
+  test('skips blank and truncated lines', () => {
+    const content = `${serializeRecords(records.slice(0, 1))}\n{"timestamp":`;
+
+    expect(parseAuditLog(content)).toHaveLength(1);
+  });
+
+  test('parses command line options', () => {
+    expect(parseArgs(['log.jsonl', '--decision', 'SPAM', '--since=2024-05-01', '--json'])).toEqual({
+      file: 'log.jsonl',
+      filters: { decision: 'SPAM', since: '2024-05-01' },
+      json: true,
+      help: false
+    });
+    expect(() => parseArgs(['--until', 'yesterday'])).toThrow('Invalid date for --until');
+    expect(() => parseArgs(['--label', 'bug'])).toThrow('Unknown option');
+  });
+
+  test('formats a one-line summary', () => {
+    const line = formatRecord({
+      timestamp: '2024-05-01T10:00:00.000Z',
+      item: { type: 'pr', number: 5 },
+      author: 'bob',
+      decision: 'SPAM',
+      chain: [{ check: 'pr_spam_detection', verdict: 'SPAM' }],
+      actions: [{ success: true }, { success: false }]
+    });
+
+    expect(line).toBe('2024-05-01T10:00:00.000Z  PR #5  SPAM  @bob  pr_spam_detection=SPAM  2 action(s), 1 failed');
+  });
+});
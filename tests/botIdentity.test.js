@@ -0,0 +1,87 @@
+const baseConfig = require('../config.json');
+const { resolveBotLogin, isOwnAccount, getBotLogin, resetBotLogin } = require('../src/services/botIdentity');
+const { appendMarker, findMarkedComment } = require('../src/utils/commentMarker');
+const { handleCommand } = require('../src/handlers/commandHandler');
+
+function createConfig() {
+  const config = JSON.parse(JSON.stringify(baseConfig));
+  config.appeals.enabled = true;
+  return config;
+}
+
+function createOctokit(login) {
+  return {
+    rest: {
+      users: {
+        getAuthenticated: login
+          ? jest.fn().mockResolvedValue({ data: { login } })
+          : jest.fn().mockRejectedValue(Object.assign(new Error('Resource not accessible by integration'), { status: 403 }))
+      }
+    }
+  };
+}
+
+describe('bot identity', () => {
+  afterEach(() => {
+    resetBotLogin();
+  });
+
+  test('uses the token user when running with a personal access token', async () => {
+    await expect(resolveBotLogin(createOctokit('release-bot'), createConfig())).resolves.toBe('release-bot');
+
+    expect(isOwnAccount({ login: 'Release-Bot', type: 'User' })).toBe(true);
+    expect(isOwnAccount({ login: 'github-actions[bot]', type: 'Bot' })).toBe(false);
+  });
+
+  test('falls back to github-actions[bot] when the token cannot be looked up', async () => {
+    await expect(resolveBotLogin(createOctokit(null), createConfig())).resolves.toBe('github-actions[bot]');
+
+    expect(isOwnAccount({ login: 'github-actions[bot]', type: 'Bot' })).toBe(true);
+    expect(isOwnAccount({ login: 'renovate[bot]', type: 'Bot' })).toBe(false);
+  });
+
+  test('prefers the configured login for GitHub Apps', async () => {
+    const config = createConfig();
+    config.defaults.bot_login = 'my-app[bot]';
+    const octokit = createOctokit('someone');
+
+    await expect(resolveBotLogin(octokit, config)).resolves.toBe('my-app[bot]');
+    expect(octokit.rest.users.getAuthenticated).not.toHaveBeenCalled();
+  });
+
+  test('finds markers and appeal closures written with a personal access token', async () => {
+    await resolveBotLogin(createOctokit('release-bot'), createConfig());
+    const marked = appendMarker('Closed', { key: 'decision', decision: 'SPAM' });
+
+    expect(findMarkedComment([
+      { id: 1, body: marked, user: { login: 'release-bot', type: 'User' } },
+      { id: 2, body: marked, user: { login: 'other-bot[bot]', type: 'Bot' } }
+    ], 'decision', getBotLogin()).id).toBe(1);
+
+    const createComment = jest.fn().mockResolvedValue({});
+    const octokit = {
+      rest: {
+        issues: {
+          get: jest.fn().mockResolvedValue({
+            data: { number: 9, state: 'closed', locked: false, closed_by: { login: 'release-bot', type: 'User' }, labels: [] }
+          }),
+          listComments: jest.fn().mockResolvedValue({ data: [] }),
+          createComment,
+          addLabels: jest.fn().mockResolvedValue({})
+        },
+        reactions: { createForIssueComment: jest.fn().mockResolvedValue({}) }
+      }
+    };
+    const context = {
+      eventName: 'issue_comment',
+      payload: {
+        action: 'created',
+        comment: { id: 21, body: '/appeal this is a real bug', user: { login: 'author', type: 'User' } },
+        issue: { number: 9, title: 'Issue', state: 'closed', labels: [], user: { login: 'author' } }
+      }
+    };
+
+    await expect(handleCommand(octokit, {}, context, 'owner', 'repo', 'model', createConfig(), ['bug'], [])).resolves.toBe(true);
+    expect(createComment.mock.calls[0][0].body).toContain('nomore-spam:marker');
+  });
+});
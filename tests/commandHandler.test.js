@@ -0,0 +1,121 @@
+const baseConfig = require('../config.json');
+const { handleCommand, parseCommand } = require('../src/handlers/commandHandler');
+const { getOutcome } = require('../src/services/outputs');
+
+function createConfig() {
+  return JSON.parse(JSON.stringify(baseConfig));
+}
+
+function createOctokit(permission = 'write') {
+  return {
+    rest: {
+      repos: {
+        getCollaboratorPermissionLevel: jest.fn().mockResolvedValue({ data: { permission } })
+      },
+      issues: {
+        createComment: jest.fn().mockResolvedValue({}),
+        addLabels: jest.fn().mockResolvedValue({}),
+        removeLabel: jest.fn().mockResolvedValue({}),
+        update: jest.fn().mockResolvedValue({}),
+        lock: jest.fn().mockResolvedValue({}),
+        unlock: jest.fn().mockResolvedValue({})
+      },
+      pulls: {
+        update: jest.fn().mockResolvedValue({})
+      },
+      reactions: {
+        createForIssueComment: jest.fn().mockResolvedValue({})
+      }
+    }
+  };
+}
+
+function createContext(body, issue = {}) {
+  return {
+    eventName: 'issue_comment',
+    payload: {
+      action: 'created',
+      comment: { id: 11, body, user: { login: 'maintainer', type: 'User' } },
+      issue: { number: 3, title: 'Issue', labels: [], ...issue }
+    }
+  };
+}
+
+async function runCommand(octokit, context, labelsList = ['bug', 'enhancement', 'question']) {
+  return await handleCommand(octokit, {}, context, 'owner', 'repo', 'model', createConfig(), labelsList, []);
+}
+
+describe('parseCommand', () => {
+  test('recognises commands on the first line only', () => {
+    expect(parseCommand('/reclassify  Bug\nthanks')).toEqual({ name: 'reclassify', argument: 'Bug' });
+    expect(parseCommand('/NOT-SPAM')).toEqual({ name: 'not-spam', argument: '' });
+    expect(parseCommand('Please run\n/spam')).toBeNull();
+    expect(parseCommand('/spammy')).toBeNull();
+  });
+});
+
+describe('handleCommand', () => {
+  test('ignores commands from users without write access', async () => {
+    const octokit = createOctokit('read');
+
+    await expect(runCommand(octokit, createContext('/spam'))).resolves.toBe(false);
+    expect(octokit.rest.issues.update).not.toHaveBeenCalled();
+  });
+
+  test('closes and locks an issue on /spam', async () => {
+    const octokit = createOctokit('admin');
+
+    await expect(runCommand(octokit, createContext('/spam'))).resolves.toBe(true);
+    expect(octokit.rest.issues.update).toHaveBeenCalledWith(expect.objectContaining({ issue_number: 3, state: 'closed' }));
+    expect(octokit.rest.issues.lock).toHaveBeenCalled();
+    expect(octokit.rest.reactions.createForIssueComment).toHaveBeenCalledWith(
+      expect.objectContaining({ comment_id: 11, content: '+1' })
+    );
+  });
+
+  test('records the /spam outcome from the close and lock results', async () => {
+    const octokit = createOctokit('admin');
+    octokit.rest.issues.lock.mockRejectedValue(new Error('Forbidden'));
+
+    await runCommand(octokit, createContext('/spam'));
+
+    expect(getOutcome()).toMatchObject({ decision: 'SPAM', closed: true, locked: false });
+  });
+
+  test('closes pull requests through the pull request path', async () => {
+    const octokit = createOctokit();
+
+    await runCommand(octokit, createContext('/spam', { pull_request: {} }));
+
+    expect(octokit.rest.pulls.update).toHaveBeenCalledWith(expect.objectContaining({ pull_number: 3, state: 'closed' }));
+  });
+
+  test('reopens, unlocks, and removes moderation labels on /not-spam', async () => {
+    const octokit = createOctokit();
+    const context = createContext('/not-spam', { labels: [{ name: 'needs-triage' }, { name: 'bug' }, 'duplicate'] });
+
+    await runCommand(octokit, context);
+
+    expect(octokit.rest.issues.update).toHaveBeenCalledWith(expect.objectContaining({ state: 'open' }));
+    expect(octokit.rest.issues.unlock).toHaveBeenCalled();
+    expect(octokit.rest.issues.removeLabel.mock.calls.map(([params]) => params.name)).toEqual(['needs-triage', 'duplicate']);
+  });
+
+  test('swaps the classification label on /reclassify', async () => {
+    const octokit = createOctokit();
+
+    await runCommand(octokit, createContext('/reclassify Enhancement', { labels: [{ name: 'bug' }, { name: 'help wanted' }] }));
+
+    expect(octokit.rest.issues.removeLabel.mock.calls.map(([params]) => params.name)).toEqual(['bug']);
+    expect(octokit.rest.issues.addLabels).toHaveBeenCalledWith(expect.objectContaining({ labels: ['enhancement'] }));
+  });
+
+  test('explains unknown labels on /reclassify', async () => {
+    const octokit = createOctokit();
+
+    await runCommand(octokit, createContext('/reclassify docs'));
+
+    expect(octokit.rest.issues.addLabels).not.toHaveBeenCalled();
+    expect(octokit.rest.issues.createComment.mock.calls[0][0].body).toContain('`bug`, `enhancement`, `question`');
+  });
+});
@@ -0,0 +1,94 @@
+const baseConfig = require('../config.json');
+const { handleNewComment } = require('../src/handlers/commentHandler');
+
+function createConfig() {
+  return JSON.parse(JSON.stringify(baseConfig));
+}
+
+function createOctokit() {
+  return {
+    graphql: jest.fn().mockResolvedValue({ minimizeComment: { minimizedComment: { isMinimized: true } } }),
+    rest: {
+      issues: {
+        removeLabel: jest.fn().mockResolvedValue({})
+      }
+    }
+  };
+}
+
+function createOpenAI(verdict) {
+  const create = jest.fn().mockResolvedValue({
+    choices: [{ message: { content: JSON.stringify({ verdict, confidence: 0.95, reason: 'Test' }) } }]
+  });
+  return { chat: { completions: { create } } };
+}
+
+function createComment(overrides = {}) {
+  return {
+    id: 101,
+    node_id: 'IC_kwDOcomment',
+    body: 'Buy cheap followers at example.com',
+    author_association: 'NONE',
+    user: { login: 'Visitor', type: 'User' },
+    ...overrides
+  };
+}
+
+const issue = { number: 9, title: 'Crash on start', state: 'open', user: { login: 'author' }, labels: [] };
+
+async function run(octokit, openai, comment, blacklistUsers = []) {
+  const context = { eventName: 'issue_comment', payload: { action: 'created', comment, issue } };
+  await handleNewComment(octokit, openai, context, 'owner', 'repo', 'model', createConfig(), blacklistUsers);
+}
+
+describe('handleNewComment', () => {
+  test('minimizes spam comments as SPAM', async () => {
+    const octokit = createOctokit();
+    const openai = createOpenAI('SPAM');
+
+    await run(octokit, openai, createComment());
+
+    expect(openai.chat.completions.create).toHaveBeenCalledTimes(1);
+    const [mutation, variables] = octokit.graphql.mock.calls[0];
+    expect(mutation).toContain('minimizeComment');
+    expect(variables).toEqual({ subjectId: 'IC_kwDOcomment', classifier: 'SPAM' });
+  });
+
+  test('leaves comments that are not spam visible', async () => {
+    const octokit = createOctokit();
+
+    await run(octokit, createOpenAI('NOT_SPAM'), createComment());
+
+    expect(octokit.graphql).not.toHaveBeenCalled();
+  });
+
+  test('minimizes comments from blacklisted users without calling the AI', async () => {
+    const octokit = createOctokit();
+    const openai = createOpenAI('NOT_SPAM');
+
+    await run(octokit, openai, createComment(), ['visitor']);
+
+    expect(openai.chat.completions.create).not.toHaveBeenCalled();
+    expect(octokit.graphql.mock.calls[0][1]).toEqual({ subjectId: 'IC_kwDOcomment', classifier: 'SPAM' });
+  });
+
+  test.each(['OWNER', 'MEMBER', 'COLLABORATOR'])('skips comments from %s associations', async association => {
+    const octokit = createOctokit();
+    const openai = createOpenAI('SPAM');
+
+    await run(octokit, openai, createComment({ author_association: association }));
+
+    expect(openai.chat.completions.create).not.toHaveBeenCalled();
+    expect(octokit.graphql).not.toHaveBeenCalled();
+  });
+
+  test('skips comments from bots', async () => {
+    const octokit = createOctokit();
+    const openai = createOpenAI('SPAM');
+
+    await run(octokit, openai, createComment({ user: { login: 'renovate[bot]', type: 'Bot' } }));
+
+    expect(openai.chat.completions.create).not.toHaveBeenCalled();
+    expect(octokit.graphql).not.toHaveBeenCalled();
+  });
+});
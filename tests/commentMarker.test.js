@@ -0,0 +1,118 @@
+const baseConfig = require('../config.json');
+const { appendMarker, parseMarker, stripMarker, findMarkedComment } = require('../src/utils/commentMarker');
+const { upsertComment } = require('../src/services/github');
+const { handleNewIssue } = require('../src/handlers/issueHandler');
+
+function createOctokit(comments = []) {
+  return {
+    rest: {
+      issues: {
+        listComments: jest.fn().mockResolvedValue({ data: comments }),
+        createComment: jest.fn().mockResolvedValue({}),
+        updateComment: jest.fn().mockResolvedValue({})
+      }
+    }
+  };
+}
+
+describe('comment markers', () => {
+  test('round-trips metadata through a hidden comment', () => {
+    const body = appendMarker('Closing as spam.', { key: 'decision', decision: 'SPAM' });
+
+    expect(body.startsWith('Closing as spam.\n\n<!-- nomore-spam:marker ')).toBe(true);
+    expect(parseMarker(body)).toMatchObject({ key: 'decision', decision: 'SPAM' });
+    expect(stripMarker(body)).toBe('Closing as spam.');
+  });
+
+  test('keeps a single marker when a marked body is marked again', () => {
+    const body = appendMarker(appendMarker('Text', { key: 'a' }), { key: 'b' });
+
+    expect(body.match(/nomore-spam:marker/g)).toHaveLength(1);
+    expect(parseMarker(body).key).toBe('b');
+  });
+
+  test('cannot be closed early by metadata containing "--"', () => {
+    const body = appendMarker('Text', { key: 'decision', decision: 'a-->b' });
+
+    expect(body.indexOf('-->')).toBe(body.length - 3);
+    expect(parseMarker(body).decision).toBe('a-->b');
+  });
+
+  test('only trusts markers in bot comments', () => {
+    const marked = appendMarker('Text', { key: 'decision' });
+    const comments = [
+      { id: 1, body: marked, user: { type: 'Bot' } },
+      { id: 2, body: marked, user: { type: 'User' } }
+    ];
+
+    expect(findMarkedComment(comments, 'decision').id).toBe(1);
+    expect(findMarkedComment(comments, 'appeal')).toBeNull();
+  });
+
+  test('only trusts markers in comments by the given bot login', () => {
+    const marked = appendMarker('Text', { key: 'decision' });
+    const comments = [
+      { id: 1, body: marked, user: { login: 'Release-Bot', type: 'User' } },
+      { id: 2, body: marked, user: { login: 'other[bot]', type: 'Bot' } }
+    ];
+
+    expect(findMarkedComment(comments, 'decision', 'release-bot').id).toBe(1);
+    expect(findMarkedComment(comments, 'decision', 'github-actions[bot]')).toBeNull();
+  });
+});
+
+describe('upsertComment', () => {
+  test('updates the previous comment with the same key', async () => {
+    const octokit = createOctokit([
+      { id: 5, body: appendMarker('Old decision', { key: 'decision' }), user: { type: 'Bot' } }
+    ]);
+
+    await upsertComment(octokit, 'owner', 'repo', 7, 'New decision', { key: 'decision', decision: 'SPAM' });
+
+    expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+    const { comment_id: commentId, body } = octokit.rest.issues.updateComment.mock.calls[0][0];
+    expect(commentId).toBe(5);
+    expect(parseMarker(body)).toMatchObject({ key: 'decision', decision: 'SPAM' });
+  });
+
+  test('finds the previous comment beyond the first page', async () => {
+    const filler = Array.from({ length: 100 }, (_, index) => ({ id: 100 + index, body: 'Thanks', user: { type: 'User' } }));
+    const octokit = createOctokit();
+    octokit.rest.issues.listComments
+      .mockResolvedValueOnce({ data: filler })
+      .mockResolvedValueOnce({ data: [{ id: 5, body: appendMarker('Old decision', { key: 'decision' }), user: { type: 'Bot' } }] });
+
+    await upsertComment(octokit, 'owner', 'repo', 7, 'New decision', { key: 'decision' });
+
+    expect(octokit.rest.issues.listComments.mock.calls.map(([params]) => params.page)).toEqual([1, 2]);
+    expect(octokit.rest.issues.updateComment).toHaveBeenCalledWith(expect.objectContaining({ comment_id: 5 }));
+    expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+  });
+
+  test('creates a new comment when no comment has the key', async () => {
+    const octokit = createOctokit([
+      { id: 5, body: appendMarker('Old', { key: 'command' }), user: { type: 'Bot' } }
+    ]);
+
+    await upsertComment(octokit, 'owner', 'repo', 7, 'Decision', { key: 'decision' });
+
+    expect(octokit.rest.issues.updateComment).not.toHaveBeenCalled();
+    expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({ issue_number: 7 }));
+  });
+});
+
+describe('already processed items', () => {
+  test('skips issues that already have a decision comment', async () => {
+    const octokit = createOctokit([
+      { id: 5, body: appendMarker('Closed', { key: 'decision', decision: 'SPAM' }), user: { type: 'Bot' } }
+    ]);
+    const openai = { chat: { completions: { create: jest.fn() } } };
+    const issue = { number: 7, title: 'Spam', body: 'Buy now', user: { login: 'author' }, labels: [] };
+    const context = { eventName: 'issues', payload: { action: 'opened', issue } };
+
+    await handleNewIssue(octokit, openai, context, 'owner', 'repo', 'model', baseConfig, ['bug'], []);
+
+    expect(openai.chat.completions.create).not.toHaveBeenCalled();
+    expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,83 @@
+const baseConfig = require('../config.json');
+const IssueAnalyzer = require('../src/services/issueAnalyzer');
+const { evaluateConfidence, validateThresholds } = require('../src/services/confidenceGate');
+
+function createConfig() {
+  return JSON.parse(JSON.stringify(baseConfig));
+}
+
+function createAnalyzer(answers) {
+  const create = jest.fn();
+  for (const answer of answers) {
+    create.mockResolvedValueOnce({ choices: [{ message: { content: JSON.stringify(answer) } }] });
+  }
+  return new IssueAnalyzer({ chat: { completions: { create } } }, 'model', createConfig());
+}
+
+describe('evaluateConfidence', () => {
+  const config = createConfig();
+
+  test('acts, reviews, or passes according to the thresholds', () => {
+    expect(evaluateConfidence('SPAM', { confidence: 0.95 }, config)).toBe('act');
+    expect(evaluateConfidence('SPAM', { confidence: 0.75 }, config)).toBe('review');
+    expect(evaluateConfidence('SPAM', { confidence: 0.3 }, config)).toBe('pass');
+  });
+
+  test('uses missing_confidence when the model returns no confidence', () => {
+    expect(evaluateConfidence('SPAM', { confidence: null }, config)).toBe('review');
+    for (const decision of Object.keys(config.confidence_thresholds.decisions)) {
+      expect(evaluateConfidence(decision, {}, config)).toBe('review');
+    }
+
+    const trusting = createConfig();
+    trusting.confidence_thresholds.missing_confidence = 1;
+    expect(evaluateConfidence('SPAM', { confidence: null }, trusting)).toBe('act');
+  });
+
+  test('rejects review thresholds above auto thresholds', () => {
+    expect(() => validateThresholds({ decisions: { SPAM: { review: 0.9, auto: 0.5 } } })).toThrow('SPAM');
+  });
+});
+
+describe('IssueAnalyzer confidence routing', () => {
+  const issue = { title: 'Buy cheap followers', body: 'visit example.com' };
+
+  test('routes uncertain spam verdicts to triage', async () => {
+    const analyzer = createAnalyzer([{ verdict: 'SPAM', confidence: 0.7, reason: 'Looks promotional' }]);
+
+    await expect(analyzer.analyzeIssue(issue, '', '', '')).resolves.toMatchObject({
+      decision: 'NEEDS_TRIAGE',
+      triageFor: 'SPAM',
+      verdict: { confidence: 0.7 }
+    });
+  });
+
+  test('routes leniently parsed verdicts without a confidence to triage', async () => {
+    const create = jest.fn().mockResolvedValueOnce({ choices: [{ message: { content: 'SPAM' } }] });
+    const analyzer = new IssueAnalyzer({ chat: { completions: { create } } }, 'model', createConfig());
+
+    await expect(analyzer.analyzeIssue(issue, '', '', '')).resolves.toMatchObject({
+      decision: 'NEEDS_TRIAGE',
+      triageFor: 'SPAM',
+      verdict: { verdict: 'SPAM', confidence: null }
+    });
+  });
+
+  test('continues the pipeline when spam confidence is below the review threshold', async () => {
+    const analyzer = createAnalyzer([{ verdict: 'SPAM', confidence: 0.2, reason: 'Unsure' }]);
+
+    await expect(analyzer.analyzeIssue(issue, '', '', '')).resolves.toMatchObject({ decision: 'KEEP' });
+  });
+
+  test('closes confident invalid pull request titles', async () => {
+    const analyzer = createAnalyzer([
+      { verdict: 'NOT_SPAM', confidence: 0.9, reason: 'Real change' },
+      { verdict: 'INVALID', confidence: 0.95, reason: 'Title is just "update"' }
+    ]);
+
+    await expect(analyzer.analyzePR({ title: 'update', body: '' }, '')).resolves.toMatchObject({
+      decision: 'INVALID_COMMIT',
+      step: 2
+    });
+  });
+});
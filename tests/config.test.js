@@ -1,5 +1,12 @@
 const baseConfig = require('../config.json');
-const { applyLocale, normalizeLanguage } = require('../src/utils/config');
+const {
+  applyLocale,
+  normalizeLanguage,
+  mergeConfig,
+  loadRepositoryConfig,
+  applyRepositoryConfig,
+  parseInputs
+} = require('../src/utils/config');
 
 function cloneConfig() {
   return JSON.parse(JSON.stringify(baseConfig));
@@ -10,6 +17,13 @@ describe('configuration', () => {
     expect(baseConfig.defaults.ai_api_type).toBe('chat-completions');
   });
 
+  test('keeps scheduled and write-heavy features opt-in', () => {
+    expect(baseConfig.sweep.enabled).toBe(false);
+    expect(baseConfig.feedback.enabled).toBe(false);
+    expect(baseConfig.appeals.enabled).toBe(false);
+    expect(baseConfig.needs_info_followup.enabled).toBe(false);
+  });
+
   test('defaults unknown languages to English', () => {
     expect(normalizeLanguage('fr')).toBe('en');
     expect(applyLocale(cloneConfig(), 'fr')).toBe('en');
@@ -31,3 +45,184 @@ describe('configuration', () => {
     expect(config.locale.answer_language).toBe('Simplified Chinese');
   });
 });
+
+describe('repository configuration', () => {
+  function fileResponse(content) {
+    return { data: { type: 'file', content: Buffer.from(content).toString('base64') } };
+  }
+
+  function notFound() {
+    return Object.assign(new Error('Not Found'), { status: 404 });
+  }
+
+  test('deep-merges objects and replaces arrays', () => {
+    const merged = mergeConfig(
+      { defaults: { labels: 'bug', language: 'en' }, triage: { maintainers: ['a'] } },
+      { defaults: { labels: 'bug,docs' }, triage: { maintainers: ['b'] } }
+    );
+
+    expect(merged).toEqual({ defaults: { labels: 'bug,docs', language: 'en' }, triage: { maintainers: ['b'] } });
+  });
+
+  test('loads the first existing YAML or JSON file', async () => {
+    const getContent = jest.fn()
+      .mockRejectedValueOnce(notFound())
+      .mockRejectedValueOnce(notFound())
+      .mockResolvedValueOnce(fileResponse('{"defaults": {"analysis_depth": "deep"}}'));
+    const octokit = { rest: { repos: { getContent } } };
+
+    await expect(loadRepositoryConfig(octokit, 'owner', 'repo', cloneConfig())).resolves.toEqual({
+      path: '.github/nomore-spam.json',
+      overrides: { defaults: { analysis_depth: 'deep' } }
+    });
+  });
+
+  test('parses YAML and returns null when no file exists', async () => {
+    const yamlOctokit = {
+      rest: { repos: { getContent: jest.fn().mockResolvedValue(fileResponse('defaults:\n  labels: bug,docs\n')) } }
+    };
+    const emptyOctokit = { rest: { repos: { getContent: jest.fn().mockRejectedValue(notFound()) } } };
+
+    await expect(loadRepositoryConfig(yamlOctokit, 'owner', 'repo', cloneConfig()))
+      .resolves.toMatchObject({ overrides: { defaults: { labels: 'bug,docs' } } });
+    await expect(loadRepositoryConfig(emptyOctokit, 'owner', 'repo', cloneConfig())).resolves.toBeNull();
+  });
+
+  test('rejects files that cannot be parsed', async () => {
+    const octokit = { rest: { repos: { getContent: jest.fn().mockResolvedValue(fileResponse('- just\n- a list\n')) } } };
+
+    await expect(loadRepositoryConfig(octokit, 'owner', 'repo', cloneConfig())).rejects.toThrow('nomore-spam.yml');
+  });
+
+  test('validates the merged configuration', () => {
+    const repositoryConfig = { path: '.github/nomore-spam.yml', overrides: { ai_settings: { temperature: 5 } } };
+
+    expect(() => applyRepositoryConfig(cloneConfig(), repositoryConfig)).toThrow('temperature');
+  });
+
+  test('keeps repository responses over the selected locale', () => {
+    const config = applyRepositoryConfig(cloneConfig(), {
+      path: '.github/nomore-spam.yml',
+      overrides: { responses: { issue_spam: 'Custom spam response' } }
+    });
+    applyLocale(config, 'zh-CN');
+
+    expect(config.responses.issue_spam).toBe('Custom spam response');
+    expect(config.responses.issue_basic).toContain('Issue');
+  });
+});
+
+describe('manual run inputs', () => {
+  afterEach(() => {
+    delete process.env.INPUT_ISSUE_NUMBER;
+    delete process.env.INPUT_PR_NUMBER;
+  });
+
+  test('parses the issue or pull request number', () => {
+    process.env.INPUT_ISSUE_NUMBER = '#42';
+
+    expect(parseInputs(cloneConfig())).toMatchObject({ issueNumber: 42, prNumber: null });
+  });
+
+  test('rejects invalid or conflicting numbers', () => {
+    process.env.INPUT_PR_NUMBER = 'abc';
+    expect(() => parseInputs(cloneConfig())).toThrow('Invalid pr-number');
+
+    process.env.INPUT_PR_NUMBER = '3';
+    process.env.INPUT_ISSUE_NUMBER = '4';
+    expect(() => parseInputs(cloneConfig())).toThrow('Only one of issue-number and pr-number');
+  });
+});
+
+describe('audit log input', () => {
+  afterEach(() => {
+    delete process.env.INPUT_AUDIT_LOG;
+  });
+
+  test('enables the audit log with the selected target', () => {
+    process.env.INPUT_AUDIT_LOG = 'Artifact';
+
+    expect(parseInputs(cloneConfig()).config.audit_log).toMatchObject({ enabled: true, target: 'artifact' });
+  });
+
+  test('turns the audit log off and rejects unknown targets', () => {
+    const config = cloneConfig();
+    config.audit_log.enabled = true;
+    process.env.INPUT_AUDIT_LOG = 'off';
+    expect(parseInputs(config).config.audit_log).toMatchObject({ enabled: false, target: 'branch' });
+
+    process.env.INPUT_AUDIT_LOG = 's3';
+    expect(() => parseInputs(cloneConfig())).toThrow('Unsupported audit log target: s3');
+  });
+});
+
+describe('notification inputs', () => {
+  afterEach(() => {
+    delete process.env.INPUT_NOTIFY_WEBHOOK_URL;
+    delete process.env.INPUT_NOTIFY_WEBHOOK_FORMAT;
+    delete process.env.INPUT_NOTIFY_WEBHOOK_SECRET;
+  });
+
+  test('adds webhook URLs with the selected format and signing secret', () => {
+    process.env.INPUT_NOTIFY_WEBHOOK_URL = 'https://hooks.slack.com/a,\nhttps://hooks.slack.com/b';
+    process.env.INPUT_NOTIFY_WEBHOOK_FORMAT = 'Slack';
+    process.env.INPUT_NOTIFY_WEBHOOK_SECRET = 'key';
+
+    expect(parseInputs(cloneConfig()).config.notifications).toMatchObject({
+      enabled: true,
+      dry_run: false,
+      webhooks: [
+        { url: 'https://hooks.slack.com/a', format: 'slack', secret: 'key' },
+        { url: 'https://hooks.slack.com/b', format: 'slack', secret: 'key' }
+      ]
+    });
+  });
+
+  test('rejects unknown formats', () => {
+    process.env.INPUT_NOTIFY_WEBHOOK_FORMAT = 'teams';
+
+    expect(() => parseInputs(cloneConfig())).toThrow('Unsupported notification format: teams');
+  });
+});
+
+describe('AI provider input', () => {
+  afterEach(() => {
+    delete process.env.INPUT_AI_PROVIDER;
+    delete process.env.INPUT_AI_API_KEY;
+  });
+
+  test('defaults to OpenAI-compatible APIs', () => {
+    expect(parseInputs(cloneConfig()).aiProvider).toBe('openai');
+  });
+
+  test('requires an API key for hosted native providers', () => {
+    process.env.INPUT_AI_PROVIDER = 'Gemini';
+    expect(() => parseInputs(cloneConfig())).toThrow('ai-api-key is required for the gemini provider');
+
+    process.env.INPUT_AI_API_KEY = 'key';
+    expect(parseInputs(cloneConfig()).aiProvider).toBe('gemini');
+
+    process.env.INPUT_AI_PROVIDER = 'cohere';
+    expect(() => parseInputs(cloneConfig())).toThrow('Unsupported AI provider: cohere');
+  });
+});
+
+describe('AI fallback models input', () => {
+  afterEach(() => {
+    delete process.env.INPUT_AI_FALLBACK_MODELS;
+  });
+
+  test('appends comma-separated models to the configured fallbacks', () => {
+    process.env.INPUT_AI_FALLBACK_MODELS = 'openai/gpt-4o-mini, , meta/llama-3.3-70b-instruct';
+    const config = cloneConfig();
+    config.ai_settings.fallbacks = [{ provider: 'ollama', model: 'llama3' }];
+
+    parseInputs(config);
+
+    expect(config.ai_settings.fallbacks).toEqual([
+      { provider: 'ollama', model: 'llama3' },
+      'openai/gpt-4o-mini',
+      'meta/llama-3.3-70b-instruct'
+    ]);
+  });
+});
@@ -0,0 +1,101 @@
+const baseConfig = require('../config.json');
+const { DryRunRecorder, createDryRunOctokit } = require('../src/services/dryRun');
+const { closeIssue } = require('../src/services/github');
+const { resetReport, createReportingOctokit, buildReport } = require('../src/services/runReport');
+const { startOutcome } = require('../src/services/outputs');
+
+function createOctokit() {
+  return {
+    rest: {
+      issues: {
+        get: jest.fn().mockResolvedValue({ data: { number: 1 } }),
+        createComment: jest.fn(),
+        update: jest.fn(),
+        lock: jest.fn()
+      },
+      pulls: {
+        listFiles: jest.fn().mockResolvedValue({ data: [] }),
+        update: jest.fn()
+      },
+      git: {
+        createBlob: jest.fn(),
+        updateRef: jest.fn()
+      },
+      repos: {
+        createOrUpdateFileContents: jest.fn()
+      }
+    },
+    graphql: jest.fn().mockResolvedValue({ repository: null })
+  };
+}
+
+describe('dry run', () => {
+  test('records write operations instead of executing them', async () => {
+    const octokit = createOctokit();
+    const recorder = new DryRunRecorder(baseConfig);
+    const dryRunOctokit = createDryRunOctokit(octokit, recorder);
+
+    const results = await closeIssue(dryRunOctokit, 'owner', 'repo', 7, 'closing', baseConfig, true);
+
+    expect(results.every(result => result.success)).toBe(true);
+    expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+    expect(octokit.rest.issues.update).not.toHaveBeenCalled();
+    expect(octokit.rest.issues.lock).not.toHaveBeenCalled();
+    expect(recorder.actions.map(action => action.method)).toEqual([
+      'issues.createComment',
+      'issues.update',
+      'issues.lock'
+    ]);
+    expect(recorder.actions[0]).toMatchObject({ number: 7, details: { body: expect.stringContaining('closing') } });
+    expect(recorder.actions[0].details).not.toHaveProperty('owner');
+  });
+
+  test('passes read operations through', async () => {
+    const octokit = createOctokit();
+    const recorder = new DryRunRecorder(baseConfig);
+    const dryRunOctokit = createDryRunOctokit(octokit, recorder);
+
+    await expect(dryRunOctokit.rest.issues.get({ issue_number: 1 })).resolves.toEqual({ data: { number: 1 } });
+    await dryRunOctokit.rest.pulls.listFiles({ pull_number: 2 });
+    await dryRunOctokit.graphql('query { viewer { login } }');
+
+    expect(octokit.rest.pulls.listFiles).toHaveBeenCalled();
+    expect(octokit.graphql).toHaveBeenCalled();
+    expect(recorder.actions).toEqual([]);
+  });
+
+  test('records GraphQL mutations', async () => {
+    const octokit = createOctokit();
+    const recorder = new DryRunRecorder(baseConfig);
+    const dryRunOctokit = createDryRunOctokit(octokit, recorder);
+
+    await dryRunOctokit.graphql('mutation($id: ID!) { minimizeComment(input: { subjectId: $id }) { clientMutationId } }', { id: 'abc' });
+
+    expect(octokit.graphql).not.toHaveBeenCalled();
+    expect(recorder.actions).toEqual([{ method: 'graphql.mutation', number: null, details: { id: 'abc' } }]);
+  });
+
+  test('neither performs nor lists audit-log and feedback writes', async () => {
+    resetReport();
+    const octokit = createOctokit();
+    const recorder = new DryRunRecorder(baseConfig);
+    const reportingOctokit = createReportingOctokit(createDryRunOctokit(octokit, recorder));
+    startOutcome({ number: 7, title: 'Spam' });
+
+    await reportingOctokit.rest.issues.createComment({ issue_number: 7, body: 'closing' });
+    await reportingOctokit.rest.git.createBlob({ content: '{}' });
+    await reportingOctokit.rest.git.updateRef({ ref: 'heads/nomore-spam-data', sha: 'abc' });
+    await reportingOctokit.rest.repos.createOrUpdateFileContents({ path: 'feedback.json', content: 'W10=' });
+
+    expect(octokit.rest.git.createBlob).not.toHaveBeenCalled();
+    expect(octokit.rest.git.updateRef).not.toHaveBeenCalled();
+    expect(octokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled();
+    expect(recorder.actions.map(action => action.method)).toEqual(['issues.createComment']);
+
+    const report = buildReport(baseConfig, 'issues.opened', true);
+    expect(report).toContain('> Dry run: write operations were recorded instead of performed.');
+    expect(report).toContain('| `issues.createComment` (#7) | Skipped (dry run) |');
+    expect(report).not.toContain('git.');
+    expect(report).not.toContain('createOrUpdateFileContents');
+  });
+});
@@ -0,0 +1,87 @@
+const baseConfig = require('../config.json');
+const DuplicateDetector = require('../src/services/duplicateDetector');
+const { textSimilarity, extractKeywords } = require('../src/utils/similarity');
+
+function createConfig() {
+  return JSON.parse(JSON.stringify(baseConfig));
+}
+
+describe('similarity', () => {
+  test('scores related texts higher than unrelated texts', () => {
+    const issue = 'Crash when uploading large PNG files';
+    expect(textSimilarity(issue, 'Uploading a large PNG file crashes the app'))
+      .toBeGreaterThan(textSimilarity(issue, 'Add dark mode to settings page'));
+  });
+
+  test('extracts keywords without stop words', () => {
+    expect(extractKeywords('How do I fix the login timeout?', 3)).toEqual(['fix', 'login', 'timeout']);
+  });
+
+  test('compares Chinese text with character bigrams', () => {
+    expect(textSimilarity('上传图片时崩溃', '上传大图片崩溃')).toBeGreaterThan(0.3);
+  });
+});
+
+describe('DuplicateDetector', () => {
+  const issue = { number: 10, title: 'Crash when uploading large PNG files', body: 'The app crashes.' };
+
+  function createOctokit(items) {
+    return {
+      rest: {
+        search: {
+          issuesAndPullRequests: jest.fn().mockResolvedValue({ data: { items } })
+        }
+      }
+    };
+  }
+
+  function duplicateOf(number) {
+    return JSON.stringify({ verdict: 'DUPLICATE', duplicate_of: number, confidence: 0.9, reason: 'Same crash' });
+  }
+
+  function createOpenAI(answer) {
+    return {
+      chat: {
+        completions: {
+          create: jest.fn().mockResolvedValue({ choices: [{ message: { content: answer } }] })
+        }
+      }
+    };
+  }
+
+  test('returns the candidate confirmed by the model', async () => {
+    const octokit = createOctokit([
+      { number: 10, title: issue.title, body: issue.body },
+      { number: 3, title: 'Uploading large PNG files crashes', body: 'Crash on upload', state: 'closed' },
+      { number: 4, title: 'PNG upload crash', body: '', pull_request: {} }
+    ]);
+    const openai = createOpenAI(duplicateOf(3));
+    const detector = new DuplicateDetector(octokit, openai, 'model', createConfig());
+
+    await expect(detector.detect('owner', 'repo', issue)).resolves.toMatchObject({
+      original: { number: 3 },
+      verdict: { verdict: 'DUPLICATE', confidence: 0.9 }
+    });
+
+    const input = JSON.parse(openai.chat.completions.create.mock.calls[0][0].messages[1].content);
+    expect(input.candidates.map(candidate => candidate.number)).toEqual([3]);
+  });
+
+  test('ignores numbers that were not offered as candidates', async () => {
+    const octokit = createOctokit([
+      { number: 3, title: 'Uploading large PNG files crashes', body: 'Crash on upload' }
+    ]);
+    const detector = new DuplicateDetector(octokit, createOpenAI(duplicateOf(99)), 'model', createConfig());
+
+    await expect(detector.detect('owner', 'repo', issue)).resolves.toBeNull();
+  });
+
+  test('skips the model when no candidate is similar enough', async () => {
+    const octokit = createOctokit([{ number: 5, title: 'Add dark mode', body: 'Theme request' }]);
+    const openai = createOpenAI(duplicateOf(5));
+    const detector = new DuplicateDetector(octokit, openai, 'model', createConfig());
+
+    await expect(detector.detect('owner', 'repo', issue)).resolves.toBeNull();
+    expect(openai.chat.completions.create).not.toHaveBeenCalled();
+  });
+});
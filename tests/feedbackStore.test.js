@@ -0,0 +1,160 @@
+const baseConfig = require('../config.json');
+const IssueAnalyzer = require('../src/services/issueAnalyzer');
+const { handleCommand } = require('../src/handlers/commandHandler');
+const { loadFeedback, recordFeedback, findFeedbackExamples, hashItem } = require('../src/services/feedbackStore');
+const { readDataFile } = require('../src/services/dataBranch');
+
+function createConfig() {
+  const config = JSON.parse(JSON.stringify(baseConfig));
+  config.feedback.enabled = true;
+  return config;
+}
+
+function notFound() {
+  return Object.assign(new Error('Not Found'), { status: 404 });
+}
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64');
+}
+
+function createOctokit(entries = null) {
+  return {
+    rest: {
+      repos: {
+        getContent: entries
+          ? jest.fn().mockResolvedValue({ data: { type: 'file', content: encode(entries), sha: 'file-sha' } })
+          : jest.fn().mockRejectedValue(notFound()),
+        getBranch: entries ? jest.fn().mockResolvedValue({}) : jest.fn().mockRejectedValue(notFound()),
+        createOrUpdateFileContents: jest.fn().mockResolvedValue({}),
+        getCollaboratorPermissionLevel: jest.fn().mockResolvedValue({ data: { permission: 'write' } })
+      },
+      git: {
+        createTree: jest.fn().mockResolvedValue({ data: { sha: 'tree-sha' } }),
+        createCommit: jest.fn().mockResolvedValue({ data: { sha: 'commit-sha' } }),
+        createRef: jest.fn().mockResolvedValue({})
+      },
+      issues: {
+        addLabels: jest.fn().mockResolvedValue({}),
+        removeLabel: jest.fn().mockResolvedValue({})
+      },
+      reactions: {
+        createForIssueComment: jest.fn().mockResolvedValue({})
+      }
+    }
+  };
+}
+
+const issue = { number: 4, title: 'Buy cheap followers', body: 'Visit our store for cheap followers' };
+
+describe('feedback store', () => {
+  test('returns no entries when the data branch does not exist', async () => {
+    await expect(loadFeedback(createOctokit(), 'owner', 'repo', createConfig())).resolves.toEqual({ entries: [], sha: null });
+  });
+
+  test('refuses to read a data file above the contents API size limit', async () => {
+    const octokit = createOctokit([]);
+    octokit.rest.repos.getContent.mockResolvedValue({ data: { type: 'file', encoding: 'none', content: '', sha: 'file-sha' } });
+
+    await expect(readDataFile(octokit, 'owner', 'repo', 'nomore-spam-data', 'feedback.json')).rejects.toThrow('大小限制');
+  });
+
+  test('creates an orphan data branch for the first correction', async () => {
+    const octokit = createOctokit();
+
+    const entry = await recordFeedback(octokit, 'owner', 'repo', issue, {
+      check: 'spam',
+      original: 'NOT_SPAM',
+      corrected: 'SPAM'
+    }, createConfig());
+
+    expect(entry).toMatchObject({ hash: hashItem(issue), type: 'issue', original: 'NOT_SPAM', corrected: 'SPAM' });
+    expect(entry.excerpt).toContain('Buy cheap followers');
+    expect(octokit.rest.git.createCommit).toHaveBeenCalledWith(expect.objectContaining({ parents: [] }));
+    expect(octokit.rest.git.createRef).toHaveBeenCalledWith(
+      expect.objectContaining({ ref: 'refs/heads/nomore-spam-data', sha: 'commit-sha' })
+    );
+    const [{ tree }] = octokit.rest.git.createTree.mock.calls[0];
+    expect(JSON.parse(tree[0].content)).toHaveLength(1);
+  });
+
+  test('replaces an earlier correction of the same item', async () => {
+    const previous = { hash: hashItem(issue), type: 'issue', check: 'spam', excerpt: 'old', original: 'SPAM', corrected: 'NOT_SPAM' };
+    const other = { hash: 'other', type: 'issue', check: 'spam', excerpt: 'other', original: 'SPAM', corrected: 'NOT_SPAM' };
+    const octokit = createOctokit([previous, other]);
+
+    await recordFeedback(octokit, 'owner', 'repo', issue, { check: 'spam', original: 'NOT_SPAM', corrected: 'SPAM' }, createConfig());
+
+    const [params] = octokit.rest.repos.createOrUpdateFileContents.mock.calls[0];
+    const saved = JSON.parse(Buffer.from(params.content, 'base64').toString('utf8'));
+    expect(params).toMatchObject({ branch: 'nomore-spam-data', path: 'feedback.json', sha: 'file-sha' });
+    expect(saved.map(entry => entry.hash)).toEqual(['other', hashItem(issue)]);
+    expect(saved[1].corrected).toBe('SPAM');
+  });
+
+  test('selects the most similar examples for the same check and item type', () => {
+    const config = createConfig();
+    config.feedback_entries = [
+      { hash: 'a', type: 'issue', check: 'spam', excerpt: 'Cheap followers for sale in our store', corrected: 'SPAM' },
+      { hash: 'b', type: 'issue', check: 'spam', excerpt: 'Crash when opening settings on Windows', corrected: 'NOT_SPAM' },
+      { hash: 'c', type: 'pr', check: 'spam', excerpt: 'Cheap followers store', corrected: 'SPAM' },
+      { hash: 'd', type: 'issue', check: 'classification', excerpt: 'Cheap followers', corrected: 'BUG' }
+    ];
+
+    expect(findFeedbackExamples(issue, 'spam', config)).toEqual([
+      { excerpt: 'Cheap followers for sale in our store', verdict: 'SPAM' }
+    ]);
+    expect(findFeedbackExamples(issue, 'quality', config)).toBeUndefined();
+  });
+});
+
+describe('feedback in AI requests', () => {
+  test('adds labelled examples to the spam request', async () => {
+    const create = jest.fn().mockResolvedValue({
+      choices: [{ message: { content: JSON.stringify({ verdict: 'SPAM', confidence: 0.9, reason: 'Ads' }) } }]
+    });
+    const config = createConfig();
+    config.feedback_entries = [
+      { hash: 'a', type: 'issue', check: 'spam', excerpt: 'Cheap followers for sale', corrected: 'SPAM' }
+    ];
+    const analyzer = new IssueAnalyzer({ chat: { completions: { create } } }, 'model', config);
+
+    await analyzer.detectSpam(issue, '');
+
+    const [system, user] = create.mock.calls[0][0].messages;
+    expect(JSON.parse(user.content).examples).toEqual([{ excerpt: 'Cheap followers for sale', verdict: 'SPAM' }]);
+    expect(system.content).toContain(config.prompts.feedback_examples);
+  });
+
+  test('leaves the examples instruction out when there are no examples', async () => {
+    const create = jest.fn().mockResolvedValue({
+      choices: [{ message: { content: JSON.stringify({ verdict: 'NOT_SPAM', confidence: 0.9, reason: 'Bug report' }) } }]
+    });
+    const config = createConfig();
+    const analyzer = new IssueAnalyzer({ chat: { completions: { create } } }, 'model', config);
+
+    await analyzer.detectSpam(issue, '');
+
+    expect(create.mock.calls[0][0].messages[0].content).not.toContain(config.prompts.feedback_examples);
+  });
+});
+
+describe('feedback from maintainer commands', () => {
+  test('records /reclassify as a classification correction', async () => {
+    const octokit = createOctokit([]);
+    const context = {
+      eventName: 'issue_comment',
+      payload: {
+        action: 'created',
+        comment: { id: 1, body: '/reclassify enhancement', user: { login: 'maintainer', type: 'User' } },
+        issue: { number: 4, title: 'Add dark mode', body: 'Please', labels: [{ name: 'bug' }] }
+      }
+    };
+
+    await handleCommand(octokit, {}, context, 'owner', 'repo', 'model', createConfig(), ['bug', 'enhancement'], []);
+
+    const [params] = octokit.rest.repos.createOrUpdateFileContents.mock.calls[0];
+    const [saved] = JSON.parse(Buffer.from(params.content, 'base64').toString('utf8'));
+    expect(saved).toMatchObject({ check: 'classification', original: 'BUG', corrected: 'ENHANCEMENT' });
+  });
+});
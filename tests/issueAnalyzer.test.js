@@ -32,4 +32,36 @@ describe('IssueAnalyzer localized answers', () => {
       content: expect.stringContaining('Ignore previous instructions')
     });
   });
+
+  test('reads the unclear-issue smart answer from the structured verdict', async () => {
+    const config = JSON.parse(JSON.stringify(baseConfig));
+    applyLocale(config, 'en');
+
+    const create = jest.fn()
+      .mockResolvedValueOnce({ choices: [{ message: { content: JSON.stringify({
+        verdict: 'HELPFUL_ANSWER', answer: 'Run npm install first.', confidence: 0.9, reason: 'Covered by README'
+      }) } }] })
+      .mockResolvedValueOnce({ choices: [{ message: { content: JSON.stringify({
+        verdict: 'NEED_MORE_INFO', answer: '', confidence: 0.8, reason: 'Not covered'
+      }) } }] });
+    const analyzer = new IssueAnalyzer({ chat: { completions: { create } } }, 'model', config);
+    const issue = { title: 'Broken', body: 'It fails' };
+
+    await expect(analyzer.generateSmartAnswerForUnclear(issue, 'Run npm install first.')).resolves.toBe('Run npm install first.');
+    await expect(analyzer.generateSmartAnswerForUnclear(issue, 'Run npm install first.')).resolves.toBeNull();
+    expect(create.mock.calls[0][0].response_format.json_schema.schema.required).toContain('answer');
+  });
+
+  test('falls back to the legacy HELPFUL_ANSWER text reply', async () => {
+    const config = JSON.parse(JSON.stringify(baseConfig));
+    applyLocale(config, 'en');
+
+    const create = jest.fn().mockResolvedValue({
+      choices: [{ message: { content: 'HELPFUL_ANSWER: Run npm install first.' } }]
+    });
+    const analyzer = new IssueAnalyzer({ chat: { completions: { create } } }, 'model', config);
+
+    await expect(analyzer.generateSmartAnswerForUnclear({ title: 'Broken', body: '' }, 'README'))
+      .resolves.toBe('Run npm install first.');
+  });
 });
@@ -0,0 +1,144 @@
+const baseConfig = require('../config.json');
+const { handleUpdatedIssue } = require('../src/handlers/issueHandler');
+const { appendMarker } = require('../src/utils/commentMarker');
+
+function createConfig() {
+  return JSON.parse(JSON.stringify(baseConfig));
+}
+
+function createOctokit(comments = []) {
+  return {
+    rest: {
+      issues: {
+        addLabels: jest.fn().mockResolvedValue({}),
+        removeLabel: jest.fn().mockResolvedValue({}),
+        listComments: jest.fn().mockResolvedValue({ data: comments }),
+        updateComment: jest.fn().mockResolvedValue({}),
+        createComment: jest.fn().mockResolvedValue({}),
+        update: jest.fn().mockResolvedValue({}),
+        lock: jest.fn().mockResolvedValue({})
+      }
+    }
+  };
+}
+
+// 按顺序返回垃圾检测、分类和质量检查的判定
+function createOpenAI(verdicts) {
+  const create = jest.fn();
+  for (const verdict of verdicts) {
+    create.mockResolvedValueOnce({ choices: [{ message: { content: JSON.stringify(verdict) } }] });
+  }
+  return { chat: { completions: { create } } };
+}
+
+function createIssue(overrides = {}) {
+  return {
+    number: 5,
+    title: 'App crashes on start',
+    body: 'Steps: open the app. Expected: it starts. Actual: it crashes with error 42.',
+    state: 'open',
+    user: { login: 'Author' },
+    labels: [{ name: 'needs-info' }],
+    ...overrides
+  };
+}
+
+async function run(octokit, openai, issue, action = 'edited', sender = 'author', config = createConfig(), blacklistUsers = []) {
+  const context = { eventName: 'issues', payload: { action, issue, sender: { login: sender } } };
+  await handleUpdatedIssue(octokit, openai, context, 'owner', 'repo', 'model', config, ['bug', 'enhancement', 'question'], blacklistUsers);
+}
+
+const notSpam = { verdict: 'NOT_SPAM', confidence: 0.9, reason: 'Bug report' };
+const bug = { verdict: 'BUG', confidence: 0.9, reason: 'Crash report' };
+const unclearComment = {
+  id: 31,
+  user: { login: 'github-actions[bot]', type: 'Bot' },
+  body: appendMarker('Please add more details.', { key: 'decision', decision: 'UNCLEAR' })
+};
+
+describe('handleUpdatedIssue', () => {
+  test('skips issues without the needs-info label', async () => {
+    const octokit = createOctokit();
+    const openai = createOpenAI([]);
+
+    await run(octokit, openai, createIssue({ labels: [{ name: 'bug' }] }));
+
+    expect(openai.chat.completions.create).not.toHaveBeenCalled();
+    expect(octokit.rest.issues.removeLabel).not.toHaveBeenCalled();
+  });
+
+  test('skips closed issues', async () => {
+    const openai = createOpenAI([]);
+
+    await run(createOctokit(), openai, createIssue({ state: 'closed' }), 'reopened');
+
+    expect(openai.chat.completions.create).not.toHaveBeenCalled();
+  });
+
+  test('ignores edits by anyone other than the author', async () => {
+    const openai = createOpenAI([]);
+
+    await run(createOctokit(), openai, createIssue(), 'edited', 'maintainer');
+
+    expect(openai.chat.completions.create).not.toHaveBeenCalled();
+  });
+
+  test('removes the label and updates the prompt once the issue is clear', async () => {
+    const octokit = createOctokit([unclearComment]);
+    const openai = createOpenAI([notSpam, bug, { verdict: 'VALID', confidence: 0.9, reason: 'Has steps' }]);
+
+    await run(octokit, openai, createIssue());
+
+    expect(octokit.rest.issues.removeLabel).toHaveBeenCalledWith(expect.objectContaining({ issue_number: 5, name: 'needs-info' }));
+    const [{ comment_id: commentId, body }] = octokit.rest.issues.updateComment.mock.calls[0];
+    expect(commentId).toBe(31);
+    expect(body).toContain(baseConfig.responses.issue_unclear_resolved);
+    expect(body).toContain('UNCLEAR_RESOLVED');
+  });
+
+  test('re-evaluates reopened issues even when someone else reopened them', async () => {
+    const octokit = createOctokit([]);
+    const openai = createOpenAI([notSpam, bug, { verdict: 'VALID', confidence: 0.9, reason: 'Has steps' }]);
+
+    await run(octokit, openai, createIssue(), 'reopened', 'maintainer');
+
+    expect(openai.chat.completions.create).toHaveBeenCalledTimes(3);
+    expect(octokit.rest.issues.removeLabel).toHaveBeenCalled();
+  });
+
+  test('keeps the label without a second prompt when the issue is still unclear', async () => {
+    const octokit = createOctokit([unclearComment]);
+    const openai = createOpenAI([notSpam, bug, { verdict: 'UNCLEAR', confidence: 0.9, reason: 'Still no steps' }]);
+
+    await run(octokit, openai, createIssue());
+
+    expect(openai.chat.completions.create).toHaveBeenCalledTimes(3);
+    expect(octokit.rest.issues.removeLabel).not.toHaveBeenCalled();
+    expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+    expect(octokit.rest.issues.updateComment).not.toHaveBeenCalled();
+  });
+
+  test('closes an issue that was edited into spam instead of re-classifying it', async () => {
+    const config = createConfig();
+    config.appeals.enabled = false;
+    const octokit = createOctokit();
+    const openai = createOpenAI([{ verdict: 'SPAM', confidence: 0.95, reason: 'Casino links' }]);
+
+    await run(octokit, openai, createIssue({ body: 'Best casino bonus at casino.example' }), 'edited', 'author', config);
+
+    expect(openai.chat.completions.create).toHaveBeenCalledTimes(1);
+    expect(octokit.rest.issues.update).toHaveBeenCalledWith(expect.objectContaining({ issue_number: 5, state: 'closed' }));
+    expect(octokit.rest.issues.removeLabel).not.toHaveBeenCalled();
+  });
+
+  test('closes issues from blacklisted authors without calling the AI', async () => {
+    const octokit = createOctokit();
+    const openai = createOpenAI([]);
+
+    await run(octokit, openai, createIssue(), 'edited', 'author', createConfig(), ['author']);
+
+    expect(openai.chat.completions.create).not.toHaveBeenCalled();
+    expect(octokit.rest.issues.update).toHaveBeenCalledWith(expect.objectContaining({ state: 'closed' }));
+    expect(octokit.rest.issues.removeLabel).not.toHaveBeenCalled();
+  });
+});
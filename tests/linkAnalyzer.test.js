@@ -0,0 +1,110 @@
+const baseConfig = require('../config.json');
+const IssueAnalyzer = require('../src/services/issueAnalyzer');
+const { analyzeLinks, extractAddedPatchText } = require('../src/services/linkAnalyzer');
+
+function createConfig() {
+  return JSON.parse(JSON.stringify(baseConfig));
+}
+
+describe('analyzeLinks', () => {
+  test('expands redirect wrappers and flags shorteners offline', () => {
+    const issue = {
+      title: 'Download',
+      body: 'Get it at https://www.google.com/url?q=https%3A%2F%2Fpromo.example%2Foffer or https://bit.ly/abc123.'
+    };
+
+    const report = analyzeLinks(issue, createConfig());
+
+    expect(report.total).toBe(2);
+    expect(report.links[0]).toMatchObject({
+      domain: 'promo.example',
+      target: 'https://promo.example/offer',
+      expandedFrom: ['https://www.google.com/url?q=https%3A%2F%2Fpromo.example%2Foffer']
+    });
+    expect(report.shortened).toEqual(['https://bit.ly/abc123']);
+    expect(report.unknownDomains).toEqual(['promo.example', 'bit.ly']);
+  });
+
+  test('expands short links listed in links.short_links', () => {
+    const config = createConfig();
+    config.links.short_links = { 'bit.ly/abc123': 'https://promo.example/offer' };
+    config.links.deny_domains = ['promo.example'];
+
+    const report = analyzeLinks({ title: 'Download', body: 'Get it at https://bit.ly/abc123/ or https://bit.ly/other.' }, config);
+
+    expect(report.links[0]).toMatchObject({
+      domain: 'promo.example',
+      status: 'denied',
+      shortener: false,
+      expandedFrom: ['https://bit.ly/abc123/']
+    });
+    expect(report.shortened).toEqual(['https://bit.ly/other']);
+    expect(report.denied).toEqual(['promo.example']);
+  });
+
+  test('decodes punycode domains and detects link text mismatches', () => {
+    const issue = {
+      title: 'Docs',
+      body: 'See [github.com/owner/repo](https://xn--gthub-zsa.com/owner/repo) and [the docs](https://docs.github.com)'
+    };
+
+    const report = analyzeLinks(issue, createConfig());
+
+    expect(report.idn).toEqual(['gíthub.com']);
+    expect(report.mismatched).toEqual([{ text: 'github.com/owner/repo', target: 'gíthub.com' }]);
+    expect(report.links[1]).toMatchObject({ domain: 'docs.github.com', status: 'allowed' });
+  });
+
+  test('marks deny-listed domains including expanded targets and subdomains', () => {
+    const config = createConfig();
+    config.links.deny_domains = ['casino.example'];
+    const issue = { title: 'Hi', body: 'https://l.facebook.com/l.php?u=https://win.casino.example/' };
+
+    expect(analyzeLinks(issue, config).denied).toEqual(['win.casino.example']);
+  });
+
+  test('scans added lines of pull request patches', () => {
+    const patchText = extractAddedPatchText([
+      { patch: '@@ -1 +1,2 @@\n-old https://removed.example\n+new https://added.example/page' }
+    ]);
+
+    const report = analyzeLinks({ title: 'Update docs', body: '' }, createConfig(), patchText);
+
+    expect(report.unknownDomains).toEqual(['added.example']);
+  });
+
+  test('returns null when disabled', () => {
+    const config = createConfig();
+    config.links.enabled = false;
+
+    expect(analyzeLinks({ title: 'https://a.example', body: '' }, config)).toBeNull();
+  });
+});
+
+describe('spam detection with links', () => {
+  function createAnalyzer(create) {
+    return new IssueAnalyzer({ chat: { completions: { create } } }, 'model', createConfig());
+  }
+
+  test('short-circuits deny-listed domains to SPAM without calling the model', async () => {
+    const create = jest.fn();
+    const linkReport = { total: 1, links: [], denied: ['casino.example'], shortened: [], mismatched: [], idn: [], unknownDomains: [] };
+
+    const result = await createAnalyzer(create).analyzeIssue({ title: 'Hi', body: '' }, '', '', '', { linkReport });
+
+    expect(result).toMatchObject({ decision: 'SPAM', step: 1, verdict: { check: 'link_analysis', confidence: 1 } });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('passes the link report to the pull request spam prompt', async () => {
+    const create = jest.fn().mockResolvedValue({
+      choices: [{ message: { content: JSON.stringify({ verdict: 'NOT_SPAM', confidence: 0.9, reason: 'Fine' }) } }]
+    });
+    const linkReport = { total: 1, links: [], denied: [], shortened: ['https://bit.ly/x'], mismatched: [], idn: [], unknownDomains: ['bit.ly'] };
+
+    await createAnalyzer(create).detectPRSpam({ title: 'Docs', body: '' }, '', { linkReport });
+
+    const input = JSON.parse(create.mock.calls[0][0].messages[1].content);
+    expect(input.linkReport.shortened).toEqual(['https://bit.ly/x']);
+  });
+});
@@ -0,0 +1,59 @@
+jest.mock('../src/handlers/issueHandler', () => ({ handleNewIssue: jest.fn() }));
+jest.mock('../src/handlers/prHandler', () => ({ handleNewPR: jest.fn() }));
+
+const baseConfig = require('../config.json');
+const { handleNewIssue } = require('../src/handlers/issueHandler');
+const { handleNewPR } = require('../src/handlers/prHandler');
+const { handleManualRun } = require('../src/handlers/manualHandler');
+
+function createOctokit(issue) {
+  return {
+    rest: {
+      issues: { get: jest.fn().mockResolvedValue({ data: issue }) },
+      pulls: { get: jest.fn(async ({ pull_number: number }) => ({ data: { number, title: 'PR', head: { sha: 'abc' } } })) }
+    }
+  };
+}
+
+async function run(octokit, target) {
+  const context = { eventName: 'workflow_dispatch', payload: { inputs: {} } };
+  await handleManualRun(octokit, {}, context, 'owner', 'repo', 'model', baseConfig, ['bug'], ['spammer'], target);
+}
+
+describe('handleManualRun', () => {
+  beforeEach(() => {
+    handleNewIssue.mockReset();
+    handleNewPR.mockReset();
+  });
+
+  test('processes an issue with the payload shape of an opened event', async () => {
+    const issue = { number: 12, title: 'Crash', body: 'Steps', user: { login: 'author' } };
+
+    await run(createOctokit(issue), { issueNumber: 12, prNumber: null });
+
+    const [, , context, , , , , labelsList, blacklistUsers, options] = handleNewIssue.mock.calls[0];
+    expect(context).toMatchObject({ eventName: 'issues', payload: { action: 'opened', issue } });
+    expect(labelsList).toEqual(['bug']);
+    expect(blacklistUsers).toEqual(['spammer']);
+    expect(options).toEqual({ force: true });
+  });
+
+  test('fetches pull requests through the pulls API', async () => {
+    const octokit = createOctokit(null);
+
+    await run(octokit, { issueNumber: null, prNumber: 7 });
+
+    expect(octokit.rest.issues.get).not.toHaveBeenCalled();
+    expect(handleNewPR.mock.calls[0][2]).toMatchObject({
+      eventName: 'pull_request_target',
+      payload: { action: 'opened', pull_request: { number: 7, head: { sha: 'abc' } } }
+    });
+  });
+
+  test('routes an issue number that belongs to a pull request to the pull request handler', async () => {
+    await run(createOctokit({ number: 8, pull_request: {} }), { issueNumber: 8, prNumber: null });
+
+    expect(handleNewIssue).not.toHaveBeenCalled();
+    expect(handleNewPR).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,155 @@
+const baseConfig = require('../config.json');
+const { appendMarker } = require('../src/utils/commentMarker');
+const { handleAuthorReply, followUpNeedsInfo } = require('../src/services/needsInfoService');
+
+function createConfig() {
+  const config = JSON.parse(JSON.stringify(baseConfig));
+  config.needs_info_followup.enabled = true;
+  return config;
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// 机器人在指定天数前发出的补充信息提示
+function requestComment(days) {
+  const body = appendMarker('Please add details', { key: 'decision', decision: 'UNCLEAR' })
+    .replace(/"at":"[^"]+"/, `"at":"${daysAgo(days)}"`);
+  return { id: 1, body, user: { login: 'bot', type: 'Bot' }, created_at: daysAgo(days) };
+}
+
+function createOctokit(issues, comments) {
+  return {
+    paginate: jest.fn().mockResolvedValue(issues),
+    rest: {
+      issues: {
+        listForRepo: jest.fn(),
+        listComments: jest.fn().mockResolvedValue({ data: comments }),
+        createComment: jest.fn().mockResolvedValue({}),
+        updateComment: jest.fn().mockResolvedValue({}),
+        update: jest.fn().mockResolvedValue({}),
+        removeLabel: jest.fn().mockResolvedValue({})
+      }
+    }
+  };
+}
+
+const issue = { number: 5, state: 'open', user: { login: 'author' }, labels: [{ name: 'needs-info' }] };
+
+describe('followUpNeedsInfo', () => {
+  test('reminds the author once the reminder period has passed', async () => {
+    const octokit = createOctokit([issue], [requestComment(8)]);
+
+    const stats = await followUpNeedsInfo(octokit, 'owner', 'repo', createConfig());
+
+    expect(stats).toEqual({ reminded: 1, closed: 0, resolved: 0 });
+    expect(octokit.rest.issues.createComment.mock.calls[0][0].body).toContain('within 7 days');
+    expect(octokit.rest.issues.update).not.toHaveBeenCalled();
+  });
+
+  test('does not remind twice', async () => {
+    const reminder = {
+      id: 2,
+      body: appendMarker('Reminder', { key: 'needs_info_followup' }),
+      user: { login: 'bot', type: 'Bot' },
+      created_at: daysAgo(1)
+    };
+    const octokit = createOctokit([issue], [requestComment(9), reminder]);
+
+    const stats = await followUpNeedsInfo(octokit, 'owner', 'repo', createConfig());
+
+    expect(stats.reminded).toBe(0);
+    expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+  });
+
+  test('closes the issue as not planned after the grace period', async () => {
+    const octokit = createOctokit([issue], [requestComment(15)]);
+
+    const stats = await followUpNeedsInfo(octokit, 'owner', 'repo', createConfig());
+
+    expect(stats.closed).toBe(1);
+    expect(octokit.rest.issues.update).toHaveBeenCalledWith(
+      expect.objectContaining({ issue_number: 5, state: 'closed', state_reason: 'not_planned' })
+    );
+    expect(octokit.rest.issues.createComment.mock.calls[0][0].body).toContain('within 14 days');
+  });
+
+  test('removes the label when the author has replied since the request', async () => {
+    const reply = { id: 3, body: 'Here are the logs', user: { login: 'Author', type: 'User' }, created_at: daysAgo(10) };
+    const octokit = createOctokit([issue], [requestComment(20), reply]);
+
+    const stats = await followUpNeedsInfo(octokit, 'owner', 'repo', createConfig());
+
+    expect(stats.resolved).toBe(1);
+    expect(octokit.rest.issues.removeLabel).toHaveBeenCalledWith(expect.objectContaining({ name: 'needs-info' }));
+    expect(octokit.rest.issues.update).not.toHaveBeenCalled();
+  });
+
+  test('removes the label when the author has edited the issue since the request', async () => {
+    const edited = { ...issue, updated_at: daysAgo(3) };
+    const octokit = createOctokit([edited], [requestComment(20)]);
+    octokit.graphql = jest.fn().mockResolvedValue({
+      repository: {
+        issue: {
+          userContentEdits: { nodes: [{ editedAt: daysAgo(3), editor: { login: 'Author' } }] },
+          timelineItems: { nodes: [] }
+        }
+      }
+    });
+
+    const stats = await followUpNeedsInfo(octokit, 'owner', 'repo', createConfig());
+
+    expect(stats.resolved).toBe(1);
+    expect(octokit.graphql.mock.calls[0][1]).toEqual({ owner: 'owner', repo: 'repo', number: 5 });
+    expect(octokit.rest.issues.removeLabel).toHaveBeenCalledWith(expect.objectContaining({ name: 'needs-info' }));
+    expect(octokit.rest.issues.update).not.toHaveBeenCalled();
+  });
+
+  test('counts title changes by the author but not edits by others', async () => {
+    const edited = { ...issue, updated_at: daysAgo(1) };
+    const graphql = jest.fn().mockResolvedValue({
+      repository: {
+        issue: {
+          userContentEdits: { nodes: [{ editedAt: daysAgo(1), editor: { login: 'maintainer' } }] },
+          timelineItems: { nodes: [{ createdAt: daysAgo(30), actor: { login: 'author' } }] }
+        }
+      }
+    });
+    const octokit = Object.assign(createOctokit([edited], [requestComment(8)]), { graphql });
+
+    await expect(followUpNeedsInfo(octokit, 'owner', 'repo', createConfig())).resolves.toMatchObject({ reminded: 1, resolved: 0 });
+
+    graphql.mockResolvedValue({
+      repository: { issue: { userContentEdits: { nodes: [] }, timelineItems: { nodes: [{ createdAt: daysAgo(1), actor: { login: 'author' } }] } } }
+    });
+    await expect(followUpNeedsInfo(octokit, 'owner', 'repo', createConfig())).resolves.toMatchObject({ resolved: 1 });
+  });
+
+  test('does not look up edits when the issue has not changed since the request', async () => {
+    const octokit = Object.assign(createOctokit([{ ...issue, updated_at: daysAgo(9) }], [requestComment(8)]), { graphql: jest.fn() });
+
+    await followUpNeedsInfo(octokit, 'owner', 'repo', createConfig());
+
+    expect(octokit.graphql).not.toHaveBeenCalled();
+  });
+
+  test('leaves issues labelled by maintainers alone', async () => {
+    const octokit = createOctokit([issue], []);
+
+    const stats = await followUpNeedsInfo(octokit, 'owner', 'repo', createConfig());
+
+    expect(stats).toEqual({ reminded: 0, closed: 0, resolved: 0 });
+  });
+});
+
+describe('handleAuthorReply', () => {
+  test('removes the label only for replies from the issue author', async () => {
+    const octokit = createOctokit([], []);
+    const config = createConfig();
+
+    expect(await handleAuthorReply(octokit, 'owner', 'repo', issue, { user: { login: 'someone' } }, config)).toBe(false);
+    expect(await handleAuthorReply(octokit, 'owner', 'repo', issue, { user: { login: 'author' } }, config)).toBe(true);
+    expect(octokit.rest.issues.removeLabel).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const http = require('http');
+const baseConfig = require('../config.json');
+const zhCN = require('../locales/zh-CN.json');
+const { startOutcome, recordVerdict } = require('../src/services/outputs');
+const { handleSpamIssue } = require('../src/handlers/issueProcessor');
+const { handleNewComment } = require('../src/handlers/commentHandler');
+const { handleCommand } = require('../src/handlers/commandHandler');
+const {
+  SIGNATURE_HEADER,
+  DELIVERY_HEADER,
+  shouldNotify,
+  buildNotification,
+  formatPayload,
+  notifyDecision,
+  validateWebhooks
+} = require('../src/services/notifier');
+
+// 本地HTTP服务，按顺序返回预设的状态码并记录收到的请求
+function startServer(statuses = [200]) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ url: `http://127.0.0.1:${server.address().port}`, requests, close: () => new Promise(done => server.close(done)) });
+    });
+  });
+}
+
+function createConfig(webhooks, settings = {}) {
+  const config = JSON.parse(JSON.stringify(baseConfig));
+  config.notifications = { ...config.notifications, enabled: true, webhooks, retry_delay_seconds: 0, ...settings };
+  return config;
+}
+
+function createOctokit() {
+  return {
+    graphql: jest.fn().mockResolvedValue({}),
+    rest: {
+      repos: {
+        getCollaboratorPermissionLevel: jest.fn().mockResolvedValue({ data: { permission: 'write' } })
+      },
+      issues: {
+        listComments: jest.fn().mockResolvedValue({ data: [] }),
+        createComment: jest.fn().mockResolvedValue({}),
+        update: jest.fn().mockResolvedValue({}),
+        lock: jest.fn().mockResolvedValue({})
+      },
+      reactions: {
+        createForIssueComment: jest.fn().mockResolvedValue({})
+      }
+    }
+  };
+}
+
+const issue = {
+  number: 7,
+  title: 'Buy <cheap> followers @everyone',
+  html_url: 'https://github.com/owner/repo/issues/7',
+  user: { login: 'spammer' }
+};
+
+describe('notifier', () => {
+  let server;
+
+  afterEach(async () => {
+    await server?.close();
+    server = null;
+  });
+
+  test('notifies configured decisions only', () => {
+    const config = createConfig([{ url: 'https://example.com/hook' }]);
+
+    expect(shouldNotify(config, 'SPAM')).toBe(true);
+    expect(shouldNotify(config, 'MALICIOUS')).toBe(true);
+    expect(shouldNotify(config, 'BASIC')).toBe(false);
+    expect(shouldNotify(createConfig([]), 'SPAM')).toBe(false);
+  });
+
+  test('sends a signed JSON payload from the issue close path', async () => {
+    server = await startServer();
+    const config = createConfig([{ url: `${server.url}/hook`, secret: 's3cret' }]);
+    config.appeals.enabled = false;
+    startOutcome(issue);
+    recordVerdict('SPAM', { check: 'spam_detection', confidence: 0.93 });
+
+    await handleSpamIssue(createOctokit(), 'owner', 'repo', issue, config);
+
+    expect(server.requests).toHaveLength(1);
+    const [request] = server.requests;
+    const expected = `sha256=${crypto.createHmac('sha256', 's3cret').update(request.body).digest('hex')}`;
+    expect(request.headers[SIGNATURE_HEADER.toLowerCase()]).toBe(expected);
+    expect(request.headers['content-type']).toBe('application/json');
+    expect(JSON.parse(request.body)).toMatchObject({
+      event: 'decision',
+      repository: 'owner/repo',
+      type: 'issue',
+      number: 7,
+      author: 'spammer',
+      decision: 'SPAM',
+      step: 'spam_detection',
+      confidence: 0.93,
+      closed: true,
+      locked: true,
+      text: 'NoMore Spam closed Issue #7 as SPAM'
+    });
+  });
+
+  test('notifies when a maintainer closes an item with /spam', async () => {
+    server = await startServer();
+    const config = createConfig([{ url: server.url }]);
+    config.feedback.enabled = false;
+    const context = {
+      eventName: 'issue_comment',
+      payload: {
+        action: 'created',
+        comment: { id: 11, body: '/spam', user: { login: 'maintainer', type: 'User' } },
+        issue
+      }
+    };
+
+    await handleCommand(createOctokit(), {}, context, 'owner', 'repo', 'model', config, [], []);
+
+    expect(JSON.parse(server.requests[0].body)).toMatchObject({
+      type: 'issue',
+      number: 7,
+      decision: 'SPAM',
+      step: 'command',
+      closed: true,
+      locked: true
+    });
+  });
+
+  test('notifies when a comment is hidden', async () => {
+    server = await startServer();
+    const config = createConfig([{ url: server.url }], { decisions: ['BLACKLISTED'] });
+    const comment = {
+      id: 21,
+      node_id: 'IC_kwDOcomment',
+      body: 'Follow me',
+      html_url: 'https://github.com/owner/repo/issues/7#issuecomment-21',
+      author_association: 'NONE',
+      user: { login: 'Spammer', type: 'User' }
+    };
+    const context = { eventName: 'issue_comment', payload: { action: 'created', comment, issue } };
+
+    await handleNewComment(createOctokit(), {}, context, 'owner', 'repo', 'model', config, ['spammer']);
+
+    expect(JSON.parse(server.requests[0].body)).toMatchObject({
+      type: 'comment',
+      number: 7,
+      url: comment.html_url,
+      author: 'Spammer',
+      decision: 'BLACKLISTED',
+      closed: false,
+      minimized: true,
+      text: 'NoMore Spam hid a comment on #7 as BLACKLISTED'
+    });
+  });
+
+  test('retries server errors with the same delivery id', async () => {
+    server = await startServer([500, 503, 200]);
+    const config = createConfig([{ url: server.url }]);
+
+    const [delivery] = await notifyDecision('owner', 'repo', issue, 'pr', 'MALICIOUS', { closed: true }, config);
+
+    expect(delivery).toMatchObject({ success: true, attempts: 3, status: 200 });
+    const ids = server.requests.map(request => request.headers[DELIVERY_HEADER.toLowerCase()]);
+    expect(new Set(ids).size).toBe(1);
+    expect(server.requests[0].headers[SIGNATURE_HEADER.toLowerCase()]).toBeUndefined();
+  });
+
+  test('does not retry client errors and never throws', async () => {
+    server = await startServer([400]);
+    const config = createConfig([{ url: server.url }, { url: 'http://127.0.0.1:1/unreachable' }], { retries: 1 });
+
+    const deliveries = await notifyDecision('owner', 'repo', issue, 'issue', 'SPAM', { closed: true }, config);
+
+    expect(deliveries[0]).toMatchObject({ success: false, attempts: 1, status: 400, error: 'HTTP 400' });
+    expect(deliveries[1]).toMatchObject({ success: false, attempts: 2 });
+    expect(server.requests).toHaveLength(1);
+  });
+
+  test('skips sending in dry-run mode', async () => {
+    server = await startServer();
+    const config = createConfig([{ url: server.url }], { dry_run: true });
+
+    await expect(notifyDecision('owner', 'repo', issue, 'issue', 'SPAM', { closed: true }, config)).resolves.toEqual([]);
+    expect(server.requests).toHaveLength(0);
+  });
+
+  test('formats Slack and Discord compatible payloads', () => {
+    const config = createConfig([]);
+    config.notification_text = { ...config.notification_text, ...zhCN.notification_text };
+    startOutcome(issue);
+    const notification = buildNotification('owner', 'repo', issue, 'pr', 'MALICIOUS', { closed: true }, config);
+
+    const slack = formatPayload(notification, 'slack', config);
+    expect(slack.text).toContain('*NoMore Spam 已将 Pull Request #7 作为 MALICIOUS 关闭*');
+    expect(slack.text).toContain('<https://github.com/owner/repo/issues/7|Buy &lt;cheap&gt; followers @everyone>');
+    expect(slack.text).toContain('作者: @spammer');
+
+    const discord = formatPayload(notification, 'discord', config);
+    expect(discord.allowed_mentions).toEqual({ parse: [] });
+    expect(discord.embeds[0]).toMatchObject({
+      title: 'NoMore Spam 已将 Pull Request #7 作为 MALICIOUS 关闭',
+      url: 'https://github.com/owner/repo/issues/7',
+      description: 'Buy <cheap> followers @everyone'
+    });
+  });
+
+  test('rejects invalid webhook configuration', () => {
+    expect(() => validateWebhooks([{ url: 'ftp://example.com' }])).toThrow('http(s) url');
+    expect(() => validateWebhooks([{ url: 'https://example.com', format: 'teams' }])).toThrow('不支持的通知格式: teams');
+  });
+});
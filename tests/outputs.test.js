@@ -0,0 +1,83 @@
+const core = require('@actions/core');
+const baseConfig = require('../config.json');
+const { startOutcome, recordOutcome, recordVerdict, getOutcome, writeOutputs } = require('../src/services/outputs');
+const { executePolicy } = require('../src/services/policyService');
+const { handleNewIssue } = require('../src/handlers/issueHandler');
+
+function createConfig() {
+  const config = JSON.parse(JSON.stringify(baseConfig));
+  config.appeals.enabled = false;
+  return config;
+}
+
+function createOctokit() {
+  return {
+    rest: {
+      issues: {
+        listComments: jest.fn().mockResolvedValue({ data: [] }),
+        createComment: jest.fn().mockResolvedValue({}),
+        update: jest.fn().mockResolvedValue({}),
+        lock: jest.fn().mockResolvedValue({})
+      }
+    }
+  };
+}
+
+function writtenOutputs() {
+  const setOutput = jest.spyOn(core, 'setOutput').mockImplementation(() => {});
+  writeOutputs();
+  const outputs = Object.fromEntries(setOutput.mock.calls);
+  setOutput.mockRestore();
+  return outputs;
+}
+
+describe('action outputs', () => {
+  test('writes the recorded outcome as strings', () => {
+    startOutcome({ number: 12 });
+    recordVerdict('KEEP', { check: 'content_quality_check', confidence: 0.85 });
+    recordOutcome({ classification: 'bug' });
+
+    expect(writtenOutputs()).toEqual({
+      decision: 'KEEP',
+      step: 'content_quality_check',
+      classification: 'bug',
+      confidence: '0.85',
+      closed: 'false',
+      locked: 'false',
+      'item-number': '12'
+    });
+  });
+
+  test('starting a new item clears the previous outcome', () => {
+    startOutcome({ number: 1 });
+    recordOutcome({ decision: 'SPAM', closed: true, classification: 'bug' });
+    startOutcome({ number: 2 });
+
+    expect(getOutcome()).toEqual({
+      decision: null,
+      step: null,
+      classification: null,
+      confidence: null,
+      closed: false,
+      locked: false,
+      itemNumber: 2
+    });
+  });
+
+  test('records the decision and closed/locked state of executed policies', async () => {
+    startOutcome({ number: 7 });
+
+    await executePolicy(createOctokit(), 'owner', 'repo', { number: 7 }, 'issue', 'SPAM', createConfig());
+
+    expect(getOutcome()).toMatchObject({ decision: 'SPAM', closed: true, locked: true });
+  });
+
+  test('records the step for blacklisted authors', async () => {
+    const issue = { number: 9, title: 'Buy', body: '', user: { login: 'spammer' }, labels: [] };
+    const context = { eventName: 'issues', payload: { action: 'opened', issue } };
+
+    await handleNewIssue(createOctokit(), {}, context, 'owner', 'repo', 'model', createConfig(), ['bug'], ['spammer']);
+
+    expect(writtenOutputs()).toMatchObject({ decision: 'BLACKLISTED', step: 'blacklist', closed: 'true', 'item-number': '9' });
+  });
+});
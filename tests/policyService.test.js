@@ -0,0 +1,123 @@
+const baseConfig = require('../config.json');
+const { executePolicy, validatePolicies, getModerationLabels } = require('../src/services/policyService');
+
+function createConfig() {
+  return JSON.parse(JSON.stringify(baseConfig));
+}
+
+function createOctokit() {
+  return {
+    rest: {
+      issues: {
+        createComment: jest.fn().mockResolvedValue({}),
+        addLabels: jest.fn().mockResolvedValue({}),
+        addAssignees: jest.fn().mockResolvedValue({}),
+        update: jest.fn().mockResolvedValue({}),
+        lock: jest.fn().mockResolvedValue({})
+      },
+      pulls: {
+        update: jest.fn().mockResolvedValue({})
+      }
+    }
+  };
+}
+
+describe('executePolicy', () => {
+  const issue = { number: 7 };
+
+  test('runs the spam policy in order', async () => {
+    const octokit = createOctokit();
+    const config = createConfig();
+    config.appeals.enabled = false;
+
+    const result = await executePolicy(octokit, 'owner', 'repo', issue, 'issue', 'SPAM', config);
+
+    expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(
+      expect.objectContaining({ issue_number: 7, body: expect.stringContaining(config.responses.issue_spam) })
+    );
+    expect(octokit.rest.issues.update).toHaveBeenCalledWith(
+      expect.objectContaining({ state: 'closed', state_reason: 'not_planned' })
+    );
+    expect(octokit.rest.issues.lock).toHaveBeenCalledWith(expect.objectContaining({ lock_reason: 'spam' }));
+    expect(result).toMatchObject({ decision: 'SPAM', closed: true, locked: true });
+  });
+
+  test('defers the lock and explains how to appeal when appeals are enabled', async () => {
+    const octokit = createOctokit();
+    const config = createConfig();
+    config.appeals.enabled = true;
+
+    const result = await executePolicy(octokit, 'owner', 'repo', issue, 'issue', 'SPAM', config);
+
+    expect(octokit.rest.issues.createComment.mock.calls[0][0].body).toContain('`/appeal <reason>` within 7 days');
+    expect(octokit.rest.issues.addLabels).toHaveBeenCalledWith(expect.objectContaining({ labels: ['appeal-window'] }));
+    expect(octokit.rest.issues.lock).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ closed: true, locked: false, lockDeferred: true });
+  });
+
+  test('uses a custom policy with labels and assignees instead of closing', async () => {
+    const octokit = createOctokit();
+    const config = createConfig();
+    config.triage.maintainers = ['alice'];
+    config.policies.issue.SPAM = [
+      { action: 'label', labels: ['suspected-spam'] },
+      { action: 'assign' },
+      { action: 'mention', users: ['@bob'] }
+    ];
+
+    const result = await executePolicy(octokit, 'owner', 'repo', issue, 'issue', 'SPAM', config);
+
+    expect(octokit.rest.issues.addLabels).toHaveBeenCalledWith(expect.objectContaining({ labels: ['suspected-spam'] }));
+    expect(octokit.rest.issues.addAssignees).toHaveBeenCalledWith(expect.objectContaining({ assignees: ['alice'] }));
+    expect(octokit.rest.issues.createComment.mock.calls[0][0].body).toContain('@bob');
+    expect(octokit.rest.issues.update).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ closed: false, locked: false });
+  });
+
+  test('skips mentions when no users are configured and closes pull requests', async () => {
+    const octokit = createOctokit();
+    const config = createConfig();
+    config.policies.pr.SPAM = [{ action: 'mention' }, { action: 'close' }];
+
+    const result = await executePolicy(octokit, 'owner', 'repo', issue, 'pr', 'SPAM', config);
+
+    expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+    expect(octokit.rest.pulls.update).toHaveBeenCalledWith(expect.objectContaining({ pull_number: 7, state: 'closed' }));
+    expect(result.actions).toEqual([{ action: 'close', success: true }]);
+  });
+
+  test('overrides responses for a single run', async () => {
+    const octokit = createOctokit();
+
+    await executePolicy(octokit, 'owner', 'repo', issue, 'issue', 'UNCLEAR', createConfig(), {
+      responses: { issue_unclear: 'Custom answer' }
+    });
+
+    expect(octokit.rest.issues.createComment.mock.calls[0][0].body).toMatch(/^Custom answer\n\n<!-- nomore-spam:marker /);
+    expect(octokit.rest.issues.addLabels).toHaveBeenCalledWith(expect.objectContaining({ labels: ['needs-info'] }));
+  });
+
+  test('labels unclear issues with the configured needs-info label', async () => {
+    const octokit = createOctokit();
+    const config = createConfig();
+    config.defaults.needs_info_label = 'awaiting-details';
+
+    await executePolicy(octokit, 'owner', 'repo', issue, 'issue', 'UNCLEAR', config);
+
+    expect(octokit.rest.issues.addLabels).toHaveBeenCalledWith(expect.objectContaining({ labels: ['awaiting-details'] }));
+    expect(getModerationLabels(config).has('awaiting-details')).toBe(true);
+    expect(getModerationLabels(config).has('{needs_info_label}')).toBe(false);
+  });
+});
+
+describe('validatePolicies', () => {
+  test('accepts the default policies', () => {
+    expect(() => validatePolicies(createConfig().policies)).not.toThrow();
+  });
+
+  test('rejects unknown actions and invalid reasons', () => {
+    expect(() => validatePolicies({ issue: { SPAM: [{ action: 'delete' }] } })).toThrow('delete');
+    expect(() => validatePolicies({ issue: { SPAM: [{ action: 'lock', lock_reason: 'angry' }] } })).toThrow('angry');
+    expect(() => validatePolicies({ issue: { SPAM: { action: 'close' } } })).toThrow();
+  });
+});
@@ -0,0 +1,163 @@
+const core = require('@actions/core');
+const baseConfig = require('../config.json');
+const IssueAnalyzer = require('../src/services/issueAnalyzer');
+const {
+  collectReputation,
+  scoreReputation,
+  adjustSpamConfidence,
+  resetReputationCache
+} = require('../src/services/reputationService');
+
+function createConfig() {
+  return JSON.parse(JSON.stringify(baseConfig));
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function createOctokit(user, items = []) {
+  const issuesAndPullRequests = jest.fn().mockResolvedValue({ data: { total_count: items.length, items } });
+  return {
+    rest: {
+      users: { getByUsername: jest.fn().mockResolvedValue({ data: user }) },
+      search: { issuesAndPullRequests }
+    }
+  };
+}
+
+describe('collectReputation', () => {
+  const issue = { number: 5, user: { login: 'newbie' }, author_association: 'NONE', created_at: '2026-01-01T00:00:00Z' };
+
+  beforeEach(() => {
+    resetReputationCache();
+  });
+
+  test('scores a brand-new account without activity as high risk', async () => {
+    const octokit = createOctokit({ created_at: daysAgo(2), public_repos: 0, followers: 0 }, [
+      { number: 5, created_at: '2026-01-01T00:00:00Z' }
+    ]);
+
+    const reputation = await collectReputation(octokit, 'owner', 'repo', issue, createConfig());
+
+    expect(reputation).toMatchObject({
+      accountAgeDays: 2,
+      priorIssues: 0,
+      priorPRs: 0,
+      riskScore: 1,
+      signals: ['new_account', 'no_public_repos', 'no_followers', 'no_prior_activity', 'first_time_author']
+    });
+    expect(reputation.summary).toContain('account age 2 days');
+    expect(octokit.rest.search.issuesAndPullRequests.mock.calls[0][0]).toMatchObject({
+      q: 'repo:owner/repo author:newbie',
+      sort: 'created',
+      order: 'asc'
+    });
+  });
+
+  test('queries each author once per run and counts earlier items per item', async () => {
+    const octokit = createOctokit({ created_at: daysAgo(400), public_repos: 3, followers: 1 }, [
+      { number: 2, created_at: '2025-12-01T00:00:00Z' },
+      { number: 3, created_at: '2025-12-15T00:00:00Z', pull_request: {} },
+      { number: 5, created_at: '2026-01-01T00:00:00Z' }
+    ]);
+
+    const first = await collectReputation(octokit, 'owner', 'repo', issue, createConfig());
+    const second = await collectReputation(octokit, 'owner', 'repo', {
+      ...issue,
+      number: 3,
+      user: { login: 'Newbie' },
+      created_at: '2025-12-15T00:00:00Z'
+    }, createConfig());
+
+    expect(first).toMatchObject({ priorIssues: 1, priorPRs: 1 });
+    expect(second).toMatchObject({ priorIssues: 1, priorPRs: 0 });
+    expect(octokit.rest.users.getByUsername).toHaveBeenCalledTimes(1);
+    expect(octokit.rest.search.issuesAndPullRequests).toHaveBeenCalledTimes(1);
+  });
+
+  test('logs the search rate limit and stops searching for the rest of the run', async () => {
+    const warning = jest.spyOn(core, 'warning').mockImplementation(() => {});
+    const octokit = createOctokit({ created_at: daysAgo(400), public_repos: 3, followers: 1 });
+    octokit.rest.search.issuesAndPullRequests.mockRejectedValue(
+      Object.assign(new Error('API rate limit exceeded'), { status: 403 })
+    );
+    const config = createConfig();
+
+    const first = await collectReputation(octokit, 'owner', 'repo', issue, config);
+    const second = await collectReputation(octokit, 'owner', 'repo', { ...issue, user: { login: 'other' } }, config);
+
+    expect(first).toMatchObject({ priorIssues: null, priorPRs: null });
+    expect(second).toMatchObject({ priorIssues: null, priorPRs: null });
+    expect(octokit.rest.search.issuesAndPullRequests).toHaveBeenCalledTimes(1);
+    expect(warning).toHaveBeenCalledWith(config.logging.reputation_rate_limited);
+    warning.mockRestore();
+  });
+
+  test('returns null when the users API fails', async () => {
+    const octokit = createOctokit({});
+    octokit.rest.users.getByUsername.mockRejectedValue(new Error('Not Found'));
+
+    await expect(collectReputation(octokit, 'owner', 'repo', issue, createConfig())).resolves.toBeNull();
+  });
+
+  test('is skipped when disabled', async () => {
+    const config = createConfig();
+    config.reputation.enabled = false;
+    const octokit = createOctokit({});
+
+    await expect(collectReputation(octokit, 'owner', 'repo', issue, config)).resolves.toBeNull();
+    expect(octokit.rest.users.getByUsername).not.toHaveBeenCalled();
+  });
+});
+
+describe('reputation scoring', () => {
+  const settings = createConfig().reputation;
+
+  test('gives established contributors a zero risk score', () => {
+    expect(scoreReputation({
+      accountAgeDays: 900,
+      publicRepos: 12,
+      followers: 30,
+      priorIssues: 4,
+      priorPRs: 2,
+      association: 'CONTRIBUTOR'
+    }, settings)).toEqual({ riskScore: 0, signals: [] });
+  });
+
+  test('does not count unknown prior activity as a risk signal', () => {
+    expect(scoreReputation({
+      accountAgeDays: 900,
+      publicRepos: 12,
+      followers: 30,
+      priorIssues: null,
+      priorPRs: null,
+      association: 'CONTRIBUTOR'
+    }, settings).signals).toEqual([]);
+  });
+
+  test('shifts spam confidence by the risk score', () => {
+    const config = createConfig();
+    const spam = { verdict: 'SPAM', confidence: 0.85, reason: 'Ads' };
+
+    expect(adjustSpamConfidence(spam, { riskScore: 1 }, config)).toMatchObject({ confidence: 0.95, modelConfidence: 0.85 });
+    expect(adjustSpamConfidence(spam, { riskScore: 0 }, config).confidence).toBe(0.75);
+    expect(adjustSpamConfidence({ ...spam, verdict: 'NOT_SPAM' }, { riskScore: 1 }, config).confidence).toBe(0.85);
+  });
+});
+
+describe('spam detection with reputation', () => {
+  test('passes the reputation summary to the spam prompt', async () => {
+    const create = jest.fn().mockResolvedValue({
+      choices: [{ message: { content: JSON.stringify({ verdict: 'NOT_SPAM', confidence: 0.9, reason: 'Fine' }) } }]
+    });
+    const analyzer = new IssueAnalyzer({ chat: { completions: { create } } }, 'model', createConfig());
+
+    await analyzer.detectSpam({ title: 'Bug', body: 'Crash' }, '', {
+      reputation: { summary: 'account age 2 days', riskScore: 0.8, signals: ['new_account'] }
+    });
+
+    const input = JSON.parse(create.mock.calls[0][0].messages[1].content);
+    expect(input.authorReputation).toMatchObject({ summary: 'account age 2 days', riskScore: 0.8 });
+  });
+});
@@ -0,0 +1,66 @@
+const baseConfig = require('../config.json');
+const { evaluateRules, validateRules } = require('../src/services/ruleEngine');
+
+function createConfig(rules) {
+  const config = JSON.parse(JSON.stringify(baseConfig));
+  config.rules = rules;
+  return config;
+}
+
+describe('evaluateRules', () => {
+  const rules = [
+    { name: 'wip-title', type: 'title', pattern: '^\\s*\\[?wip\\b', action: 'skip', applies_to: ['pr'] },
+    { name: 'casino', type: 'keyword', keywords: ['Casino', 'free spins'], action: 'spam' },
+    { name: 'telegram', type: 'regex', pattern: '(t\\.me/|telegram:?\\s*@)\\w+', action: 'spam' },
+    { name: 'bad-links', type: 'domain', domains: ['spam.example'], field: 'body', action: 'spam' },
+    { name: 'release-bot', type: 'title', pattern: '^chore\\(release\\)', action: 'trust' }
+  ];
+
+  test('returns the first matching rule with the matched text', () => {
+    const issue = { title: 'Best casino bonus', body: 'Contact t.me/spammer for free spins' };
+
+    expect(evaluateRules(issue, 'issue', createConfig(rules))).toEqual({
+      rule: 'casino',
+      type: 'keyword',
+      action: 'spam',
+      match: 'Casino'
+    });
+  });
+
+  test('matches link domains including subdomains', () => {
+    const issue = { title: 'Question', body: 'See [docs](https://promo.spam.example/offer) for details' };
+
+    expect(evaluateRules(issue, 'issue', createConfig(rules))).toMatchObject({
+      rule: 'bad-links',
+      match: 'promo.spam.example'
+    });
+    expect(evaluateRules({ title: 'See https://notspam.example', body: '' }, 'issue', createConfig(rules))).toBeNull();
+  });
+
+  test('respects applies_to and title-only rules', () => {
+    const item = { title: 'WIP: refactor parser', body: '' };
+
+    expect(evaluateRules(item, 'issue', createConfig(rules))).toBeNull();
+    expect(evaluateRules(item, 'pr', createConfig(rules))).toMatchObject({ rule: 'wip-title', action: 'skip' });
+    expect(evaluateRules({ title: 'Fix', body: 'chore(release) notes' }, 'pr', createConfig(rules))).toBeNull();
+  });
+
+  test('names unnamed rules by position', () => {
+    const config = createConfig([{ type: 'regex', pattern: 'viagra', action: 'spam' }]);
+
+    expect(evaluateRules({ title: 'VIAGRA', body: '' }, 'issue', config).rule).toBe('rule-1');
+  });
+});
+
+describe('validateRules', () => {
+  test('accepts the default configuration', () => {
+    expect(() => validateRules(baseConfig.rules)).not.toThrow();
+  });
+
+  test('rejects invalid rules', () => {
+    expect(() => validateRules([{ type: 'regex', pattern: '(', action: 'spam' }])).toThrow('rule-1');
+    expect(() => validateRules([{ type: 'regex', action: 'spam' }])).toThrow('pattern');
+    expect(() => validateRules([{ type: 'keyword', keywords: ['x'], action: 'close' }])).toThrow('close');
+    expect(() => validateRules([{ type: 'domain', action: 'spam' }])).toThrow('domains');
+  });
+});
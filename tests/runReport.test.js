@@ -0,0 +1,104 @@
+const baseConfig = require('../config.json');
+const zhCN = require('../locales/zh-CN.json');
+const { startOutcome, recordOutcome } = require('../src/services/outputs');
+const {
+  resetReport,
+  timeStep,
+  recordTemplateAnalysis,
+  recordError,
+  recordSweep,
+  createReportingOctokit,
+  buildReport
+} = require('../src/services/runReport');
+const { DryRunRecorder, createDryRunOctokit } = require('../src/services/dryRun');
+
+function createOctokit() {
+  return {
+    rest: {
+      issues: {
+        get: jest.fn().mockResolvedValue({ data: {} }),
+        createComment: jest.fn().mockResolvedValue({ data: {} }),
+        lock: jest.fn().mockRejectedValue(new Error('Forbidden'))
+      }
+    },
+    graphql: jest.fn().mockResolvedValue({})
+  };
+}
+
+const issue = { number: 7, title: 'Crash | on start', html_url: 'https://github.com/owner/repo/issues/7' };
+
+describe('run report', () => {
+  beforeEach(() => {
+    resetReport();
+  });
+
+  test('lists steps, template analysis, actions and errors for each item', async () => {
+    const octokit = createReportingOctokit(createOctokit());
+    startOutcome(issue);
+
+    await timeStep('spam_detection', 'openai/gpt-4o', async () => ({ verdict: 'NOT_SPAM', confidence: 0.9 }));
+    await expect(timeStep('content_quality_check', 'openai/gpt-4o', async () => {
+      throw new Error('Rate limited');
+    })).rejects.toThrow('Rate limited');
+    recordTemplateAnalysis('No issue template detected');
+    recordOutcome({ decision: 'KEEP', step: 'spam_detection', confidence: 0.9, classification: 'bug' });
+    await octokit.rest.issues.get({ issue_number: 7 });
+    await octokit.rest.issues.createComment({ issue_number: 7, body: 'Hi' });
+    await expect(octokit.rest.issues.lock({ issue_number: 7 })).rejects.toThrow('Forbidden');
+    recordError('Lock failed');
+
+    const report = buildReport(baseConfig, 'issues.opened');
+
+    expect(report).toContain('### [Issue #7: Crash \\| on start](https://github.com/owner/repo/issues/7)');
+    expect(report).toContain('| KEEP | `spam_detection` | bug | 0.90 | No | No |');
+    expect(report).toMatch(/\| `spam_detection` \| openai\/gpt-4o \| NOT_SPAM \| 0\.90 \| \d+ ms \|/);
+    expect(report).toContain('Failed: Rate limited');
+    expect(report).toContain('No issue template detected');
+    expect(report).toContain('| `issues.createComment` (#7) | Succeeded |');
+    expect(report).toContain('| `issues.lock` (#7) | Failed: Forbidden |');
+    expect(report).not.toContain('issues.get');
+    expect(report).toContain('- Lock failed');
+  });
+
+  test('marks intercepted dry-run operations', async () => {
+    const recorder = new DryRunRecorder(baseConfig);
+    const octokit = createReportingOctokit(createDryRunOctokit(createOctokit(), recorder));
+    startOutcome(issue);
+
+    await octokit.rest.issues.lock({ issue_number: 7 });
+
+    expect(buildReport(baseConfig, 'issues.opened')).toContain('| `issues.lock` (#7) | Skipped (dry run) |');
+  });
+
+  test('records the fallback model that answered', async () => {
+    startOutcome(issue);
+
+    await timeStep('spam_detection', 'openai/gpt-4o', async () => ({ verdict: 'SPAM', confidence: 0.8, model: 'anthropic:claude' }));
+
+    expect(buildReport(baseConfig, 'issues.opened')).toMatch(/\| `spam_detection` \| anthropic:claude \| SPAM \|/);
+  });
+
+  test('renders in Simplified Chinese and reports runs without items', () => {
+    const config = { ...baseConfig, summary_text: { ...baseConfig.summary_text, ...zhCN.summary_text } };
+
+    const report = buildReport(config, 'schedule');
+
+    expect(report).toContain('## NoMore Spam 运行报告');
+    expect(report).toContain('本次运行没有处理任何 Issue 或 Pull Request。');
+  });
+
+  test('lists backlog sweep results in the configured language', () => {
+    const config = { ...baseConfig, summary_text: { ...baseConfig.summary_text, ...zhCN.summary_text } };
+    recordSweep([
+      { number: 3, type: 'issue', title: 'Old | bug', status: 'processed' },
+      { number: 4, type: 'pr', title: 'Fix', status: 'failed', error: 'Not Found' }
+    ]);
+
+    const report = buildReport(config, 'schedule');
+
+    expect(report).toContain('### 积压处理');
+    expect(report).toContain('| #3 | Issue | Old \\| bug | 已处理 |');
+    expect(report).toContain('| #4 | Pull Request | Fix | 失败: Not Found |');
+    expect(report).toContain('已处理 1 个内容，1 个失败。');
+  });
+});
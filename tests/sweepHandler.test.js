@@ -0,0 +1,100 @@
+jest.mock('../src/handlers/issueHandler', () => ({ handleNewIssue: jest.fn() }));
+jest.mock('../src/handlers/prHandler', () => ({ handleNewPR: jest.fn() }));
+
+const baseConfig = require('../config.json');
+const { handleNewIssue } = require('../src/handlers/issueHandler');
+const { handleNewPR } = require('../src/handlers/prHandler');
+const { handleSweep, isProcessed } = require('../src/handlers/sweepHandler');
+
+function createConfig() {
+  const config = JSON.parse(JSON.stringify(baseConfig));
+  config.sweep.enabled = true;
+  config.sweep.item_delay_seconds = 0;
+  return config;
+}
+
+function createOctokit(pages) {
+  const items = pages.flat();
+  return {
+    paginate: {
+      iterator: jest.fn(async function* () {
+        for (const data of pages) {
+          yield { data };
+        }
+      })
+    },
+    rest: {
+      issues: {
+        listForRepo: jest.fn(),
+        get: jest.fn(async ({ issue_number: number }) => ({ data: items.find(item => item.number === number) })),
+        addLabels: jest.fn().mockResolvedValue({})
+      },
+      pulls: {
+        get: jest.fn(async ({ pull_number: number }) => ({ data: { number, title: 'PR', head: {} } }))
+      }
+    }
+  };
+}
+
+const labelsList = ['bug', 'enhancement', 'question'];
+
+async function runSweep(octokit, config = createConfig()) {
+  return await handleSweep(octokit, {}, { eventName: 'schedule', payload: {} }, 'owner', 'repo', 'model', config, labelsList, []);
+}
+
+describe('handleSweep', () => {
+  beforeEach(() => {
+    handleNewIssue.mockReset();
+    handleNewPR.mockReset();
+  });
+
+  test('runs unprocessed issues and pull requests through the normal handlers and marks them', async () => {
+    const octokit = createOctokit([[
+      { number: 1, title: 'Old issue', labels: [] },
+      { number: 2, title: 'Classified', labels: [{ name: 'bug' }] },
+      { number: 3, title: 'Old PR', labels: [], pull_request: {} },
+      { number: 4, title: 'Swept', labels: [{ name: 'nomore-spam-processed' }] }
+    ]]);
+
+    const results = await runSweep(octokit);
+
+    expect(results.map(result => result.number)).toEqual([1, 3]);
+    expect(handleNewIssue.mock.calls[0][2].payload).toMatchObject({ action: 'opened', issue: { number: 1 } });
+    expect(handleNewPR.mock.calls[0][2].payload).toMatchObject({ action: 'opened', pull_request: { number: 3 } });
+    expect(octokit.rest.issues.addLabels.mock.calls.map(([params]) => params.issue_number)).toEqual([1, 3]);
+    expect(octokit.rest.issues.addLabels).toHaveBeenCalledWith(expect.objectContaining({ labels: ['nomore-spam-processed'] }));
+  });
+
+  test('stops paging once the per-run cap is reached', async () => {
+    const config = createConfig();
+    config.sweep.max_items = 2;
+    const octokit = createOctokit([
+      [{ number: 1, title: 'A', labels: [] }, { number: 2, title: 'B', labels: [] }],
+      [{ number: 3, title: 'C', labels: [] }]
+    ]);
+
+    const results = await runSweep(octokit, config);
+
+    expect(results).toHaveLength(2);
+    expect(handleNewIssue).toHaveBeenCalledTimes(2);
+  });
+
+  test('records failures and continues with the next item', async () => {
+    handleNewIssue.mockRejectedValueOnce(new Error('Rate limited'));
+    const octokit = createOctokit([[{ number: 1, title: 'A', labels: [] }, { number: 2, title: 'B', labels: [] }]]);
+
+    const results = await runSweep(octokit);
+
+    expect(results).toEqual([
+      { number: 1, type: 'issue', title: 'A', status: 'failed', error: 'Rate limited' },
+      { number: 2, type: 'issue', title: 'B', status: 'processed' }
+    ]);
+  });
+
+  test('treats moderation labels as already processed', () => {
+    const config = createConfig();
+
+    expect(isProcessed({ labels: [{ name: 'needs-triage' }] }, config, labelsList)).toBe(true);
+    expect(isProcessed({ labels: [{ name: 'good first issue' }] }, config, labelsList)).toBe(false);
+  });
+});
@@ -0,0 +1,58 @@
+const baseConfig = require('../config.json');
+const { evaluateTrust } = require('../src/services/trustService');
+
+function createConfig() {
+  return JSON.parse(JSON.stringify(baseConfig));
+}
+
+function createOctokit(totalCount) {
+  return {
+    rest: {
+      search: {
+        issuesAndPullRequests: jest.fn().mockResolvedValue({ data: { total_count: totalCount } })
+      }
+    }
+  };
+}
+
+describe('evaluateTrust', () => {
+  const item = (login, association = 'NONE') => ({ number: 1, user: { login }, author_association: association });
+
+  test('trusts maintainers by author association', async () => {
+    const octokit = createOctokit(0);
+
+    await expect(evaluateTrust(octokit, 'owner', 'repo', item('alice', 'MEMBER'), createConfig()))
+      .resolves.toEqual({ trusted: true, reason: 'association' });
+    expect(octokit.rest.search.issuesAndPullRequests).not.toHaveBeenCalled();
+  });
+
+  test('trusts allowlisted users case-insensitively', async () => {
+    const config = createConfig();
+    config.trust.users = ['Bob'];
+
+    await expect(evaluateTrust(createOctokit(0), 'owner', 'repo', item('bob'), config))
+      .resolves.toEqual({ trusted: true, reason: 'allowlist' });
+  });
+
+  test('trusts authors with enough merged pull requests when configured', async () => {
+    const config = createConfig();
+    config.trust.min_merged_prs = 2;
+    const octokit = createOctokit(3);
+
+    await expect(evaluateTrust(octokit, 'owner', 'repo', item('carol', 'CONTRIBUTOR'), config))
+      .resolves.toEqual({ trusted: true, reason: 'contributions' });
+    expect(octokit.rest.search.issuesAndPullRequests.mock.calls[0][0].q)
+      .toBe('repo:owner/repo is:pr is:merged author:carol');
+
+    await expect(evaluateTrust(createOctokit(1), 'owner', 'repo', item('carol', 'CONTRIBUTOR'), config))
+      .resolves.toEqual({ trusted: false });
+  });
+
+  test('does not trust anyone when disabled', async () => {
+    const config = createConfig();
+    config.trust.enabled = false;
+
+    await expect(evaluateTrust(createOctokit(0), 'owner', 'repo', item('alice', 'OWNER'), config))
+      .resolves.toEqual({ trusted: false });
+  });
+});
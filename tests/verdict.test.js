@@ -0,0 +1,36 @@
+const { parseVerdict, buildVerdictSchema } = require('../src/services/verdict');
+
+describe('parseVerdict', () => {
+  test('parses structured JSON verdicts', () => {
+    expect(parseVerdict('{"verdict":"spam","confidence":0.92,"reason":"Casino links"}', ['SPAM', 'NOT_SPAM']))
+      .toEqual({ verdict: 'SPAM', confidence: 0.92, reason: 'Casino links' });
+  });
+
+  test('extracts JSON wrapped in code fences and extra words', () => {
+    const text = 'Here is my answer:\n```json\n{"verdict": "NOT_SPAM", "confidence": "85", "reason": "Real bug"}\n```';
+    expect(parseVerdict(text, ['SPAM', 'NOT_SPAM']))
+      .toEqual({ verdict: 'NOT_SPAM', confidence: 0.85, reason: 'Real bug' });
+  });
+
+  test('falls back to bare verdict tokens without confusing NOT_SPAM with SPAM', () => {
+    expect(parseVerdict('The verdict is NOT_SPAM.', ['SPAM', 'NOT_SPAM']))
+      .toEqual({ verdict: 'NOT_SPAM', confidence: null, reason: '' });
+    expect(parseVerdict('spam', ['SPAM', 'NOT_SPAM']).verdict).toBe('SPAM');
+    expect(parseVerdict('HELPFUL_ANSWER: Run npm install.', ['HELPFUL_ANSWER', 'NEED_MORE_INFO']))
+      .toEqual({ verdict: 'HELPFUL_ANSWER', confidence: null, reason: 'Run npm install.' });
+  });
+
+  test('keeps additional fields', () => {
+    expect(parseVerdict('{"verdict":"DUPLICATE","duplicate_of":12,"confidence":1,"reason":"Same"}', ['DUPLICATE', 'NOT_DUPLICATE']))
+      .toMatchObject({ verdict: 'DUPLICATE', duplicate_of: 12 });
+  });
+});
+
+describe('buildVerdictSchema', () => {
+  test('requires every property for strict structured output', () => {
+    const schema = buildVerdictSchema(['VALID', 'INVALID'], { extra: { type: 'string' } });
+    expect(schema.properties.verdict.enum).toEqual(['VALID', 'INVALID']);
+    expect(schema.required).toEqual(['verdict', 'confidence', 'reason', 'extra']);
+    expect(schema.additionalProperties).toBe(false);
+  });
+});